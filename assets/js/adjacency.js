@@ -0,0 +1,58 @@
+// assets/js/adjacency.js
+// Which jurisdictions border each other, worked out from the GeoJSON itself: two features are
+// neighbours when their outlines share a vertex. Boundaries in usa_states.geojson come from one
+// source, so a shared border repeats the same coordinates on both sides; rounding guards
+// against float noise. States meeting at a single point (Four Corners) count as neighbours.
+
+const Adjacency = (function () {
+
+  const PRECISION = 5; // Decimal places of a degree (about 1 m)
+
+  function eachPosition(geometry, fn) {
+    const walk = (coords) => (typeof coords[0] === 'number' ? fn(coords) : coords.forEach(walk));
+    if (geometry && geometry.coordinates) walk(geometry.coordinates);
+  }
+
+  /**
+   * Builds the neighbour lists for a FeatureCollection.
+   * @param {object} geojson - usa_states.geojson (features resolved with Jurisdictions.fromFeature).
+   * @param {number} [precision] - Decimal places to round vertices to before matching.
+   * @returns {object} { code: [neighbour codes, sorted] } for every resolved feature.
+   */
+  function build(geojson, precision = PRECISION) {
+    const owners = new Map(); // Rounded vertex -> set of codes
+    const codes = new Set();
+    geojson.features.forEach(f => {
+      const entry = Jurisdictions.fromFeature(f);
+      if (!entry) return;
+      codes.add(entry.code);
+      eachPosition(f.geometry, ([lon, lat]) => {
+        const key = `${lon.toFixed(precision)},${lat.toFixed(precision)}`;
+        if (!owners.has(key)) owners.set(key, new Set());
+        owners.get(key).add(entry.code);
+      });
+    });
+
+    const adjacency = Object.fromEntries([...codes].map(code => [code, new Set()]));
+    owners.forEach(set => {
+      if (set.size < 2) return;
+      set.forEach(a => set.forEach(b => { if (a !== b) adjacency[a].add(b); }));
+    });
+    return Object.fromEntries(Object.entries(adjacency).map(([code, set]) => [code, [...set].sort()]));
+  }
+
+  /**
+   * Neighbours of a jurisdiction (empty for islands and unknown codes).
+   * @param {object} adjacency - From build().
+   * @param {string} code
+   * @returns {string[]}
+   */
+  function neighbours(adjacency, code) {
+    return adjacency[code] || [];
+  }
+
+  return {
+    build,
+    neighbours,
+  };
+})();
@@ -0,0 +1,157 @@
+// assets/js/anomaly.js
+// Outbreak / anomaly detection over annual rate series. Each state/disease series is
+// compared with that state's own history, so a flag means "unusual for this state",
+// not "high compared with other states".
+//
+// Methods (all on the per-100k rate, standardised against a rolling baseline of the
+// preceding `window` years with data):
+//   zscore – |rate − baseline mean| / baseline SD above a threshold.
+//   cusum  – two-sided tabular CUSUM of the standardised values (reference value k,
+//            decision interval h); the sums reset after each signal.
+//   ears   – CDC EARS-style C1 (baseline ends the year before), C2 (two-year guard band)
+//            and C3 (C2 scores accumulated over three years).
+// The baseline SD is floored at 5% of the baseline mean so flat histories do not turn
+// tiny fluctuations into signals.
+
+const AnomalyDetection = (function () {
+
+  const METHODS = {
+    zscore: 'Z-score (rolling baseline)',
+    cusum: 'CUSUM',
+    ears: 'EARS (C1/C2/C3)',
+  };
+
+  // Thresholds per sensitivity: z and EARS cut-offs, CUSUM decision interval h and C3 cut-off
+  const SENSITIVITY = {
+    low: { z: 3, h: 5, c3: 3 },
+    medium: { z: 2.5, h: 4, c3: 2 },
+    high: { z: 2, h: 3, c3: 1.5 },
+  };
+
+  const DEFAULTS = {
+    method: 'zscore',
+    sensitivity: 'medium',
+    window: 5, // Baseline years
+    minBaseline: 3, // Fewest baseline years before a cell can be scored
+    cusumK: 0.5,
+    earsVariant: 'C2',
+  };
+
+  const SD_FLOOR = 0.05;
+
+  const DIRECTION_LABELS = { high: 'Above expected', low: 'Below expected' };
+  // Outline/marker colours (diverging orange/purple, distinct from the map's fill ramps)
+  const DIRECTION_COLORS = { high: '#e66101', low: '#5e3c99' };
+
+  function baselineStats(values) {
+    const n = values.length;
+    const mean = values.reduce((s, v) => s + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1)) : 0;
+    return { mean, sd: Math.max(sd, SD_FLOOR * Math.abs(mean), 1e-9) };
+  }
+
+  /**
+   * Standardised score of point i against the `window` points ending `lag` points before it.
+   * @returns {{score: number, expected: number}|null} null without enough baseline.
+   */
+  function scoreAt(points, i, o, lag = 1) {
+    const end = i - lag + 1; // exclusive
+    const base = points.slice(Math.max(0, end - o.window), Math.max(0, end)).map(p => p.rate);
+    if (base.length < o.minBaseline) return null;
+    const { mean, sd } = baselineStats(base);
+    return { score: (points[i].rate - mean) / sd, expected: mean };
+  }
+
+  /**
+   * Scores one annual series and returns the flagged points.
+   * @param {Array<{year: string, rate: number|null}>} series - Sorted by year; null rates are skipped.
+   * @param {object} [opts] - See DEFAULTS; `sensitivity` is 'low' | 'medium' | 'high'.
+   * @returns {Array<{year, rate, expected, score, direction: 'high'|'low'}>}
+   */
+  function detectSeries(series, opts = {}) {
+    const o = Object.assign({}, DEFAULTS, opts);
+    const t = SENSITIVITY[o.sensitivity] || SENSITIVITY.medium;
+    const points = series.filter(p => p.rate !== null && p.rate !== undefined && isFinite(p.rate));
+    const flags = [];
+    const flag = (p, s, score, direction) => flags.push({ year: p.year, rate: p.rate, expected: s.expected, score, direction });
+
+    if (o.method === 'zscore') {
+      points.forEach((p, i) => {
+        const s = scoreAt(points, i, o);
+        if (s && Math.abs(s.score) >= t.z) flag(p, s, s.score, s.score > 0 ? 'high' : 'low');
+      });
+    } else if (o.method === 'cusum') {
+      let hi = 0, lo = 0;
+      points.forEach((p, i) => {
+        const s = scoreAt(points, i, o);
+        if (!s) return;
+        hi = Math.max(0, hi + s.score - o.cusumK);
+        lo = Math.max(0, lo - s.score - o.cusumK);
+        if (hi > t.h) { flag(p, s, hi, 'high'); hi = 0; lo = 0; }
+        else if (lo > t.h) { flag(p, s, -lo, 'low'); hi = 0; lo = 0; }
+      });
+    } else if (o.method === 'ears') {
+      const lag = o.earsVariant === 'C1' ? 1 : 3; // C2/C3 skip the two most recent years
+      const scores = points.map((p, i) => scoreAt(points, i, o, lag));
+      points.forEach((p, i) => {
+        const s = scores[i];
+        if (!s) return;
+        if (o.earsVariant === 'C3') {
+          // Sum of the excess over 1 SD for this year and the two before it
+          const c3 = [0, 1, 2].reduce((sum, k) => sum + (scores[i - k] ? Math.max(0, Math.abs(scores[i - k].score) - 1) : 0), 0);
+          if (c3 >= t.c3) flag(p, s, s.score >= 0 ? c3 : -c3, s.score >= 0 ? 'high' : 'low');
+        } else if (Math.abs(s.score) >= t.z) {
+          flag(p, s, s.score, s.score > 0 ? 'high' : 'low');
+        }
+      });
+    } else {
+      throw new Error(`Unknown anomaly method: ${o.method}`);
+    }
+    return flags;
+  }
+
+  /**
+   * Runs detection over cube cells, one series per jurisdiction and disease.
+   * @param {object[]} cells - Cube cells ({code, state, disease, year, per100k}).
+   * @param {object} [opts] - See detectSeries().
+   * @returns {object[]} Flags with {code, state, disease, year, rate, expected, score, direction}, newest first.
+   */
+  function detect(cells, opts = {}) {
+    const series = {};
+    cells.forEach(c => {
+      const key = `${c.code}|${c.disease}`;
+      (series[key] = series[key] || []).push(c);
+    });
+    const out = [];
+    Object.values(series).forEach(list => {
+      list.sort((a, b) => Number(a.year) - Number(b.year));
+      const { code, state, disease } = list[0];
+      detectSeries(list.map(c => ({ year: c.year, rate: c.per100k })), opts)
+        .forEach(f => out.push({ code, state, disease, ...f }));
+    });
+    return out.sort((a, b) => Number(b.year) - Number(a.year) || Math.abs(b.score) - Math.abs(a.score));
+  }
+
+  /** One-line description of a flag, e.g. "Above expected: 108.4 per 100k vs 93.1 (score 3.29)". */
+  function describe(f) {
+    const fmt = (v) => new Intl.NumberFormat('en-US', { maximumFractionDigits: 1 }).format(v);
+    return `${DIRECTION_LABELS[f.direction]}: ${fmt(f.rate)} per 100k vs ${fmt(f.expected)} (score ${f.score.toFixed(2)})`;
+  }
+
+  /** Lookup key for a flagged cell. */
+  function key(code, disease, year) {
+    return `${code}|${disease}|${year}`;
+  }
+
+  return {
+    METHODS,
+    SENSITIVITY,
+    DEFAULTS,
+    DIRECTION_LABELS,
+    DIRECTION_COLORS,
+    detect,
+    detectSeries,
+    describe,
+    key,
+  };
+})();
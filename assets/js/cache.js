@@ -0,0 +1,130 @@
+// assets/js/cache.js
+// IndexedDB-backed cache for parsed datasets. One record per dataset URL (or uploaded
+// dataset, see upload.js) holds the normalized rows, the quality report, a content hash
+// (the dataset version) and the ETag/Last-Modified validators used to revalidate against
+// the server.
+// Every operation degrades to a no-op when IndexedDB is unavailable, blocked or full.
+
+const DataCache = (function () {
+
+  const DB_NAME = 'phd_cache';
+  const DB_VERSION = 1;
+  const STORE = 'datasets';
+
+  let dbPromise = null;
+
+  /** Opens (once) the cache database. Resolves with null when IndexedDB cannot be used. */
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (e) {
+        console.warn('IndexedDB unavailable, data will not be cached:', e);
+        return resolve(null);
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('IndexedDB open failed, data will not be cached:', req.error);
+        resolve(null);
+      };
+      req.onblocked = () => {
+        console.warn('IndexedDB open blocked by another tab, data will not be cached.');
+        resolve(null);
+      };
+    });
+    return dbPromise;
+  }
+
+  /** Wraps a single-request transaction; resolves with `fallback` on any failure. */
+  async function run(mode, fn, fallback) {
+    const db = await open();
+    if (!db) return fallback;
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction(STORE, mode);
+        const req = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req.result === undefined ? (mode === 'readonly' ? fallback : true) : req.result);
+        tx.onerror = () => {
+          console.warn(`IndexedDB ${mode} failed:`, tx.error);
+          resolve(fallback);
+        };
+        tx.onabort = () => {
+          // QuotaExceededError surfaces as an aborted transaction
+          console.warn(`IndexedDB ${mode} aborted:`, tx.error);
+          resolve(fallback);
+        };
+      } catch (e) {
+        console.warn(`IndexedDB ${mode} failed:`, e);
+        resolve(fallback);
+      }
+    });
+  }
+
+  /**
+   * Reads a cached dataset record.
+   * @param {string} key - Dataset key (the data URL).
+   * @returns {Promise<object|null>} { key, version, schema, etag, lastModified, fetchedAt, rows, quality } or null.
+   */
+  function get(key) {
+    return run('readonly', store => store.get(key), null);
+  }
+
+  /**
+   * Stores a dataset record (replacing any previous version of the same key).
+   * @param {object} record - Must contain `key`.
+   * @returns {Promise<boolean>} false if the record could not be written (quota, blocked, unsupported).
+   */
+  async function put(record) {
+    const result = await run('readwrite', store => store.put(record), false);
+    return result !== false;
+  }
+
+  /** Deletes a cached dataset record. */
+  function remove(key) {
+    return run('readwrite', store => store.delete(key), false);
+  }
+
+  /**
+   * Lists the stored dataset keys.
+   * @returns {Promise<string[]>} Empty when IndexedDB is unavailable.
+   */
+  function keys() {
+    return run('readonly', store => store.getAllKeys(), []);
+  }
+
+  /**
+   * Content hash used as the dataset version: SHA-256 when SubtleCrypto is available
+   * (secure contexts), else 32-bit FNV-1a.
+   * @param {string} text - Raw file contents.
+   * @returns {Promise<string>} Hex digest.
+   */
+  async function hash(text) {
+    if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+      try {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+      } catch (e) { /* fall through to FNV */ }
+    }
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
+
+  return {
+    get,
+    put,
+    remove,
+    keys,
+    hash,
+  };
+})();
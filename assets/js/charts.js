@@ -1,7 +1,9 @@
 // charts.js
 // Helper utilities for creating charts consistently across the dashboard.
 // Includes functions for standard types (Line, Bar) and specialized types 
-// (Boxplot, Scatter, Matrix/Heatmap, Sunburst, Polar Area).
+// (Boxplot, Scatter, Matrix/Heatmap, Sunburst, Treemap, Polar Area).
+// Colours come from the theme's CSS variables when a chart is drawn; on 'theme-change'
+// (theme.js) every live chart is restyled in place.
 
 const ChartHelpers = (function () {
   
@@ -42,40 +44,150 @@ const ChartHelpers = (function () {
       return palette;
   }
 
+  // --- Theme ---
+
+  // CSS variables charts take colours from. Text, tick and grid colours are Chart.js globals;
+  // colours baked into datasets and options (getColor() results, box plot whiskers, cell
+  // borders, ...) are swapped from a variable's old value to its new one on a theme change.
+  const THEME_VARS = ['--accent', '--accent-2', '--text', '--muted', '--border', '--card-bg'];
+  let themeColors = {};
+
+  /** Points Chart.js' global defaults (text, ticks, grid lines, font) at the current theme. */
+  function applyThemeDefaults() {
+    themeColors = Object.fromEntries(THEME_VARS.map(v => [v, getCssVariable(v)]));
+    if (typeof Chart === 'undefined') return;
+    Chart.defaults.font.family = 'Inter, system-ui, sans-serif';
+    Chart.defaults.color = themeColors['--text'];
+    Chart.defaults.borderColor = themeColors['--border'];
+    Chart.defaults.scale.ticks.color = themeColors['--muted'];
+    if (Chart.defaults.scales.radialLinear) Chart.defaults.scales.radialLinear.ticks.backdropColor = themeColors['--card-bg'];
+  }
+
+  /** Replaces colour strings found in `swaps` throughout plain objects and arrays, in place (data values are left alone). */
+  function swapColors(value, swaps, depth = 0) {
+    if (typeof value === 'string') return swaps[value] || value;
+    if (!value || typeof value !== 'object' || depth > 8) return value;
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => { value[i] = swapColors(v, swaps, depth + 1); });
+    } else if (Object.getPrototypeOf(value) === Object.prototype) {
+      Object.keys(value).forEach(k => { if (k !== 'data') value[k] = swapColors(value[k], swaps, depth + 1); });
+    }
+    return value;
+  }
+
+  /** Re-themes every live chart without re-creating it. */
+  function restyleCharts() {
+    const before = themeColors;
+    applyThemeDefaults();
+    if (typeof Chart === 'undefined') return;
+    const swaps = {};
+    THEME_VARS.forEach(v => { if (before[v] && before[v] !== themeColors[v]) swaps[before[v]] = themeColors[v]; });
+    Object.values(Chart.instances).forEach(chart => {
+      chart.data.datasets.forEach(d => swapColors(d, swaps));
+      swapColors(chart.config.options, swaps);
+      chart.update('none');
+    });
+  }
+
+  applyThemeDefaults();
+  window.addEventListener('theme-change', restyleCharts);
+
   // --- Base Chart Configuration ---
 
-  const baseOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    // Global font setting for consistency with Inter font from CSS
-    font: {
-      family: 'Inter, system-ui, sans-serif',
-      color: getCssVariable('--text'),
-    },
-    plugins: {
-      legend: { 
-        position: "top",
-        labels: {
-            color: getCssVariable('--text'),
-            font: { weight: 'bold' }
-        }
+  /** Options shared by every chart (a fresh copy each time; colours come from the theme defaults). */
+  function baseOptions() {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { 
+          position: "top",
+          labels: { font: { weight: 'bold' } }
+        },
+        tooltip: { mode: "nearest", intersect: false },
       },
-      tooltip: { mode: "nearest", intersect: false },
-    },
-    scales: {
-      x: { 
+      scales: {
         // Use autoSkip for dynamic label management
-        ticks: { autoSkip: true, maxRotation: 45, minRotation: 0, color: getCssVariable('--muted') },
-        grid: { color: getCssVariable('--border') },
-      },
-      y: { 
-        beginAtZero: true,
-        ticks: { color: getCssVariable('--muted') },
-        grid: { color: getCssVariable('--border') },
+        x: { ticks: { autoSkip: true, maxRotation: 45, minRotation: 0 } },
+        y: { beginAtZero: true },
       },
+    };
+  }
+
+  // --- Error Bars Plugin ---
+
+  /**
+   * Draws vertical error bars on bar and line charts. A dataset opts in with
+   * `errorBars: [{low, high} | null, ...]` (one entry per data point, in data units);
+   * `errorBarColor` overrides the default text colour.
+   */
+  const errorBarsPlugin = {
+    id: 'errorBars',
+    afterDatasetsDraw(chart) {
+      const ctx = chart.ctx;
+      chart.data.datasets.forEach((dataset, i) => {
+        if (!dataset.errorBars || !chart.isDatasetVisible(i)) return;
+        const meta = chart.getDatasetMeta(i);
+        const yScale = chart.scales[meta.yAxisID];
+        if (!yScale) return;
+        const cap = meta.type === 'bar' ? Math.min(8, (meta.data[0]?.width || 16) / 4) : 4;
+        ctx.save();
+        ctx.strokeStyle = dataset.errorBarColor || getCssVariable('--text');
+        ctx.lineWidth = 1.25;
+        meta.data.forEach((el, j) => {
+          const bar = dataset.errorBars[j];
+          if (!bar || !isFinite(bar.low) || !isFinite(bar.high) || el.skip) return;
+          const top = yScale.getPixelForValue(bar.high);
+          const bottom = yScale.getPixelForValue(bar.low);
+          ctx.beginPath();
+          ctx.moveTo(el.x, top); ctx.lineTo(el.x, bottom);
+          ctx.moveTo(el.x - cap, top); ctx.lineTo(el.x + cap, top);
+          ctx.moveTo(el.x - cap, bottom); ctx.lineTo(el.x + cap, bottom);
+          ctx.stroke();
+        });
+        ctx.restore();
+      });
     },
   };
 
+  // --- Interval Band Plugin ---
+
+  /**
+   * Shades an interval band behind a line dataset (e.g. forecast prediction intervals). A
+   * dataset opts in with `band: [{low, high} | null, ...]` (one entry per data point); runs of
+   * consecutive entries are filled with `bandColor` (default: the line colour at 20% opacity).
+   */
+  const intervalBandPlugin = {
+    id: 'intervalBand',
+    beforeDatasetsDraw(chart) {
+      const ctx = chart.ctx;
+      chart.data.datasets.forEach((dataset, i) => {
+        if (!dataset.band || !chart.isDatasetVisible(i)) return;
+        const meta = chart.getDatasetMeta(i);
+        const yScale = chart.scales[meta.yAxisID];
+        if (!yScale) return;
+        const runs = [[]];
+        meta.data.forEach((el, j) => {
+          const b = dataset.band[j];
+          if (b && isFinite(b.low) && isFinite(b.high)) runs[runs.length - 1].push({ x: el.x, b });
+          else if (runs[runs.length - 1].length) runs.push([]);
+        });
+        ctx.save();
+        ctx.fillStyle = dataset.bandColor || String(dataset.borderColor).replace(/[^,]+(?=\))/, '0.2');
+        runs.filter(run => run.length > 1).forEach(run => {
+          ctx.beginPath();
+          run.forEach((p, k) => ctx[k === 0 ? 'moveTo' : 'lineTo'](p.x, yScale.getPixelForValue(p.b.high)));
+          run.slice().reverse().forEach(p => ctx.lineTo(p.x, yScale.getPixelForValue(p.b.low)));
+          ctx.closePath();
+          ctx.fill();
+        });
+        ctx.restore();
+      });
+    },
+  };
+
+  if (typeof Chart !== 'undefined') Chart.register(errorBarsPlugin, intervalBandPlugin);
+
   // --- Chart Creation Functions ---
 
   function createLine(ctx, labels, datasets, opts = {}) {
@@ -89,7 +201,7 @@ const ChartHelpers = (function () {
     const cfg = {
       type: "line",
       data: { labels, datasets: formattedDatasets },
-      options: Object.assign({}, baseOptions, opts),
+      options: Object.assign(baseOptions(), opts),
     };
     return new Chart(ctx, cfg);
   }
@@ -106,7 +218,7 @@ const ChartHelpers = (function () {
     const cfg = {
       type: "bar",
       data: { labels, datasets: formattedDatasets },
-      options: Object.assign({}, baseOptions, opts),
+      options: Object.assign(baseOptions(), opts),
     };
     return new Chart(ctx, cfg);
   }
@@ -122,7 +234,7 @@ const ChartHelpers = (function () {
     const cfg = {
       type: "scatter",
       data: { datasets: formattedDatasets },
-      options: Object.assign({}, baseOptions, opts),
+      options: Object.assign(baseOptions(), opts),
     };
     return new Chart(ctx, cfg);
   }
@@ -138,11 +250,11 @@ const ChartHelpers = (function () {
                 // Use semi-transparent colors from the palette
                 backgroundColor: getPalette(labels.length).map(c => c.replace(/[^,]+(?=\))/, '0.7')), 
                 // Card background border for visibility, especially in dark mode
-                borderColor: getCssVariable('--card-bg'), 
-                borderWidth: 1,
+                borderColor: opts.borderColor || getCssVariable('--card-bg'), 
+                borderWidth: opts.borderWidth || 1,
             }]
         },
-        options: Object.assign({}, baseOptions, {
+        options: Object.assign(baseOptions(), {
             scales: {
                 r: {
                     angleLines: { color: getCssVariable('--border') },
@@ -184,11 +296,11 @@ const ChartHelpers = (function () {
     const cfg = {
       type: "boxplot",
       data: { labels, datasets: formattedDatasets },
-      options: Object.assign({}, baseOptions, {
+      options: Object.assign(baseOptions(), {
         // Specific Boxplot options, like ensuring the X-scale is categorical
         scales: {
-            x: { type: 'category', ticks: { color: getCssVariable('--muted') } },
-            y: { ticks: { color: getCssVariable('--muted') } },
+            x: { type: 'category' },
+            y: {},
         }
       }, opts),
     };
@@ -221,17 +333,17 @@ const ChartHelpers = (function () {
                     // Dynamically set the alpha channel for the heatmap effect
                     return baseColor.replace(/[^,]+(?=\))/, alpha); 
                 }),
-                // Ensure cells don't touch edges or each other
-                width: ({chart}) => (chart.chartArea.width / Math.max(1, labels.x.length)) - 6,
-                height: ({chart}) => (chart.chartArea.height / Math.max(1, labels.y.length)) - 6,
+                // Ensure cells don't touch edges or each other (opts.cellGap px apart, default 6)
+                width: ({chart}) => Math.max(1, (chart.chartArea.width / Math.max(1, labels.x.length)) - (opts.cellGap ?? 6)),
+                height: ({chart}) => Math.max(1, (chart.chartArea.height / Math.max(1, labels.y.length)) - (opts.cellGap ?? 6)),
                 // Add border styling for dark mode visibility
-                borderColor: getCssVariable('--card-bg'), 
-                borderWidth: 1,
+                borderColor: opts.borderColor || getCssVariable('--card-bg'), 
+                borderWidth: opts.borderWidth || 1,
                 borderRadius: 4,
                 hoverBackgroundColor: getColor(0).replace(/[^,]+(?=\))/, '0.6'),
             }]
         },
-        options: Object.assign({}, baseOptions, {
+        options: Object.assign(baseOptions(), {
             plugins: {
                 tooltip: {
                     callbacks: {
@@ -251,55 +363,253 @@ const ChartHelpers = (function () {
     return new Chart(ctx, cfg);
   }
   
-  function createSunburst(ctx, dataPoints, opts = {}) {
-    // Requires chartjs-chart-sunburst plugin
-    // dataPoints must be an array of objects like { key: 'Group/Subgroup', value: 10 }
-    
-    // Check for plugin availability
-    if (typeof Chart.controllers.sunburst === 'undefined') {
-        console.error("Chart.js Sunburst plugin is missing. Cannot create sunburst chart.");
+  // --- Hierarchy Charts (Hierarchy.build trees) ---
+
+  /** Mixes two #rgb/#rrggbb colours; t = 0 gives `a`, 1 gives `b`. Other formats return `a`. */
+  function mixColors(a, b, t) {
+    const parse = (c) => {
+      const hex = String(c).trim().replace(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i, '#$1$1$2$2$3$3');
+      return /^#[0-9a-f]{6}$/i.test(hex) ? [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)) : null;
+    };
+    const x = parse(a), y = parse(b);
+    if (!x || !y) return a;
+    return `#${x.map((v, i) => Math.round(v + (y[i] - v) * t).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Colour of a hierarchy node: its top-level ancestor's palette colour, fading towards the card
+   * background at each level down and alternating slightly between siblings. Resolved at draw
+   * time, so it follows the theme.
+   */
+  function hierarchyColor(node, topLabels, sibling = 0) {
+    const top = Math.max(0, topLabels.indexOf(node.path[0]));
+    const t = Math.min(0.75, 0.22 * Math.max(0, node.path.length - 1) + (sibling % 2) * 0.08);
+    return mixColors(getColor(top), getCssVariable('--card-bg'), t);
+  }
+
+  /** Shortens text with an ellipsis to fit a width on a canvas context. */
+  function fitText(c, text, width) {
+    if (c.measureText(text).width <= width) return text;
+    let t = text;
+    while (t.length > 1 && c.measureText(`${t}…`).width > width) t = t.slice(0, -1);
+    return `${t}…`;
+  }
+
+  /**
+   * Zoomable sunburst of a Hierarchy node, drawn as concentric doughnut rings (innermost: the
+   * node's children). Clicking a segment calls opts.onSelect(node); clicking the centre calls
+   * opts.onZoomOut(). Built on Chart.js' doughnut, so no plugin is needed.
+   * @param {object} focus - Hierarchy node at the centre.
+   * @param {object} [opts] - { title, depth (rings, default 3), topLabels (labels that fix the
+   *   colours, default the focus's children), format(value), onSelect, onZoomOut }.
+   */
+  function createSunburst(ctx, focus, opts = {}) {
+    const depth = opts.depth || 3;
+    const format = opts.format || ((v) => v.toLocaleString('en-US'));
+    const topLabels = opts.topLabels || focus.children.map(c => c.label);
+
+    // One array per ring in depth-first order, so children sit under their parent; a node with
+    // fewer levels below it leaves a transparent gap in the outer rings
+    const rings = [];
+    const walk = (n, d) => {
+      if (d >= depth) return;
+      n.children.forEach((child, i) => {
+        (rings[d] = rings[d] || []).push({ node: child, sibling: i });
+        if (child.children.length) walk(child, d + 1);
+        else for (let k = d + 1; k < depth; k++) (rings[k] = rings[k] || []).push({ node: child, gap: true });
+      });
+    };
+    walk(focus, 0);
+    while (rings.length && rings[rings.length - 1].every(e => e.gap)) rings.pop();
+    if (rings.length === 0) rings.push([{ node: focus, sibling: 0 }]); // A leaf fills one ring
+
+    const datasets = rings.slice().reverse().map(ring => ({ // Chart.js draws the first dataset outermost
+        data: ring.map(e => e.node.value),
+        entries: ring,
+        backgroundColor: (c) => {
+            const e = ring[c.dataIndex];
+            return e && !e.gap ? hierarchyColor(e.node, topLabels, e.sibling) : 'transparent';
+        },
+        borderColor: () => getCssVariable('--card-bg'),
+        borderWidth: (c) => (ring[c.dataIndex] && ring[c.dataIndex].gap ? 0 : 1),
+        hoverOffset: 0,
+    }));
+    const entryAt = (el) => el && el.element && datasets[el.datasetIndex].entries[el.index];
+    const centre = (chart) => chart.getDatasetMeta(chart.data.datasets.length - 1).data[0];
+
+    // Focus label and total in the hole; clicking it zooms out
+    const centreLabel = {
+        id: 'sunburstCentre',
+        afterDraw(chart) {
+            const arc = centre(chart);
+            if (!arc) return;
+            const c = chart.ctx;
+            const width = Math.max(20, arc.innerRadius * 1.8);
+            c.save();
+            c.textAlign = 'center';
+            c.textBaseline = 'middle';
+            c.fillStyle = getCssVariable('--text');
+            c.font = `600 12px ${Chart.defaults.font.family}`;
+            c.fillText(fitText(c, focus.label, width), arc.x, arc.y - 8);
+            c.fillStyle = getCssVariable('--muted');
+            c.font = `12px ${Chart.defaults.font.family}`;
+            c.fillText(fitText(c, format(focus.value), width), arc.x, arc.y + 8);
+            c.restore();
+        },
+    };
+
+    const cfg = {
+        type: 'doughnut',
+        data: { labels: [], datasets },
+        plugins: [centreLabel],
+        options: Object.assign(baseOptions(), {
+            cutout: '24%',
+            plugins: {
+                legend: { display: false },
+                title: { display: !!opts.title, text: opts.title || '' },
+                tooltip: {
+                    filter: (item) => !item.dataset.entries[item.dataIndex].gap,
+                    callbacks: {
+                        title: (items) => items[0].dataset.entries[items[0].dataIndex].node.path.join(' › '),
+                        label: (item) => {
+                            const value = item.dataset.entries[item.dataIndex].node.value;
+                            return `${format(value)} (${focus.value > 0 ? ((value / focus.value) * 100).toFixed(1) : '—'}% of ${focus.label})`;
+                        },
+                    },
+                },
+            },
+            scales: {}, // No axes on a doughnut
+            onHover: (evt, elements, chart) => {
+                const e = entryAt(elements[0]);
+                chart.canvas.style.cursor = (e && !e.gap) || (opts.onZoomOut && focus.level > 0) ? 'pointer' : 'default';
+            },
+            onClick: (evt, elements, chart) => {
+                const e = entryAt(elements[0]);
+                if (e && !e.gap && e.node !== focus) {
+                    if (opts.onSelect) opts.onSelect(e.node);
+                    return;
+                }
+                const arc = centre(chart);
+                if (arc && opts.onZoomOut && Math.hypot(evt.x - arc.x, evt.y - arc.y) < arc.innerRadius) opts.onZoomOut();
+            },
+        }),
+    };
+    return new Chart(ctx, cfg);
+  }
+
+  /**
+   * Zoomable treemap of a Hierarchy node: its children, each split into its own children when
+   * it has any. Clicking a rectangle calls opts.onSelect(node) for the innermost one clicked.
+   * Requires the chartjs-chart-treemap plugin.
+   * @param {object} focus - Hierarchy node whose descendants are shown.
+   * @param {object} [opts] - { title, topLabels, format(value), onSelect } (see createSunburst).
+   */
+  function createTreemap(ctx, focus, opts = {}) {
+    if (typeof Chart.controllers.treemap === 'undefined') {
+        console.error("Chart.js Treemap plugin is missing. Cannot create treemap chart.");
         return null;
     }
+    const format = opts.format || ((v) => v.toLocaleString('en-US'));
+    const topLabels = opts.topLabels || focus.children.map(c => c.label);
+
+    // Rectangles are grouped by node id (labels repeat, e.g. the same year under every disease)
+    const byId = {};
+    const tree = [];
+    const nested = focus.children.some(c => c.children.length);
+    const add = (node, sibling) => { byId[node.id] = { node, sibling }; };
+    if (focus.children.length === 0) {
+        add(focus, 0);
+        tree.push({ outer: focus.id, inner: focus.id, value: focus.value });
+    }
+    focus.children.forEach((child, i) => {
+        add(child, i);
+        if (nested && child.children.length) {
+            child.children.forEach((g, j) => { add(g, j); tree.push({ outer: child.id, inner: g.id, value: g.value }); });
+        } else {
+            tree.push({ outer: child.id, inner: child.id, value: child.value });
+        }
+    });
+    const entry = (raw) => (raw ? byId[raw.g] : null);
 
     const cfg = {
-        type: 'sunburst',
+        type: 'treemap',
         data: {
             datasets: [{
-                label: opts.label || 'Data Distribution',
-                key: 'key', // key in the data object for hierarchy path
-                value: 'value', // key in the data object for the value
-                data: dataPoints,
-                // Automatically assign colors based on the default palette
-                backgroundColor: getPalette(chartColors.length).map(c => c.replace(/[^,]+(?=\))/, '0.9')),
+                label: focus.label,
+                tree,
+                key: 'value',
+                groups: nested ? ['outer', 'inner'] : ['outer'],
+                spacing: 1,
                 borderWidth: 1,
-                borderColor: getCssVariable('--card-bg'),
-                // Define the groups based on the key paths (Example structure)
-                groups: opts.groups || [
-                    { key: 'group1', label: 'Group 1' },
-                    { key: 'group2', label: 'Group 2' },
-                ]
-            }]
+                borderColor: () => getCssVariable('--card-bg'),
+                backgroundColor: (c) => {
+                    const e = c.type === 'data' ? entry(c.raw) : null;
+                    return e ? hierarchyColor(e.node, topLabels, e.sibling) : 'transparent';
+                },
+                captions: {
+                    display: nested,
+                    color: () => getCssVariable('--text'),
+                    formatter: (c) => { const e = entry(c.raw); return e ? `${e.node.label} (${format(e.node.value)})` : ''; },
+                },
+                labels: {
+                    display: true,
+                    overflow: 'hidden',
+                    color: () => getCssVariable('--text'),
+                    formatter: (c) => { const e = entry(c.raw); return e ? [e.node.label, format(e.node.value)] : ''; },
+                },
+            }],
         },
-        options: Object.assign({}, baseOptions, {
-            rotation: 0,
-            animation: false,
+        options: Object.assign(baseOptions(), {
             plugins: {
                 legend: { display: false },
+                title: { display: !!opts.title, text: opts.title || '' },
                 tooltip: {
                     callbacks: {
-                        // Display the full path in the tooltip title
-                        title: (items) => items[0].element.$groups.join(' / '),
-                        label: (item) => `${item.label}: ${item.formattedValue}`,
-                    }
+                        title: (items) => { const e = entry(items[0].raw); return e ? e.node.path.join(' › ') : ''; },
+                        label: (item) => {
+                            const value = item.raw.v;
+                            return `${format(value)} (${focus.value > 0 ? ((value / focus.value) * 100).toFixed(1) : '—'}% of ${focus.label})`;
+                        },
+                    },
                 },
             },
-            // Remove scales for sunburst charts
-            scales: {}, 
-        }, opts)
+            scales: { x: { display: false }, y: { display: false } },
+            interaction: { mode: 'point', intersect: true }, // Every rectangle under the pointer
+            onHover: (evt, elements, chart) => { chart.canvas.style.cursor = elements.length ? 'pointer' : 'default'; },
+            onClick: (evt, elements, chart) => {
+                // Nested rectangles overlap their group's; the deepest one is the one clicked
+                const deepest = elements.map(el => entry(chart.data.datasets[el.datasetIndex].data[el.index])).filter(Boolean)
+                    .sort((a, b) => b.node.level - a.node.level)[0];
+                if (deepest && deepest.node !== focus && opts.onSelect) opts.onSelect(deepest.node);
+            },
+        }),
     };
     return new Chart(ctx, cfg);
   }
-  
+
+  /**
+   * Line dataset for a forecast (forecast.js result): a dashed extension starting from the last
+   * observed point, with its prediction interval drawn by the interval band plugin.
+   * @param {string[]} labels - Chart labels (observed and forecast years).
+   * @param {{year: string, value: number}} last - Last observed point, so the line joins the series.
+   * @param {object} result - Forecast.forecast() output.
+   * @param {object} [opts] - Dataset overrides (label, yAxisID, borderColor, ...).
+   */
+  function forecastDataset(labels, last, result, opts = {}) {
+    const byYear = Object.fromEntries(result.points.map(p => [p.year, p]));
+    if (last) byYear[last.year] = { value: last.value, low: last.value, high: last.value };
+    return Object.assign({
+        label: `Forecast (${Forecast.METHODS[result.method]})`,
+        data: labels.map(y => byYear[y]?.value ?? null),
+        band: labels.map(y => (byYear[y] ? { low: byYear[y].low, high: byYear[y].high } : null)),
+        borderDash: [4, 4],
+        pointRadius: 2,
+        backgroundColor: 'transparent',
+        fill: false,
+        tension: 0,
+    }, opts);
+  }
+
   // --- Module Return ---
 
   return {
@@ -309,7 +619,9 @@ const ChartHelpers = (function () {
     createBox,
     createMatrix,
     createSunburst,
+    createTreemap,
     createPolar,
+    forecastDataset,
     getColor,
     getPalette,
     getCssVariable,
@@ -0,0 +1,212 @@
+// assets/js/classify.js
+// Classification schemes for choropleth breaks, computed from the values currently shown
+// (one disease/year/metric slice) instead of fixed thresholds.
+//
+// Breaks are k + 1 ascending boundaries [min, b1, ..., max]; class i covers
+// (breaks[i], breaks[i + 1]] and the first class also includes the minimum.
+
+const Classify = (function () {
+
+  const METHODS = {
+    quantile: 'Quantile',
+    equal: 'Equal interval',
+    jenks: 'Natural breaks (Jenks)',
+    stddev: 'Standard deviation',
+    manual: 'Manual',
+  };
+
+  const MIN_CLASSES = 2;
+  const MAX_CLASSES = 9;
+
+  function sortedValues(values) {
+    return values.filter(v => v !== null && v !== undefined && isFinite(v)).sort((a, b) => a - b);
+  }
+
+  function quantileBreaks(sorted, k) {
+    const out = [sorted[0]];
+    for (let i = 1; i < k; i++) {
+      // Linear interpolation between order statistics
+      const pos = (sorted.length - 1) * (i / k);
+      const lo = Math.floor(pos);
+      out.push(sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo));
+    }
+    out.push(sorted[sorted.length - 1]);
+    return out;
+  }
+
+  function equalBreaks(sorted, k) {
+    const min = sorted[0], max = sorted[sorted.length - 1];
+    const step = (max - min) / k;
+    return Array.from({ length: k + 1 }, (_, i) => (i === k ? max : min + step * i));
+  }
+
+  /** Fisher-Jenks optimal classification (minimises within-class variance); O(k·n²). */
+  function jenksBreaks(sorted, k) {
+    const n = sorted.length;
+    // lower[l][m]: index of the first value of the last class in the best l-class split of values 1..m
+    const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+    const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+    for (let j = 1; j <= k; j++) { lower[1][j] = 1; variance[1][j] = 0; }
+
+    for (let m = 2; m <= n; m++) {
+      let sum = 0, sumSq = 0, w = 0, v = 0;
+      for (let l = 1; l <= m; l++) {
+        const i = m - l + 1; // Candidate start of the last class
+        const val = sorted[i - 1];
+        w++;
+        sum += val;
+        sumSq += val * val;
+        v = sumSq - (sum * sum) / w;
+        if (i > 1) {
+          for (let j = 2; j <= k; j++) {
+            if (variance[m][j] >= v + variance[i - 1][j - 1]) {
+              lower[m][j] = i;
+              variance[m][j] = v + variance[i - 1][j - 1];
+            }
+          }
+        }
+      }
+      lower[m][1] = 1;
+      variance[m][1] = v;
+    }
+
+    const out = new Array(k + 1);
+    out[0] = sorted[0];
+    out[k] = sorted[n - 1];
+    let m = n;
+    for (let j = k; j >= 2; j--) {
+      const start = lower[m][j] - 1; // 0-based index of the first value in class j
+      out[j - 1] = sorted[start - 1]; // Upper bound of class j - 1 is its largest value
+      m = start;
+    }
+    return out;
+  }
+
+  /** Classes one standard deviation wide, centred on the mean (a class boundary when k is even). */
+  function stddevBreaks(sorted, k) {
+    const n = sorted.length;
+    const mean = sorted.reduce((s, v) => s + v, 0) / n;
+    const sd = Math.sqrt(sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+    const out = [sorted[0]];
+    for (let i = 1; i < k; i++) out.push(mean + (i - k / 2) * sd);
+    out.push(sorted[n - 1]);
+    return out;
+  }
+
+  /**
+   * Parses manual breaks separated by commas, semicolons or spaces, e.g. "100, 1000; 10000".
+   * @param {string|number[]} spec - Interior boundaries.
+   * @returns {number[]} Sorted, de-duplicated numbers (invalid entries dropped).
+   */
+  function parseManual(spec) {
+    const list = Array.isArray(spec) ? spec : String(spec || '').split(/[,;\s]+/).filter(Boolean);
+    const nums = list.map(Number).filter(v => isFinite(v));
+    return [...new Set(nums)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Computes class boundaries for a set of values.
+   * @param {Array<number|null>} values - Values of the current slice; nulls ("no data") are ignored.
+   * @param {string} method - One of METHODS.
+   * @param {number} k - Number of classes (ignored for 'manual', where it follows the breaks).
+   * @param {object} [opts] - { manual: string|number[] } interior boundaries for 'manual'.
+   * @returns {number[]} Ascending boundaries; empty when there are no values.
+   */
+  function breaks(values, method, k, opts = {}) {
+    const sorted = sortedValues(values);
+    if (sorted.length === 0) return [];
+    k = Math.max(MIN_CLASSES, Math.min(MAX_CLASSES, Math.round(k) || 5));
+
+    let out;
+    if (method === 'manual') {
+      const inner = parseManual(opts.manual).filter(b => b > sorted[0] && b < sorted[sorted.length - 1]);
+      out = [sorted[0], ...inner, sorted[sorted.length - 1]];
+    } else if (method === 'equal') {
+      out = equalBreaks(sorted, k);
+    } else if (method === 'jenks') {
+      out = jenksBreaks(sorted, Math.min(k, sorted.length));
+    } else if (method === 'stddev') {
+      out = stddevBreaks(sorted, k);
+    } else if (method === 'quantile') {
+      out = quantileBreaks(sorted, k);
+    } else {
+      throw new Error(`Unknown classification method: ${method}`);
+    }
+
+    // Drop boundaries that collapse classes (ties, or std-dev bounds beyond the data range)
+    return out
+      .map(b => Math.min(sorted[sorted.length - 1], Math.max(sorted[0], b)))
+      .filter((b, i, arr) => i === 0 || b > arr[i - 1]);
+  }
+
+  /**
+   * Breaks for a diverging scale centred on zero: the method is applied to the absolute
+   * values and mirrored, so 0 is always a boundary and both sides share the same ranges.
+   * @param {Array<number|null>} values - Signed values (e.g. changes).
+   * @param {string} method - One of METHODS ('manual' boundaries are taken as magnitudes).
+   * @param {number} k - Classes per side.
+   * @param {object} [opts] - As for breaks().
+   * @returns {number[]} Ascending boundaries [-max, ..., 0, ..., max]; empty when there are no values.
+   */
+  function divergingBreaks(values, method, k, opts = {}) {
+    const magnitudes = sortedValues(values).map(Math.abs);
+    if (magnitudes.length === 0) return [];
+    const max = Math.max(...magnitudes);
+    if (max === 0) return [0];
+    // Anchor the magnitude classes at 0 so the class nearest zero starts at no change
+    const side = breaks([0, ...magnitudes], method, k, opts).filter(b => b > 0);
+    return [...side.slice().reverse().map(b => -b), 0, ...side];
+  }
+
+  /**
+   * Index of the class a value falls in, or -1 for no data.
+   * @param {number|null} value
+   * @param {number[]} bounds - Result of breaks().
+   */
+  function classOf(value, bounds) {
+    if (value === null || value === undefined || !isFinite(value) || bounds.length === 0) return -1;
+    const last = Math.max(0, bounds.length - 2);
+    for (let i = 0; i < last; i++) {
+      if (value <= bounds[i + 1]) return i;
+    }
+    return last;
+  }
+
+  /** Number of values in each class. */
+  function counts(values, bounds) {
+    const out = new Array(Math.max(1, bounds.length - 1)).fill(0);
+    values.forEach(v => {
+      const i = classOf(v, bounds);
+      if (i >= 0) out[i]++;
+    });
+    return out;
+  }
+
+  /**
+   * Spreads a colour ramp over n classes by interpolating between its anchor colours.
+   * @param {string[]} anchors - Hex colours, light to dark.
+   * @param {number} n
+   * @returns {string[]} n hex colours.
+   */
+  function ramp(anchors, n) {
+    if (n <= 1) return [anchors[anchors.length - 1]];
+    const rgb = anchors.map(h => [1, 3, 5].map(i => parseInt(h.slice(i, i + 2), 16)));
+    return Array.from({ length: n }, (_, i) => {
+      const pos = (i / (n - 1)) * (rgb.length - 1);
+      const lo = Math.floor(pos), hi = Math.min(lo + 1, rgb.length - 1), t = pos - lo;
+      return '#' + rgb[lo].map((c, j) => Math.round(c + (rgb[hi][j] - c) * t).toString(16).padStart(2, '0')).join('');
+    });
+  }
+
+  return {
+    METHODS,
+    MIN_CLASSES,
+    MAX_CLASSES,
+    breaks,
+    divergingBreaks,
+    classOf,
+    counts,
+    parseManual,
+    ramp,
+  };
+})();
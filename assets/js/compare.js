@@ -0,0 +1,412 @@
+// assets/js/compare.js
+// Comparison page (compare.html?states=CA,TX&disease=...&from=...&to=...): 2-6 states side by
+// side for one disease over a year range — overlaid rate trends, pooled rates with their
+// intervals, a stats table with national ranks, small-multiple mini-maps and a matrix of
+// pairwise rate ratios. States are picked here, from a preset (neighbours of a state, top 5
+// by rate) or by shift-clicking states on the national map.
+
+const GEOJSON_PATH = 'usa_states.geojson';
+
+const MIN_STATES = 2;
+const MAX_STATES = 6;
+const TOP_N = 5;
+
+// Mini-map classes use the national rate map's colours
+const RATE_COLORS = ['#fef0d9', '#fdcc8a', '#fc8d59', '#e34a33', '#b30000'];
+const NO_DATA_COLOR = '#cccccc';
+// Rate ratio matrix: PRGn ends, as the state page's vs-national verdicts (violet higher, green lower)
+const RATIO_COLORS = { above: '118, 42, 131', below: '27, 120, 55' };
+
+let trendChart, pooledChart, ratioChart;
+let catalog = null;
+let geojson = null;
+let adjacency = {};
+let diseaseCells = []; // DataService 'byDisease' for the selected disease
+let loadedDisease = null;
+
+// The whole selection lives in the query string (see viewState.js); Back/Forward re-renders it
+const compareView = ViewState.create({
+  states: ViewState.types.string(''),
+  disease: ViewState.types.string(),
+  from: ViewState.types.string(),
+  to: ViewState.types.string(),
+}, { onRestore: () => render() });
+
+// Missing values (null) are "no data" and render as an em dash rather than 0
+const formatNum = (n, dec = 0) => (n === null || n === undefined || !isFinite(n)) ? '—' : new Intl.NumberFormat('en-US', { maximumFractionDigits: dec }).format(n);
+const destroyChart = (chartInstance) => { if (chartInstance) try { chartInstance.destroy(); } catch (e) {} };
+const stateName = (code) => (Jurisdictions.byCode(code) || {}).name || code;
+
+/** Selected codes from the URL: known jurisdictions only, no repeats, at most MAX_STATES. */
+function selectedCodes() {
+  const codes = compareView.state.states.split(',').map(c => c.trim().toUpperCase()).filter(c => Jurisdictions.byCode(c));
+  return [...new Set(codes)].slice(0, MAX_STATES);
+}
+
+/** Years the disease has data for, and the chosen range within them (from <= to). */
+function yearRange() {
+  const years = (catalog.yearsByDisease[compareView.state.disease] || []).slice().sort();
+  let from = ViewState.nearest(compareView.state.from || years[0], years);
+  let to = ViewState.nearest(compareView.state.to, years);
+  if (Number(from) > Number(to)) [from, to] = [to, from];
+  return { years, from, to, range: years.filter(y => y >= from && y <= to) };
+}
+
+/** Records a change in the URL (one history entry) and redraws. */
+function update(patch) {
+  compareView.set(patch);
+  render();
+}
+
+// --- Controls ---
+
+function initControls() {
+  const disease = document.getElementById('compareDisease');
+  disease.innerHTML = catalog.diseases.map(d => `<option value="${DataQuality.escapeHtml(d)}">${DataQuality.escapeHtml(d)}</option>`).join('');
+  disease.addEventListener('change', () => update({ disease: disease.value, from: null, to: null }));
+
+  document.getElementById('compareFrom').addEventListener('change', (e) => update({ from: e.target.value }));
+  document.getElementById('compareTo').addEventListener('change', (e) => update({ to: e.target.value }));
+
+  // Every jurisdiction in the dataset, by name
+  const options = catalog.states.map(stateName).map((name, i) => ({ code: catalog.states[i], name }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(s => `<option value="${DataQuality.escapeHtml(s.code)}">${DataQuality.escapeHtml(s.name)}</option>`).join('');
+  document.getElementById('addState').innerHTML = `<option value="">Add a state…</option>${options}`;
+  document.getElementById('neighboursOf').innerHTML = options;
+
+  document.getElementById('addState').addEventListener('change', (e) => {
+    const codes = selectedCodes();
+    const code = e.target.value;
+    e.target.value = '';
+    if (!code || codes.includes(code)) return;
+    if (codes.length >= MAX_STATES) {
+      ViewState.notice(`Up to ${MAX_STATES} states can be compared; remove one first.`);
+      return;
+    }
+    update({ states: [...codes, code].join(',') });
+  });
+
+  document.getElementById('presetNeighbours').addEventListener('click', () => {
+    const code = document.getElementById('neighboursOf').value;
+    const neighbours = Adjacency.neighbours(adjacency, code);
+    if (neighbours.length === 0) {
+      ViewState.notice(`${stateName(code)} has no land neighbours in the map data.`);
+      return;
+    }
+    const codes = [code, ...neighbours];
+    if (codes.length > MAX_STATES) ViewState.notice(`${stateName(code)} has ${neighbours.length} neighbours; showing the first ${MAX_STATES - 1}.`);
+    update({ states: codes.slice(0, MAX_STATES).join(',') });
+  });
+
+  document.getElementById('presetTop').addEventListener('click', () => {
+    const { to } = yearRange();
+    const top = diseaseCells
+      .filter(c => c.year === to && c.per100k !== null)
+      .sort((a, b) => b.per100k - a.per100k)
+      .slice(0, TOP_N)
+      .map(c => c.code);
+    update({ states: top.join(',') });
+  });
+}
+
+/** Puts the controls in line with the URL state. */
+function syncControls(codes, { years, from, to }) {
+  document.getElementById('compareDisease').value = compareView.state.disease;
+  const yearOptions = years.map(y => `<option value="${y}">${y}</option>`).join('');
+  ['compareFrom', 'compareTo'].forEach(id => { document.getElementById(id).innerHTML = yearOptions; });
+  document.getElementById('compareFrom').value = from;
+  document.getElementById('compareTo').value = to;
+
+  const chips = document.getElementById('compareChips');
+  chips.innerHTML = codes.map((code, i) =>
+    `<button type="button" class="btn compare-chip" data-code="${DataQuality.escapeHtml(code)}" title="Remove" style="border-left:4px solid ${ChartHelpers.getColor(i)}">${DataQuality.escapeHtml(stateName(code))} &times;</button>`).join('');
+  chips.querySelectorAll('.compare-chip').forEach(btn => btn.addEventListener('click', () => {
+    update({ states: selectedCodes().filter(c => c !== btn.dataset.code).join(',') });
+  }));
+  if (codes.length && Adjacency.neighbours(adjacency, codes[0]).length) document.getElementById('neighboursOf').value = codes[0];
+}
+
+// --- Figures ---
+
+/**
+ * Per-state figures for the range: the `to`-year cell, pooled cases / person-years over the
+ * range, change in rate and the log-linear APC.
+ */
+function summarize(codes, { from, to, range }) {
+  const toYear = Object.fromEntries(diseaseCells.filter(c => c.year === to).map(c => [c.code, c]));
+  return codes.map(code => {
+    const cells = diseaseCells.filter(c => c.code === code && range.includes(c.year));
+    const byYear = Object.fromEntries(cells.map(c => [c.year, c]));
+    // Pooled over years with both a count and a population, so the rate is per person-year
+    const pooled = RateStats.pooledRate(cells);
+    const first = byYear[from] ? byYear[from].per100k : null;
+    const last = byYear[to] ? byYear[to].per100k : null;
+    const trend = TrendStats.fit(range.map(y => ({ year: y, rate: byYear[y] ? byYear[y].per100k : null })));
+    return {
+      code,
+      name: stateName(code),
+      byYear,
+      cell: toYear[code] || null,
+      rankRate: StateReport.rank(toYear, code, 'per100k'),
+      rankCases: StateReport.rank(toYear, code, 'cases'),
+      pooled: pooled ? { cases: pooled.cases, personYears: pooled.personYears, ci: RateStats.rateCI(pooled.cases, pooled.personYears) } : null,
+      change: first > 0 && last !== null ? ((last - first) / first) * 100 : null,
+      apc: trend ? trend.aapc : null,
+    };
+  });
+}
+
+// Plot 1: rate trends, one line per state
+function drawTrend(stats, { range }) {
+  destroyChart(trendChart);
+  const ctx = document.getElementById('compareTrend').getContext('2d');
+  trendChart = ChartHelpers.createLine(ctx, range, stats.map(s => ({
+    label: s.name,
+    data: range.map(y => (s.byYear[y] ? s.byYear[y].per100k : null)),
+    tension: 0.3,
+    pointRadius: 3,
+    fill: false,
+  })), {
+    plugins: { tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${formatNum(item.parsed.y, 1)} per 100k` } } },
+    scales: { y: { beginAtZero: true, title: { display: true, text: 'Rate per 100k' } } },
+  });
+  DataExport.setData(ctx.canvas, () => ({
+    meta: { states: stats.map(s => s.code).join(', '), disease: compareView.state.disease, year: `${range[0]}–${range[range.length - 1]}`, metric: 'Rate per 100k' },
+    columns: ['year', ...stats.map(s => s.code)],
+    rows: range.map(y => Object.fromEntries([['year', y], ...stats.map(s => [s.code, s.byYear[y] ? s.byYear[y].per100k : null])])),
+    name: DataExport.slug(compareView.state.disease, 'compare-rates'),
+  }));
+}
+
+// Plot 2: rate pooled over the range, with its 95% CI
+function drawPooled(stats, { from, to }) {
+  destroyChart(pooledChart);
+  const ctx = document.getElementById('comparePooled').getContext('2d');
+  pooledChart = ChartHelpers.createBar(ctx, stats.map(s => s.name), [{
+    label: `Rate per 100k person-years, ${from}–${to}`,
+    data: stats.map(s => (s.pooled && s.pooled.ci ? s.pooled.ci.rate : null)),
+    backgroundColor: stats.map((s, i) => ChartHelpers.getColor(i)),
+    errorBars: stats.map(s => (s.pooled ? s.pooled.ci : null)), // 95% exact Poisson CI
+  }], {
+    plugins: { legend: { display: false } },
+    scales: { y: { beginAtZero: true, title: { display: true, text: 'Rate per 100k person-years' } } },
+  });
+}
+
+function renderTable(stats, { from, to }) {
+  const rank = (r) => (r ? `${r.rank} of ${r.of}` : '—');
+  const rows = stats.map(s => `<tr>
+      <td>${DataQuality.escapeHtml(s.name)}</td>
+      <td style="text-align:right">${formatNum(s.cell ? s.cell.cases : null)}</td>
+      <td style="text-align:right">${formatNum(s.cell ? s.cell.per100k : null, 1)}</td>
+      <td style="text-align:right">${RateStats.formatCI(s.cell ? RateStats.rateCI(s.cell.cases, s.cell.population) : null)}</td>
+      <td style="text-align:right">${rank(s.rankRate)}</td>
+      <td style="text-align:right">${rank(s.rankCases)}</td>
+      <td style="text-align:right">${formatNum(s.pooled && s.pooled.ci ? s.pooled.ci.rate : null, 1)}</td>
+      <td style="text-align:right">${s.change === null ? '—' : `${s.change > 0 ? '+' : ''}${formatNum(s.change, 1)}%`}</td>
+      <td>${TrendStats.formatApc(s.apc)}</td>
+    </tr>`).join('');
+  const container = document.getElementById('compareTable');
+  container.innerHTML = `<table class="compare-table">
+    <thead><tr><th>State</th><th style="text-align:right">Cases ${to}</th><th style="text-align:right">Rate/100k ${to}</th><th style="text-align:right">95% CI</th>
+      <th style="text-align:right">Rank by rate</th><th style="text-align:right">Rank by cases</th><th style="text-align:right">Rate ${from}–${to}</th>
+      <th style="text-align:right">Change ${from}→${to}</th><th>APC ${from}–${to}</th></tr></thead>
+    <tbody>${rows}</tbody></table>
+    <div class="small muted">Ranks are among all jurisdictions with data in ${to} (1 = highest). The ${from}–${to} rate pools cases over person-years; APC is the log-linear annual percent change (* significant).</div>`;
+  container.prepend(DataExport.menu({
+    data: () => ({
+      meta: { states: stats.map(s => s.code).join(', '), disease: compareView.state.disease, year: `${from}–${to}`, metric: 'Cases, rate per 100k, ranks, pooled rate and APC' },
+      columns: ['state', 'code', 'cases', 'per100k', 'rankRate', 'rankCases', 'pooledPer100k', 'pooledLow', 'pooledHigh', 'changePct', 'apc', 'apcLow', 'apcHigh'],
+      rows: stats.map(s => ({
+        state: s.name, code: s.code,
+        cases: s.cell ? s.cell.cases : null, per100k: s.cell ? s.cell.per100k : null,
+        rankRate: s.rankRate ? s.rankRate.rank : null, rankCases: s.rankCases ? s.rankCases.rank : null,
+        pooledPer100k: s.pooled && s.pooled.ci ? s.pooled.ci.rate : null,
+        pooledLow: s.pooled && s.pooled.ci ? s.pooled.ci.low : null,
+        pooledHigh: s.pooled && s.pooled.ci ? s.pooled.ci.high : null,
+        changePct: s.change,
+        apc: s.apc ? s.apc.apc : null, apcLow: s.apc ? s.apc.low : null, apcHigh: s.apc ? s.apc.high : null,
+      })),
+    }),
+    name: () => DataExport.slug(compareView.state.disease, 'compare'),
+  }));
+}
+
+/**
+ * Small multiples: each state framed on its own, filled by its rate class in the `to` year
+ * (classes from every jurisdiction that year) with its neighbours faded for context.
+ */
+function renderMiniMaps(stats, { to }) {
+  const container = document.getElementById('compareMiniMaps');
+  container.innerHTML = '';
+  if (!geojson) {
+    container.innerHTML = '<div class="muted">Map data could not be loaded.</div>';
+    return;
+  }
+  const toYear = Object.fromEntries(diseaseCells.filter(c => c.year === to).map(c => [c.code, c]));
+  const values = Object.values(toYear).map(c => c.per100k);
+  const breaks = Classify.breaks(values, 'quantile', RATE_COLORS.length);
+  const colorOf = (code) => {
+    const v = toYear[code] ? toYear[code].per100k : null;
+    const i = Classify.classOf(v, breaks);
+    return i >= 0 ? RATE_COLORS[i] : NO_DATA_COLOR;
+  };
+  const featuresOf = (code) => geojson.features.filter(f => (Jurisdictions.fromFeature(f) || {}).code === code);
+
+  stats.forEach((s, i) => {
+    const own = featuresOf(s.code);
+    const shapes = own.length ? own : [Jurisdictions.pointFeature(Jurisdictions.byCode(s.code))].filter(Boolean);
+    const context = Adjacency.neighbours(adjacency, s.code).flatMap(featuresOf);
+    const svg = DataExport.shapeSvg([...context, ...shapes], {
+      frame: shapes,
+      width: 180,
+      height: 130,
+      style: (f) => {
+        const code = (Jurisdictions.fromFeature(f) || {}).code;
+        return code === s.code
+          ? { fillColor: colorOf(code), fillOpacity: 1, color: ChartHelpers.getColor(i), weight: 2.5 }
+          : { fillColor: colorOf(code), fillOpacity: 0.35, color: '#ffffff', weight: 0.75 };
+      },
+    });
+    const figure = document.createElement('figure');
+    figure.className = 'compare-minimap';
+    figure.appendChild(svg);
+    const caption = document.createElement('figcaption');
+    caption.className = 'small';
+    caption.innerHTML = `<strong></strong><br>${formatNum(s.cell ? s.cell.per100k : null, 1)} per 100k (${to})`;
+    caption.querySelector('strong').textContent = s.name;
+    figure.appendChild(caption);
+    container.appendChild(figure);
+  });
+
+  if (breaks.length > 1) {
+    const legend = document.createElement('div');
+    legend.className = 'compare-legend small';
+    legend.innerHTML = breaks.slice(0, -1).map((b, i) =>
+      `<span><i style="background:${RATE_COLORS[i]}"></i>${formatNum(b, 1)}–${formatNum(breaks[i + 1], 1)}</span>`).join('')
+      + `<span class="muted">Rate per 100k, ${to}, quantiles of all jurisdictions; neighbours faded</span>`;
+    container.appendChild(legend);
+  }
+}
+
+// Plot 3: pairwise rate ratios (row state / column state) over the range
+function drawRatioMatrix(stats, { from, to }) {
+  destroyChart(ratioChart);
+  const canvas = document.getElementById('compareRatio');
+  if (typeof Chart.controllers.matrix === 'undefined') {
+    canvas.parentNode.innerHTML = '<div style="text-align:center; padding:50px;" class="muted">Matrix (Heatmap) chart plugin not loaded.</div>';
+    return;
+  }
+  const codes = stats.map(s => s.code);
+  const byCode = Object.fromEntries(stats.map(s => [s.code, s]));
+  const data = [];
+  stats.forEach(a => stats.forEach(b => {
+    const rr = a.code === b.code || !a.pooled || !b.pooled ? null
+      : RateStats.rateRatio(a.pooled.cases, a.pooled.personYears, b.pooled.cases, b.pooled.personYears);
+    data.push({ x: b.code, y: a.code, v: a.code === b.code ? 1 : rr ? rr.ratio : null, rr });
+  }));
+
+  // Colour by log2 of the ratio, saturating at 4x; only significant ratios are coloured
+  const color = (context) => {
+    const raw = context.raw || {};
+    if (!raw.rr || !raw.rr.significant) return ChartHelpers.getCssVariable('--border') || '#e6eefc';
+    const strength = Math.min(1, Math.abs(Math.log2(raw.rr.ratio)) / 2);
+    return `rgba(${raw.rr.ratio > 1 ? RATIO_COLORS.above : RATIO_COLORS.below}, ${0.25 + 0.75 * strength})`;
+  };
+  ratioChart = ChartHelpers.createMatrix(canvas.getContext('2d'), data, { x: codes, y: codes }, {
+    label: 'Rate ratio',
+    backgroundColor: color,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => `${byCode[items[0].raw.y].name} vs. ${byCode[items[0].raw.x].name}`,
+          label: (item) => {
+            const raw = item.raw;
+            if (raw.x === raw.y) return 'Same state';
+            if (!raw.rr) return 'Not computable (no cases or population)';
+            return `Rate ratio ${formatNum(raw.rr.ratio, 2)} (95% CI ${RateStats.formatCI(raw.rr, 2)})${raw.rr.significant ? '' : ', not significant'}`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: { type: 'category', labels: codes, offset: true, title: { display: true, text: 'Compared with' }, grid: { display: false } },
+      y: { type: 'category', labels: codes, offset: true, title: { display: true, text: 'State' }, grid: { display: false } },
+    },
+  });
+  DataExport.setData(canvas, () => ({
+    meta: { disease: compareView.state.disease, year: `${from}–${to}`, metric: 'Rate ratio (row / column), pooled over the range' },
+    columns: ['state', ...codes],
+    rows: stats.map(a => Object.fromEntries([['state', a.code], ...codes.map(code => {
+      const cell = data.find(d => d.y === a.code && d.x === code);
+      return [code, cell ? cell.v : null];
+    })])),
+    name: DataExport.slug(compareView.state.disease, 'rate-ratios'),
+  }));
+}
+
+// --- Main ---
+
+async function render() {
+  const codes = selectedCodes();
+  if (compareView.state.disease !== loadedDisease) {
+    diseaseCells = await DataService.query('byDisease', { disease: compareView.state.disease });
+    loadedDisease = compareView.state.disease;
+  }
+  const range = yearRange();
+  syncControls(codes, range);
+
+  const title = document.getElementById('compareTitle');
+  const content = document.getElementById('compareContent');
+  const empty = document.getElementById('compareEmpty');
+  title.textContent = `${compareView.state.disease}, ${range.from}–${range.to}`;
+  if (codes.length < MIN_STATES) {
+    content.hidden = true;
+    empty.hidden = false;
+    return;
+  }
+  content.hidden = false;
+  empty.hidden = true;
+
+  const stats = summarize(codes, range);
+  drawTrend(stats, range);
+  drawPooled(stats, range);
+  renderTable(stats, range);
+  renderMiniMaps(stats, range);
+  drawRatioMatrix(stats, range);
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('backToMap').addEventListener('click', () => {
+    const { disease, to } = compareView.state;
+    const q = new URLSearchParams(Object.entries({ disease, year: to, compare: selectedCodes().join(',') }).filter(([, v]) => v));
+    location.href = `map.html?${q.toString()}`;
+  });
+
+  const rows = await window.loadData(); // Parsed and indexed in the data worker; progress shown by main.js
+  if (rows.length === 0) return;
+  catalog = await DataService.query('catalog');
+
+  // Neighbour presets and mini-maps need the GeoJSON; the charts and table do not
+  try {
+    geojson = await (await fetch(GEOJSON_PATH)).json();
+    adjacency = Adjacency.build(geojson);
+  } catch (e) {
+    console.warn('Failed to load GeoJSON; the neighbour preset and mini-maps are unavailable:', e);
+    document.getElementById('presetNeighbours').disabled = true;
+  }
+
+  // A missing, misspelled or stale disease or end year falls back to the nearest the data has
+  // (an open-ended link without them simply starts from the first disease and latest year)
+  const selection = ViewState.resolveSelection(catalog, { disease: compareView.state.disease, year: compareView.state.to }, { required: false });
+  selection.messages.forEach(ViewState.notice);
+  if (compareView.invalid.length) ViewState.notice(`Ignored invalid link settings: ${compareView.invalid.join(', ')}.`);
+  const dropped = compareView.state.states.split(',').filter(c => c.trim() && !Jurisdictions.byCode(c.trim()));
+  if (dropped.length) ViewState.notice(`Unknown state code(s) ignored: ${dropped.join(', ')}.`);
+  compareView.set({ disease: selection.disease, to: compareView.state.to ? selection.year : null, states: selectedCodes().join(',') }, { replace: true });
+
+  initControls();
+  await render();
+});
@@ -0,0 +1,288 @@
+// assets/js/cube.js
+// In-memory data cube over normalized rows (see normalizeRow), indexed by jurisdiction,
+// disease and year. All state/national/regional figures on the map and state pages are
+// derived from the same cells, so totals and rates always agree between views.
+//
+// Duplicate rule: rows that resolve to the same jurisdiction/disease/year are collapsed
+// into one cell, never summed. For each measure the first row that has a value wins; later
+// duplicates only fill measures that earlier rows left empty. DataQuality flags them.
+//
+// Aggregation rule: `cases` and `population` sum over the cells that report them; the rate
+// (`per100k`) uses only cells reporting both, so numerator and denominator always cover
+// the same jurisdictions (`reporting` counts those cells).
+//
+// Stratified rows (age group, sex, race/ethnicity; see STRATIFIERS in normalize.js) never
+// add to a cell's totals. They are kept per cell and stratifier, preferring rows stratified
+// by that one variable and otherwise summing cross-classified rows (e.g. age × sex) over
+// the other variables. A cell with only stratified rows takes its totals from the first
+// stratifier available (`derivedFrom` names it).
+
+const DataCube = (function () {
+
+  const DIMENSIONS = ['state', 'disease', 'year', 'region'];
+  const MEASURES = ['cases', 'population', 'per100k'];
+
+  function cellKey(code, disease, year) {
+    return `${code}|${disease}|${year}`;
+  }
+
+  function rate(cases, population) {
+    return (cases !== null && population > 0) ? (cases / population) * 100000 : null;
+  }
+
+  /** The value of a dimension on a cell ('state' is keyed by postal code). */
+  function dimValue(cell, dim) {
+    if (dim === 'state') return cell.code;
+    if (!DIMENSIONS.includes(dim)) throw new Error(`Unknown cube dimension: ${dim}`);
+    return cell[dim];
+  }
+
+  /** Sums a list of cells following the aggregation rule above. */
+  function summarize(cells) {
+    let cases = null, population = null, ratedCases = 0, ratedPopulation = 0, reporting = 0;
+    cells.forEach(c => {
+      if (c.cases !== null) cases = (cases || 0) + c.cases;
+      if (c.population !== null) population = (population || 0) + c.population;
+      if (c.per100k !== null) {
+        ratedCases += c.cases;
+        ratedPopulation += c.population;
+        reporting++;
+      }
+    });
+    return { cases, population, per100k: rate(ratedCases, ratedPopulation), cells: cells.length, reporting };
+  }
+
+  /**
+   * Builds a cube from normalized rows. Rows without a resolved jurisdiction are counted
+   * in `unresolved` but not indexed (they cannot be joined to a map feature).
+   * @param {object[]} rows - Normalized rows.
+   * @param {function(string, number): void} [onProgress]
+   * @returns {object} Cube API (see the returned object below).
+   */
+  function create(rows, onProgress = () => {}) {
+    const byKey = {};
+    const cells = [];
+    const strataByKey = {}; // cell key -> { marginal|cross: { stratifier: { group: {cases, population} } } }
+    const stratifiersPresent = new Set();
+    let unresolved = 0;
+
+    rows.forEach((r, i) => {
+      if (i % 2000 === 0) onProgress('index', i / rows.length);
+      if (!r.state_code) { unresolved++; return; }
+      const key = cellKey(r.state_code, r.disease, r.year);
+      let cell = byKey[key];
+      if (!cell) {
+        const j = Jurisdictions.byCode(r.state_code);
+        cell = byKey[key] = {
+          state: r.state,
+          code: r.state_code,
+          region: j ? j.region : null,
+          disease: r.disease,
+          year: r.year,
+          cases: null,
+          population: null,
+          population_source: null,
+          population_density: null,
+          duplicates: 0,
+          totalRows: 0,
+        };
+        cells.push(cell);
+      }
+
+      const dims = Object.keys(STRATIFIERS).filter(k => r[k]);
+      if (dims.length > 0) {
+        addStratum(strataByKey[key] = strataByKey[key] || { marginal: {}, cross: {}, seen: new Set() }, r, dims);
+        dims.forEach(d => stratifiersPresent.add(d));
+        return;
+      }
+
+      if (cell.totalRows++ > 0) cell.duplicates++;
+      if (cell.cases === null) cell.cases = r.cases;
+      if (cell.population === null) {
+        cell.population = r.population;
+        cell.population_source = r.population_source || null;
+      }
+      if (cell.population_density === null) cell.population_density = r.population_density;
+    });
+
+    // Resolve each cell's strata and fill totals for cells that only have stratified rows
+    const strata = {};
+    Object.keys(strataByKey).forEach(key => {
+      strata[key] = resolveStrata(strataByKey[key]);
+      const cell = byKey[key];
+      if (cell.totalRows > 0) return;
+      const from = Object.keys(STRATIFIERS).find(d => strata[key][d]);
+      const sum = summarize(strata[key][from].map(g => ({ ...g, per100k: rate(g.cases, g.population) })));
+      cell.cases = sum.cases;
+      cell.population = sum.population;
+      cell.derivedFrom = from;
+    });
+
+    // Secondary indexes: dimension -> value -> cells
+    const index = {};
+    DIMENSIONS.forEach(dim => { index[dim] = {}; });
+    cells.forEach(cell => {
+      cell.per100k = rate(cell.cases, cell.population);
+      DIMENSIONS.forEach(dim => {
+        const v = dimValue(cell, dim);
+        (index[dim][v] = index[dim][v] || []).push(cell);
+      });
+    });
+    Object.values(index.state).forEach(list => list.sort((a, b) => Number(a.year) - Number(b.year)));
+    onProgress('index', 1);
+
+    /**
+     * Cells matching a filter. Each filter value may be a single value or an array.
+     * @param {object} [filter] - e.g. { disease: 'HIV', year: ['2019', '2020'], state: 'CA', region: 'West' }.
+     * @returns {object[]} Matching cells (sorted by year when filtered by state).
+     */
+    function slice(filter = {}) {
+      const dims = Object.keys(filter).filter(d => filter[d] !== undefined && filter[d] !== null);
+      if (dims.length === 0) return cells.slice();
+      const wanted = {};
+      dims.forEach(d => { wanted[d] = new Set([].concat(filter[d]).map(String)); });
+
+      // Start from the smallest index bucket, then test the remaining dimensions
+      let base = null;
+      dims.forEach(d => {
+        const bucket = [].concat(...[...wanted[d]].map(v => index[d][v] || []));
+        if (base === null || bucket.length < base.length) base = bucket;
+      });
+      return base.filter(c => dims.every(d => wanted[d].has(String(dimValue(c, d)))));
+    }
+
+    /**
+     * Groups cells by one or more dimensions and aggregates each group.
+     * @param {string[]} dims - e.g. ['year'] or ['region', 'year'].
+     * @param {object} [filter] - See slice().
+     * @returns {object[]} One entry per group: the dimension values plus summarize() measures.
+     */
+    function groupBy(dims, filter = {}) {
+      const groups = {};
+      const order = [];
+      slice(filter).forEach(c => {
+        const key = dims.map(d => dimValue(c, d)).join('|');
+        if (!groups[key]) {
+          groups[key] = { keys: dims.map(d => dimValue(c, d)), cells: [] };
+          order.push(key);
+        }
+        groups[key].cells.push(c);
+      });
+      return order
+        .map(key => {
+          const g = groups[key];
+          const out = {};
+          dims.forEach((d, i) => { out[d] = g.keys[i]; });
+          if (dims.includes('state')) out.stateName = g.cells[0].state;
+          return Object.assign(out, summarize(g.cells));
+        })
+        .sort((a, b) => compareBy(a, b, dims));
+    }
+
+    /**
+     * Rolls cells up to the national or regional level.
+     * @param {'national'|'region'} level
+     * @param {object} [filter] - See slice().
+     * @param {string[]} [by] - Remaining breakdown, default ['year'].
+     * @returns {object[]} groupBy() output.
+     */
+    function rollup(level, filter = {}, by = ['year']) {
+      if (level === 'national') return groupBy(by, filter);
+      if (level === 'region') return groupBy(['region', ...by.filter(d => d !== 'region')], filter);
+      throw new Error(`Unknown rollup level: ${level}`);
+    }
+
+    /**
+     * Cross-tabulates one measure by two dimensions.
+     * @param {string} rowDim - Dimension for rows (e.g. 'disease').
+     * @param {string} colDim - Dimension for columns (e.g. 'year').
+     * @param {string} measure - 'cases' | 'population' | 'per100k'.
+     * @param {object} [filter] - See slice().
+     * @returns {{rows: string[], cols: string[], values: Array<Array<number|null>>}} values[row][col], null when empty.
+     */
+    function pivot(rowDim, colDim, measure, filter = {}) {
+      if (!MEASURES.includes(measure)) throw new Error(`Unknown cube measure: ${measure}`);
+      const groups = groupBy([rowDim, colDim], filter);
+      const rowsOut = uniqueSorted(groups.map(g => g[rowDim]));
+      const colsOut = uniqueSorted(groups.map(g => g[colDim]));
+      const values = rowsOut.map(() => colsOut.map(() => null));
+      groups.forEach(g => {
+        values[rowsOut.indexOf(g[rowDim])][colsOut.indexOf(g[colDim])] = g[measure];
+      });
+      return { rows: rowsOut, cols: colsOut, values };
+    }
+
+    return {
+      cells,
+      unresolved,
+      stratifiers: Object.keys(STRATIFIERS).filter(d => stratifiersPresent.has(d)),
+      cell: (code, disease, year) => byKey[cellKey(code, disease, year)] || null,
+      /**
+       * Stratified counts for one cell: { stratifier: [{group, cases, population, per100k}] },
+       * with only the stratifiers reported for that cell.
+       */
+      strata: (code, disease, year) => strata[cellKey(code, disease, year)] || {},
+      members: (dim) => uniqueSorted(Object.keys(index[dim] || {})),
+      slice,
+      groupBy,
+      rollup,
+      pivot,
+    };
+  }
+
+  /** Files a stratified row under each of its stratifiers (see the header for the rule). */
+  function addStratum(entry, r, dims) {
+    if (dims.length > 1) {
+      // A repeated cross-classified row is a duplicate: keep the first, never sum it twice
+      const crossKey = Object.keys(STRATIFIERS).map(d => r[d] || '').join('|');
+      if (entry.seen.has(crossKey)) return;
+      entry.seen.add(crossKey);
+    }
+    const bucket = dims.length === 1 ? entry.marginal : entry.cross;
+    dims.forEach(d => {
+      const groups = bucket[d] = bucket[d] || {};
+      const g = groups[r[d]];
+      if (!g) {
+        groups[r[d]] = { cases: r.cases, population: r.population };
+      } else if (dims.length === 1) {
+        // Duplicate marginal row: first non-null value wins, as for cells
+        if (g.cases === null) g.cases = r.cases;
+        if (g.population === null) g.population = r.population;
+      } else {
+        // Cross-classified rows are summed over the other stratifiers
+        if (r.cases !== null) g.cases = (g.cases || 0) + r.cases;
+        if (r.population !== null) g.population = (g.population || 0) + r.population;
+      }
+    });
+  }
+
+  function resolveStrata(entry) {
+    const out = {};
+    Object.keys(STRATIFIERS).forEach(d => {
+      const groups = entry.marginal[d] || entry.cross[d];
+      if (!groups) return;
+      out[d] = Object.keys(groups)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(group => ({ group, ...groups[group], per100k: rate(groups[group].cases, groups[group].population) }));
+    });
+    return out;
+  }
+
+  function compareBy(a, b, dims) {
+    for (const d of dims) {
+      const x = a[d], y = b[d];
+      if (x === y) continue;
+      const nx = Number(x), ny = Number(y);
+      if (!isNaN(nx) && !isNaN(ny)) return nx - ny;
+      return String(x).localeCompare(String(y));
+    }
+    return 0;
+  }
+
+  return {
+    DIMENSIONS,
+    MEASURES,
+    create,
+    summarize,
+  };
+})();
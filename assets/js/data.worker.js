@@ -0,0 +1,56 @@
+// assets/js/data.worker.js
+// Background worker that parses, normalizes, validates and indexes the dataset, then
+// answers typed queries so the pages never scan the full row array on the main thread.
+// Population denominators are re-estimated (Denominators.apply) just before indexing, so the
+// rows handed back by 'parse' (and cached) keep the populations as reported.
+//
+// Messages in:  { id, type: 'parse', payload: { text, population } }
+//               { id, type: 'ingest', payload: { rows, population } }  (rows already parsed, e.g. from cache)
+//               (population: Denominators.parse() result for the population file, or null)
+//               { id, type: 'query', payload: { query, params } }
+// Messages out: { id, type: 'progress', phase, fraction }
+//               { id, type: 'result', result }
+//               { id, type: 'error', message }
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js',
+  'jurisdictions.js',
+  'quality.js',
+  'normalize.js',
+  'denominators.js',
+  'cube.js',
+  'anomaly.js',
+  'queries.js'
+);
+
+let index = null;
+
+/** Applies the denominators and indexes the adjusted rows; returns the Denominators.apply summary. */
+function indexRows(rows, population, progress) {
+  const adjusted = Denominators.apply(rows, population || null);
+  index = DataQueries.buildIndex(adjusted.rows, progress);
+  return adjusted.summary;
+}
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  const progress = (phase, fraction) => self.postMessage({ id, type: 'progress', phase, fraction });
+
+  try {
+    let result;
+    if (type === 'parse') {
+      const { rows, quality } = parseDataset(payload.text, progress);
+      result = { rows, quality, denominators: indexRows(rows, payload.population, progress) };
+    } else if (type === 'ingest') {
+      result = { count: payload.rows.length, denominators: indexRows(payload.rows, payload.population, progress) };
+    } else if (type === 'query') {
+      if (!index) throw new Error('No dataset loaded in worker.');
+      result = DataQueries.run(index, payload.query, payload.params);
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,270 @@
+// assets/js/dataGrid.js
+// A small data grid: sortable columns, a text filter, select filters (e.g. region) and
+// pagination over an array of row objects, plus an inline SVG sparkline for trend cells.
+// Rendering is plain DOM; the page supplies the columns, the rows and what hovering or
+// clicking a row does.
+//
+// Sorting puts missing values (null) last in either direction. Filters and sorting keep
+// their state when the rows are replaced (e.g. on the next timeline frame).
+
+const DataGrid = (function () {
+
+  const PAGE_SIZES = [10, 25, 50, 0]; // 0 = all rows
+  const DEFAULT_PAGE_SIZE = 10;
+
+  const escapeHtml = DataQuality.escapeHtml; // quality.js
+
+  /**
+   * Inline SVG sparkline for a series, with the highlighted point (e.g. the selected year) drawn
+   * as a dot. Gaps (null) break the line.
+   * @param {Array<number|null>} values
+   * @param {object} [opts] - { width, height, color, highlight: index, title }
+   * @returns {string} SVG markup ('' when there are no values).
+   */
+  function sparkline(values, opts = {}) {
+    const width = opts.width || 90, height = opts.height || 22, pad = 2;
+    const present = values.filter(v => v !== null && v !== undefined && isFinite(v));
+    if (present.length === 0) return '';
+    const min = Math.min(...present), max = Math.max(...present);
+    const x = (i) => pad + (values.length > 1 ? (i * (width - 2 * pad)) / (values.length - 1) : (width - 2 * pad) / 2);
+    const y = (v) => height - pad - (max > min ? ((v - min) * (height - 2 * pad)) / (max - min) : (height - 2 * pad) / 2);
+
+    const segments = [];
+    let current = [];
+    values.forEach((v, i) => {
+      if (v === null || v === undefined || !isFinite(v)) {
+        if (current.length) segments.push(current);
+        current = [];
+      } else {
+        current.push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+      }
+    });
+    if (current.length) segments.push(current);
+
+    const color = opts.color || 'currentColor';
+    const lines = segments.map(points => (points.length > 1
+      ? `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>`
+      : `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="1.5" fill="${color}"/>`)).join('');
+    const h = opts.highlight;
+    const dot = h !== undefined && h !== null && values[h] !== null && values[h] !== undefined && isFinite(values[h])
+      ? `<circle cx="${x(h).toFixed(1)}" cy="${y(values[h]).toFixed(1)}" r="2.5" fill="${color}"/>` : '';
+    const title = opts.title ? `<title>${escapeHtml(opts.title)}</title>` : '';
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${title}${lines}${dot}</svg>`;
+  }
+
+  /** Comparator on one column; nulls last whatever the direction. */
+  function comparator(column, dir) {
+    const value = column.sortValue || ((row) => row[column.key]);
+    return (a, b) => {
+      const va = value(a), vb = value(b);
+      const na = va === null || va === undefined || (typeof va === 'number' && !isFinite(va));
+      const nb = vb === null || vb === undefined || (typeof vb === 'number' && !isFinite(vb));
+      if (na || nb) return na === nb ? 0 : na ? 1 : -1;
+      const c = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      return dir === 'desc' ? -c : c;
+    };
+  }
+
+  /**
+   * Creates a grid in a container.
+   * @param {HTMLElement} container
+   * @param {object} opts
+   * @param {Array<object>} opts.columns - { key, label, align: 'right'?, format(value, row) -> HTML,
+   *   sortValue(row)?, sortable (default true), firstSort: 'asc'|'desc'? (default: numbers high-to-low,
+   *   text A-Z), title? }.
+   * @param {function(object): string} opts.rowKey - Stable id of a row.
+   * @param {function(object): string} [opts.searchText] - Text the filter box matches (default: every value).
+   * @param {Array<object>} [opts.filters] - Select filters: { key, label, options(rows) -> [{value, label}] };
+   *   a row matches when row[key] equals the selected value ('' = all).
+   * @param {object} [opts.state] - Initial { sort: {key, dir}, query, filters: {key: value}, pageSize }.
+   * @param {function(object, string): void} [opts.onStateChange] - Called with the new state and what
+   *   changed ('sort', 'query', 'filter', 'page').
+   * @param {function(object|null): void} [opts.onRowHover] - Row under the pointer (null on leave).
+   * @param {function(object): void} [opts.onRowClick] - Row clicked (or Enter on a focused row).
+   * @param {string} [opts.emptyText]
+   * @returns {{setRows: function(object[]): void, setState: function(object): void, state: object, visibleRows: function(): object[]}}
+   */
+  function create(container, opts) {
+    const initial = opts.state || {};
+    const state = {
+      sort: initial.sort || null,
+      query: initial.query || '',
+      filters: Object.assign({}, initial.filters),
+      pageSize: initial.pageSize !== undefined ? initial.pageSize : DEFAULT_PAGE_SIZE,
+      page: 0,
+    };
+    let rows = [];
+
+    container.classList.add('data-grid');
+    container.innerHTML = `
+      <div class="data-grid-toolbar">
+        <input type="search" class="data-grid-search" placeholder="Filter…" aria-label="Filter rows">
+        ${(opts.filters || []).map(f => `<label class="small">${escapeHtml(f.label)}: <select class="select data-grid-filter" data-key="${f.key}"></select></label>`).join('')}
+        <span class="data-grid-count small muted" aria-live="polite"></span>
+      </div>
+      <div class="data-grid-scroll"><table class="data-grid-table"><thead></thead><tbody></tbody></table></div>
+      <div class="data-grid-pager small">
+        <button type="button" class="btn" data-page="-1" aria-label="Previous page">&lsaquo;</button>
+        <span class="data-grid-page"></span>
+        <button type="button" class="btn" data-page="1" aria-label="Next page">&rsaquo;</button>
+        <label>Rows: <select class="select data-grid-size">${PAGE_SIZES.map(n => `<option value="${n}">${n || 'All'}</option>`).join('')}</select></label>
+      </div>`;
+
+    const search = container.querySelector('.data-grid-search');
+    const thead = container.querySelector('thead');
+    const tbody = container.querySelector('tbody');
+    const count = container.querySelector('.data-grid-count');
+    const pageLabel = container.querySelector('.data-grid-page');
+    const size = container.querySelector('.data-grid-size');
+    const changed = (what) => { if (opts.onStateChange) opts.onStateChange(publicState(), what); };
+
+    function publicState() {
+      return { sort: state.sort, query: state.query, filters: Object.assign({}, state.filters), pageSize: state.pageSize };
+    }
+
+    function filtered() {
+      const q = state.query.trim().toLowerCase();
+      const text = opts.searchText || ((row) => Object.values(row).filter(v => typeof v !== 'object').join(' '));
+      let out = rows.filter(row =>
+        (!q || text(row).toLowerCase().includes(q)) &&
+        Object.entries(state.filters).every(([key, value]) => !value || String(row[key]) === value));
+      const column = state.sort && opts.columns.find(c => c.key === state.sort.key);
+      if (column) out = out.slice().sort(comparator(column, state.sort.dir));
+      return out;
+    }
+
+    function renderHead() {
+      thead.innerHTML = `<tr>${opts.columns.map(c => {
+        const sortable = c.sortable !== false;
+        const dir = state.sort && state.sort.key === c.key ? state.sort.dir : null;
+        const aria = sortable ? ` aria-sort="${dir === 'asc' ? 'ascending' : dir === 'desc' ? 'descending' : 'none'}"` : '';
+        const arrow = dir ? (dir === 'asc' ? ' ▲' : ' ▼') : '';
+        const label = sortable ? `<button type="button" class="data-grid-sort" data-key="${c.key}">${escapeHtml(c.label)}${arrow}</button>` : escapeHtml(c.label);
+        return `<th${aria}${c.align ? ` style="text-align:${c.align}"` : ''}${c.title ? ` title="${escapeHtml(c.title)}"` : ''}>${label}</th>`;
+      }).join('')}</tr>`;
+    }
+
+    function renderFilters() {
+      container.querySelectorAll('.data-grid-filter').forEach(select => {
+        const filter = opts.filters.find(f => f.key === select.dataset.key);
+        select.innerHTML = `<option value="">All</option>${filter.options(rows).map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join('')}`;
+        select.value = state.filters[filter.key] || '';
+        if (select.value !== (state.filters[filter.key] || '')) state.filters[filter.key] = ''; // Option no longer present
+      });
+    }
+
+    function renderBody() {
+      const all = filtered();
+      const pages = state.pageSize ? Math.max(1, Math.ceil(all.length / state.pageSize)) : 1;
+      state.page = Math.min(state.page, pages - 1);
+      const visible = state.pageSize ? all.slice(state.page * state.pageSize, (state.page + 1) * state.pageSize) : all;
+
+      tbody.innerHTML = visible.length
+        ? visible.map(row => `<tr tabindex="0" data-key="${escapeHtml(opts.rowKey(row))}">${opts.columns.map(c =>
+          `<td${c.align ? ` style="text-align:${c.align}"` : ''}>${c.format ? c.format(row[c.key], row) : escapeHtml(row[c.key] ?? '—')}</td>`).join('')}</tr>`).join('')
+        : `<tr><td colspan="${opts.columns.length}" class="muted">${escapeHtml(opts.emptyText || 'No rows match.')}</td></tr>`;
+      count.textContent = `${all.length} of ${rows.length}`;
+      pageLabel.textContent = `Page ${state.page + 1} of ${pages}`;
+      container.querySelector('[data-page="-1"]').disabled = state.page === 0;
+      container.querySelector('[data-page="1"]').disabled = state.page >= pages - 1;
+      size.value = state.pageSize;
+    }
+
+    const rowOf = (tr) => (tr ? rows.find(r => opts.rowKey(r) === tr.dataset.key) : null);
+
+    thead.addEventListener('click', (e) => {
+      const btn = e.target.closest('.data-grid-sort');
+      if (!btn) return;
+      const key = btn.dataset.key;
+      // The first click uses the column's firstSort; the next click reverses
+      const column = opts.columns.find(c => c.key === key);
+      const numeric = rows.some(r => typeof (column.sortValue ? column.sortValue(r) : r[key]) === 'number');
+      const first = column.firstSort || (numeric ? 'desc' : 'asc');
+      state.sort = state.sort && state.sort.key === key
+        ? { key, dir: state.sort.dir === 'asc' ? 'desc' : 'asc' }
+        : { key, dir: first };
+      renderHead();
+      renderBody();
+      changed('sort');
+    });
+    search.addEventListener('input', () => {
+      state.query = search.value;
+      state.page = 0;
+      renderBody();
+      changed('query');
+    });
+    container.querySelectorAll('.data-grid-filter').forEach(select => select.addEventListener('change', () => {
+      state.filters[select.dataset.key] = select.value;
+      state.page = 0;
+      renderBody();
+      changed('filter');
+    }));
+    container.querySelectorAll('[data-page]').forEach(btn => btn.addEventListener('click', () => {
+      state.page += Number(btn.dataset.page);
+      renderBody();
+      changed('page');
+    }));
+    size.addEventListener('change', () => {
+      state.pageSize = Number(size.value);
+      state.page = 0;
+      renderBody();
+      changed('page');
+    });
+
+    // Row hover and click are delegated so re-rendering the body keeps them
+    let hovered = null;
+    tbody.addEventListener('mouseover', (e) => {
+      const tr = e.target.closest('tr[data-key]');
+      if (tr === hovered) return;
+      hovered = tr;
+      if (opts.onRowHover) opts.onRowHover(rowOf(tr));
+    });
+    tbody.addEventListener('mouseleave', () => {
+      hovered = null;
+      if (opts.onRowHover) opts.onRowHover(null);
+    });
+    tbody.addEventListener('click', (e) => {
+      const row = rowOf(e.target.closest('tr[data-key]'));
+      if (row && opts.onRowClick) opts.onRowClick(row);
+    });
+    tbody.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      const row = rowOf(e.target.closest('tr[data-key]'));
+      if (row && opts.onRowClick) opts.onRowClick(row);
+    });
+    tbody.addEventListener('focusin', (e) => { if (opts.onRowHover) opts.onRowHover(rowOf(e.target.closest('tr[data-key]'))); });
+    tbody.addEventListener('focusout', () => { if (opts.onRowHover) opts.onRowHover(null); });
+
+    search.value = state.query;
+    renderHead();
+
+    return {
+      get state() { return publicState(); },
+      /** Replaces the rows, keeping the sort, filters and (where it still exists) the page. */
+      setRows(newRows) {
+        rows = newRows.slice();
+        renderFilters();
+        renderBody();
+      },
+      /** Applies a saved state (e.g. from the URL on Back/Forward) without calling onStateChange. */
+      setState(next) {
+        if ('sort' in next) state.sort = next.sort;
+        if ('query' in next) { state.query = next.query || ''; search.value = state.query; }
+        if ('filters' in next) state.filters = Object.assign({}, next.filters);
+        if ('pageSize' in next) state.pageSize = next.pageSize;
+        state.page = 0;
+        renderHead();
+        renderFilters();
+        renderBody();
+      },
+      /** The filtered, sorted rows (all pages), e.g. for export. */
+      visibleRows: () => filtered(),
+    };
+  }
+
+  return {
+    PAGE_SIZES,
+    create,
+    sparkline,
+  };
+})();
@@ -0,0 +1,130 @@
+// assets/js/dataService.js
+// Main-thread client for data.worker.js. Parsing, indexing and aggregation run in the
+// worker; pages ask for results with typed queries (see DataQueries for the list).
+// When a worker cannot be started (e.g. pages opened from file://) or fails to load its
+// scripts, the same code runs inline on the main thread.
+
+const DataService = (function () {
+
+  const WORKER_PATH = 'assets/js/data.worker.js';
+
+  let worker = null;
+  let workerFailed = false;
+  let nextId = 1;
+  const pending = {}; // id -> { type, payload, resolve, reject, onProgress }
+
+  let inlineIndex = null; // Used only in fallback mode
+  let lastLoad = null; // { rows, population } last loaded, so a worker that dies later can be replaced inline
+
+  function getWorker() {
+    if (worker || workerFailed) return worker;
+    try {
+      worker = new Worker(WORKER_PATH);
+    } catch (e) {
+      console.warn('Data worker unavailable, processing on the main thread:', e);
+      workerFailed = true;
+      return null;
+    }
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      const job = pending[msg.id];
+      if (!job) return;
+      if (msg.type === 'progress') {
+        job.onProgress(msg.phase, msg.fraction);
+        return;
+      }
+      delete pending[msg.id];
+      if (msg.type === 'result') job.resolve(msg.result);
+      else job.reject(new Error(msg.message));
+    };
+    worker.onerror = (e) => {
+      // Script load failures (offline CDN, file://) land here: replay outstanding jobs inline
+      console.warn('Data worker failed, processing on the main thread:', e.message || e);
+      e.preventDefault();
+      workerFailed = true;
+      worker.terminate();
+      worker = null;
+      Object.keys(pending).forEach(id => {
+        const job = pending[id];
+        delete pending[id];
+        runInline(job.type, job.payload, job.onProgress).then(job.resolve, job.reject);
+      });
+    };
+    return worker;
+  }
+
+  /** Indexes rows with re-estimated denominators, as the worker does; returns the Denominators.apply summary. */
+  function indexInline(rows, population, onProgress) {
+    const adjusted = Denominators.apply(rows, population || null);
+    inlineIndex = DataQueries.buildIndex(adjusted.rows, onProgress);
+    return adjusted.summary;
+  }
+
+  /** Executes a job on the main thread with the same semantics as the worker. */
+  async function runInline(type, payload, onProgress) {
+    if (type === 'parse') {
+      const { rows, quality } = parseDataset(payload.text, onProgress);
+      return { rows, quality, denominators: indexInline(rows, payload.population, onProgress) };
+    }
+    if (type === 'ingest') {
+      return { count: payload.rows.length, denominators: indexInline(payload.rows, payload.population, onProgress) };
+    }
+    if (!inlineIndex && lastLoad) indexInline(lastLoad.rows, lastLoad.population);
+    if (!inlineIndex) throw new Error('No dataset loaded.');
+    return DataQueries.run(inlineIndex, payload.query, payload.params);
+  }
+
+  function send(type, payload, onProgress = () => {}) {
+    const w = getWorker();
+    if (!w) return runInline(type, payload, onProgress);
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending[id] = { type, payload, resolve, reject, onProgress };
+      w.postMessage({ id, type, payload });
+    });
+  }
+
+  /**
+   * Parses CSV text off the main thread and keeps the result indexed for queries, with
+   * population denominators re-estimated (see Denominators.apply).
+   * @param {string} text - Raw CSV.
+   * @param {object|null} population - Denominators.parse() result for the population file.
+   * @param {function(string, number): void} [onProgress] - (phase, fraction 0..1).
+   * @returns {Promise<{rows: object[], quality: object, denominators: object}>} rows as parsed
+   *   (reported populations); denominators is the Denominators.apply summary.
+   */
+  async function parse(text, population, onProgress) {
+    const result = await send('parse', { text, population }, onProgress);
+    lastLoad = { rows: result.rows, population };
+    return result;
+  }
+
+  /**
+   * Indexes rows that were already parsed (e.g. loaded from the IndexedDB cache), with
+   * population denominators re-estimated.
+   * @param {object[]} rows - Normalized rows.
+   * @param {object|null} population - Denominators.parse() result for the population file.
+   * @param {function(string, number): void} [onProgress]
+   * @returns {Promise<{count: number, denominators: object}>}
+   */
+  function ingest(rows, population, onProgress) {
+    lastLoad = { rows, population };
+    return send('ingest', { rows, population }, onProgress);
+  }
+
+  /**
+   * Runs a typed query against the loaded dataset.
+   * @param {string} query - One of DataQueries.QUERY_TYPES, e.g. 'byDiseaseYear' or 'national'.
+   * @param {object} [params] - Query parameters, e.g. { disease, year } or { code }.
+   * @returns {Promise<*>}
+   */
+  function query(query, params) {
+    return send('query', { query, params });
+  }
+
+  return {
+    parse,
+    ingest,
+    query,
+  };
+})();
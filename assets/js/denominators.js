@@ -0,0 +1,164 @@
+// assets/js/denominators.js
+// Population denominators by jurisdiction and year. Case files often repeat the last census
+// count until the next one (complete_disease_data.csv carries the 2000 count through 2009,
+// the 2010 count through 2019, ...), which understates growth and biases every later rate.
+// Denominators are taken, in order of preference, from:
+//
+//   1. an optional population file (POPULATION_PATH in main.js): CSV with state, year and
+//      population columns (the same aliases as the case file), e.g. intercensal estimates.
+//      It may cover only some states or years;
+//   2. census anchors found in the dataset itself: where a population is repeated over
+//      several years, the run is one count, dated to its census year (a year ending in 0);
+//   3. the population reported on the row, unchanged.
+//
+// Years between two anchors are interpolated linearly; up to one census interval beyond the
+// first or last anchor they follow the nearest intercensal trend. Density is population over
+// land area (Jurisdictions `area`). Each row records where its denominator came from in
+// `population_source` (see SOURCES). Stratified rows keep their own populations.
+// Nothing here touches the DOM, so the file can be loaded with importScripts().
+
+const Denominators = (function () {
+
+  const CENSUS_INTERVAL = 10;
+
+  const SOURCES = {
+    file: 'Population file',
+    census: 'Census count',
+    interpolated: 'Interpolated between census counts',
+    extrapolated: 'Projected from the intercensal trend',
+    reported: 'As reported in the dataset',
+  };
+
+  const isStratum = (r) => Object.keys(STRATIFIERS).some(k => r[k]);
+
+  /**
+   * Parses a population file.
+   * @param {string} csvText - CSV with state, year and population columns.
+   * @returns {{table: object, rows: number, unresolved: string[]}} table is { code: { year: population } }.
+   */
+  function parse(csvText) {
+    const result = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+    const table = {};
+    const unresolved = new Set();
+    let rows = 0;
+    result.data.forEach(raw => {
+      const name = String(_pick(raw, FIELD_ALIASES.state) || '').trim();
+      const year = String(_pick(raw, FIELD_ALIASES.year) || '').trim();
+      const population = _toNumber(_pick(raw, FIELD_ALIASES.population));
+      if (!name || !/^\d{4}$/.test(year) || !(population > 0)) return;
+      const j = Jurisdictions.resolve(name);
+      if (!j) { unresolved.add(name); return; }
+      (table[j.code] = table[j.code] || {})[year] = population;
+      rows++;
+    });
+    return { table, rows, unresolved: [...unresolved].sort() };
+  }
+
+  /**
+   * Census anchors implied by a dataset: runs of consecutive years with the same population
+   * collapse to one anchor in the run's census year (or its first year if it has none).
+   * Populations that change every year are kept as they are ('reported').
+   * @param {object[]} rows - Normalized rows.
+   * @returns {object} { code: [{year, population, source}] } sorted by year.
+   */
+  function anchorsFromRows(rows) {
+    const series = {}; // code -> { year: population }
+    rows.forEach(r => {
+      if (!r.state_code || r.population === null || isStratum(r) || !/^\d{4}$/.test(r.year)) return;
+      const s = series[r.state_code] = series[r.state_code] || {};
+      if (s[r.year] === undefined) s[r.year] = r.population;
+    });
+
+    const anchors = {};
+    Object.entries(series).forEach(([code, byYear]) => {
+      const years = Object.keys(byYear).map(Number).sort((a, b) => a - b);
+      const runs = [];
+      years.forEach(y => {
+        const run = runs[runs.length - 1];
+        if (run && y === run.years[run.years.length - 1] + 1 && byYear[y] === run.population) run.years.push(y);
+        else runs.push({ population: byYear[y], years: [y] });
+      });
+      anchors[code] = runs.map(run => ({
+        year: run.years.find(y => y % CENSUS_INTERVAL === 0) ?? run.years[0],
+        population: run.population,
+        source: run.years.length > 1 ? 'census' : 'reported',
+      }));
+    });
+    return anchors;
+  }
+
+  /**
+   * Population for a year from sorted anchors.
+   * @param {Array<{year: number, population: number, source: string}>} anchors
+   * @param {number} year
+   * @returns {{population: number, source: string}|null} null beyond the extrapolation range.
+   */
+  function estimate(anchors, year) {
+    if (!anchors || anchors.length === 0) return null;
+    const exact = anchors.find(a => a.year === year);
+    if (exact) return { population: exact.population, source: exact.source };
+
+    const line = (a, b) => Math.round(a.population + ((b.population - a.population) * (year - a.year)) / (b.year - a.year));
+    const after = anchors.findIndex(a => a.year > year);
+    if (after > 0) return { population: line(anchors[after - 1], anchors[after]), source: 'interpolated' };
+
+    const first = anchors[0], last = anchors[anchors.length - 1];
+    const before = after === 0;
+    const distance = before ? first.year - year : year - last.year;
+    if (distance > CENSUS_INTERVAL) return null;
+    if (anchors.length < 2) return { population: (before ? first : last).population, source: 'extrapolated' };
+    const population = before ? line(first, anchors[1]) : line(anchors[anchors.length - 2], last);
+    return population > 0 ? { population, source: 'extrapolated' } : null;
+  }
+
+  /**
+   * Replaces row populations with the best available denominator and recomputes density
+   * and the rate per 100k.
+   * @param {object[]} rows - Normalized rows (not modified).
+   * @param {object} [file] - parse() result for a population file.
+   * @returns {{rows: object[], summary: {counts: object, file: boolean}}} counts is { source: rows }.
+   */
+  function apply(rows, file = null) {
+    const anchors = anchorsFromRows(rows);
+    if (file) {
+      // File years win; the dataset's own anchors still cover years the file leaves out
+      Object.entries(file.table).forEach(([code, byYear]) => {
+        const fromFile = Object.keys(byYear).map(year => ({ year: Number(year), population: byYear[year], source: 'file' }));
+        const kept = (anchors[code] || []).filter(a => byYear[a.year] === undefined);
+        anchors[code] = fromFile.concat(kept).sort((a, b) => a.year - b.year);
+      });
+    }
+
+    const counts = {};
+    const out = rows.map(r => {
+      if (!r.state_code || isStratum(r) || !/^\d{4}$/.test(r.year)) return r;
+      const est = estimate(anchors[r.state_code], Number(r.year));
+      if (!est) {
+        if (r.population === null) return r;
+        counts.reported = (counts.reported || 0) + 1;
+        return Object.assign({}, r, { population_source: 'reported' });
+      }
+      counts[est.source] = (counts[est.source] || 0) + 1;
+      const j = Jurisdictions.byCode(r.state_code);
+      // Without a land area, keep the row's density scaled to the new population
+      const density = j && j.area ? est.population / j.area
+        : r.population_density !== null && r.population > 0 ? (r.population_density * est.population) / r.population : null;
+      return Object.assign({}, r, {
+        population: est.population,
+        population_density: density === null ? null : Math.round(density * 10) / 10,
+        population_source: est.source,
+        per100k: r.cases !== null ? (r.cases / est.population) * 100000 : null,
+      });
+    });
+    return { rows: out, summary: { counts, file: !!file } };
+  }
+
+  return {
+    SOURCES,
+    CENSUS_INTERVAL,
+    parse,
+    anchorsFromRows,
+    estimate,
+    apply,
+  };
+})();
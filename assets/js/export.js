@@ -0,0 +1,446 @@
+// assets/js/export.js
+// Exports the current view: charts as PNG at a chosen DPI, the choropleth as SVG or PNG
+// (redrawn from the GeoJSON without basemap tiles, with its legend and insets), and the
+// rows behind a view as CSV or JSON with a header naming the disease, year, metric and
+// data version.
+//
+// Every Chart.js chart gets an "Export" menu in its card (registered as a Chart.js plugin).
+// Pages attach the rows behind a chart with setData(canvas, provider) and build other menus
+// (maps, tables) with menu().
+
+const DataExport = (function () {
+
+  const DPI_OPTIONS = [96, 150, 300];
+  const SCREEN_DPI = 96;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const dataProviders = new WeakMap(); // canvas -> () => {rows, columns, meta, name}
+
+  // --- Files ---
+
+  /** Saves a Blob through a temporary link. */
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** File-name-safe slug, e.g. "Lyme disease" -> "lyme-disease". */
+  function slug(...parts) {
+    return parts.filter(p => p !== null && p !== undefined && p !== '')
+      .map(p => String(p).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+      .join('-');
+  }
+
+  /**
+   * Export header: the caller's fields plus the dataset version and export time.
+   * @param {object} fields - e.g. { disease, year, metric }.
+   */
+  function meta(fields = {}) {
+    const data = window.PHD_DATA_META || {};
+    return Object.assign({}, fields, {
+      dataVersion: data.version ? String(data.version).slice(0, 12) : null,
+      dataAsOf: data.lastModified || data.fetchedAt || null,
+      populations: data.denominators ? (data.denominators.file ? 'population file' : 'census counts, interpolated between censuses') : null,
+      exportedAt: new Date().toISOString(),
+    });
+  }
+
+  // --- CSV / JSON ---
+
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const s = String(value);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * CSV text with the metadata as leading "# key: value" comment lines.
+   * @param {object[]} rows
+   * @param {Array<string|{key: string, label: string}>} columns
+   * @param {object} header - meta() output.
+   */
+  function toCsv(rows, columns, header) {
+    const cols = columns.map(c => (typeof c === 'string' ? { key: c, label: c } : c));
+    const lines = Object.entries(header).filter(([, v]) => v !== null && v !== undefined).map(([k, v]) => `# ${k}: ${v}`);
+    lines.push(cols.map(c => csvCell(c.label)).join(','));
+    rows.forEach(r => lines.push(cols.map(c => csvCell(r[c.key])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /** JSON text: { meta, columns, rows } with only the listed columns. */
+  function toJson(rows, columns, header) {
+    const keys = columns.map(c => (typeof c === 'string' ? c : c.key));
+    return JSON.stringify({
+      meta: header,
+      columns: keys,
+      rows: rows.map(r => Object.fromEntries(keys.map(k => [k, r[k] ?? null]))),
+    }, null, 2);
+  }
+
+  /**
+   * Downloads rows as CSV or JSON.
+   * @param {{rows: object[], columns: Array, meta: object, name: string}} table - From a data provider.
+   * @param {'csv'|'json'} format
+   */
+  function downloadRows(table, format) {
+    const header = meta(table.meta);
+    if (format === 'json') {
+      download(new Blob([toJson(table.rows, table.columns, header)], { type: 'application/json' }), `${table.name}.json`);
+    } else {
+      download(new Blob([toCsv(table.rows, table.columns, header)], { type: 'text/csv' }), `${table.name}.csv`);
+    }
+  }
+
+  // --- PNG ---
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  /** Adds a pHYs chunk after IHDR so image editors and printers pick up the DPI. */
+  async function withDpi(blob, dpi) {
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const ppm = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, ppm);
+    view.setUint32(12, ppm);
+    chunk[16] = 1; // Unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+    const ihdrEnd = 8 + 25; // Signature + IHDR (length, type, 13 data bytes, CRC)
+    return new Blob([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)], { type: 'image/png' });
+  }
+
+  function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => canvas.toBlob(b => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png'));
+  }
+
+  function background() {
+    return getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim() || '#ffffff';
+  }
+
+  /**
+   * Renders a chart at the requested DPI (re-drawn at that pixel ratio, not upscaled) on the
+   * card background.
+   * @param {Chart} chart
+   * @param {number} dpi
+   * @returns {Promise<Blob>}
+   */
+  async function chartPng(chart, dpi = SCREEN_DPI) {
+    const original = chart.options.devicePixelRatio;
+    chart.options.devicePixelRatio = dpi / SCREEN_DPI;
+    chart.resize();
+    chart.draw();
+    const out = document.createElement('canvas');
+    out.width = chart.canvas.width;
+    out.height = chart.canvas.height;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = background();
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+    chart.options.devicePixelRatio = original;
+    chart.resize();
+    return withDpi(await canvasToBlob(out), dpi);
+  }
+
+  // --- Map SVG ---
+
+  const mercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360)) * (180 / Math.PI);
+
+  /** Every [lon, lat] position of a geometry. */
+  function positions(geometry) {
+    if (geometry.type === 'Point') return [geometry.coordinates];
+    if (geometry.type === 'Polygon') return geometry.coordinates.flat();
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat(2);
+    return [];
+  }
+
+  /** Projection (Web Mercator, as on the Leaflet map) fitting lon/lat bounds into a box. */
+  function fitProjection(bounds, box, pad = 4) {
+    const [[south, west], [north, east]] = bounds;
+    const x0 = west, x1 = east, y0 = mercatorY(south), y1 = mercatorY(north);
+    const scale = Math.min((box.width - 2 * pad) / Math.max(1e-9, x1 - x0), (box.height - 2 * pad) / Math.max(1e-9, y1 - y0));
+    const ox = box.x + (box.width - (x1 - x0) * scale) / 2;
+    const oy = box.y + (box.height - (y1 - y0) * scale) / 2;
+    return ([lon, lat]) => [ox + (lon - x0) * scale, oy + (y1 - mercatorY(lat)) * scale];
+  }
+
+  function boundsOf(features, shiftLon) {
+    let south = 90, west = 180, north = -90, east = -180;
+    features.forEach(f => positions(f.geometry).forEach(([lon, lat]) => {
+      lon = shiftLon(lon);
+      south = Math.min(south, lat); north = Math.max(north, lat);
+      west = Math.min(west, lon); east = Math.max(east, lon);
+    }));
+    return [[south, west], [north, east]];
+  }
+
+  function svgEl(name, attrs = {}, parent) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([k, v]) => { if (v !== null && v !== undefined) el.setAttribute(k, v); });
+    if (parent) parent.appendChild(el);
+    return el;
+  }
+
+  /** Draws features with Leaflet-style path options ({fillColor, fillOpacity, color, weight, dashArray}). */
+  function drawFeatures(group, features, project, style, shiftLon) {
+    features.forEach(f => {
+      const s = style(f) || {};
+      const attrs = {
+        fill: s.fillColor || 'none',
+        'fill-opacity': s.fillOpacity ?? 1,
+        stroke: s.color || '#ffffff',
+        'stroke-width': s.weight ?? 1,
+        'stroke-dasharray': s.dashArray || null,
+        'stroke-linejoin': 'round',
+      };
+      if (f.geometry.type === 'Point') {
+        const [x, y] = project([shiftLon(f.geometry.coordinates[0]), f.geometry.coordinates[1]]);
+        svgEl('circle', Object.assign(attrs, { cx: x.toFixed(1), cy: y.toFixed(1), r: 6 }), group);
+        return;
+      }
+      const polygons = f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates;
+      const d = polygons.map(rings => rings.map(ring => ring.map(([lon, lat], i) => {
+        const [x, y] = project([shiftLon(lon), lat]);
+        return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`;
+      }).join('') + 'Z').join('')).join('');
+      svgEl('path', Object.assign(attrs, { d, 'fill-rule': 'evenodd' }), group);
+    });
+  }
+
+  /**
+   * Redraws the choropleth as standalone SVG: the contiguous states, a row of insets
+   * (MapInsets layout), a title and the legend. No basemap tiles.
+   * @param {object} geojson - National FeatureCollection.
+   * @param {object} opts - { style(feature) -> Leaflet path options, title, subtitle, legend: [{color, label}], width };
+   *   title and legend are optional (e.g. for a small locator map).
+   * @returns {SVGSVGElement}
+   */
+  function mapSvg(geojson, opts) {
+    const width = opts.width || 960;
+    const insetLayout = MapInsets.INSET_LAYOUT;
+    const isInset = (f) => MapInsets.isInsetFeature(f);
+    const noShift = (lon) => lon;
+    const main = geojson.features.filter(f => f.geometry && !isInset(f));
+
+    const titleHeight = opts.title ? (opts.subtitle ? 52 : 34) : 0;
+    const mainBounds = boundsOf(main, noShift);
+    const aspect = (mercatorY(mainBounds[1][0]) - mercatorY(mainBounds[0][0])) / (mainBounds[1][1] - mainBounds[0][1]);
+    const mainHeight = Math.round(Math.min(560, width * aspect));
+    const insetHeight = Math.round(width / 8);
+    const legendRows = Math.ceil((opts.legend || []).length / 4);
+    const height = titleHeight + mainHeight + insetHeight + 16 + (legendRows ? legendRows * 22 + 12 : 0);
+
+    const svg = svgEl('svg', { xmlns: SVG_NS, width, height, viewBox: `0 0 ${width} ${height}`, 'font-family': 'system-ui, sans-serif' });
+    svgEl('rect', { x: 0, y: 0, width, height, fill: background() }, svg);
+    const text = getComputedStyle(document.documentElement).getPropertyValue('--text').trim() || '#212529';
+    if (opts.title) svgEl('text', { x: 12, y: 24, 'font-size': 18, 'font-weight': 600, fill: text }, svg).textContent = opts.title;
+    if (opts.subtitle) svgEl('text', { x: 12, y: 44, 'font-size': 12, fill: text }, svg).textContent = opts.subtitle;
+
+    drawFeatures(svgEl('g', { class: 'mainland' }, svg), main, fitProjection(mainBounds, { x: 0, y: titleHeight, width, height: mainHeight }), opts.style, noShift);
+
+    // Insets side by side, Alaska and Hawaii wider than the island areas
+    const weights = { large: 3, medium: 2, small: 1 };
+    const present = insetLayout
+      .map(inset => ({
+        inset,
+        features: geojson.features.filter(f => f.geometry && (Jurisdictions.fromFeature(f) || {}).code === inset.code),
+      }))
+      .map(entry => (entry.features.length ? entry : { ...entry, features: [Jurisdictions.pointFeature(Jurisdictions.byCode(entry.inset.code))].filter(Boolean) }))
+      .filter(entry => entry.features.length);
+    const totalWeight = present.reduce((s, e) => s + weights[e.inset.size], 0) || 1;
+    let x = 8;
+    const y = titleHeight + mainHeight + 8;
+    present.forEach(({ inset, features }) => {
+      const w = ((width - 16) * weights[inset.size]) / totalWeight;
+      const box = { x: x + 2, y: y + 14, width: w - 4, height: insetHeight - 16 };
+      const group = svgEl('g', { class: `inset inset-${inset.code}` }, svg);
+      svgEl('rect', { x: x + 1, y, width: w - 2, height: insetHeight, fill: 'none', stroke: '#999999', 'stroke-width': 0.5 }, group);
+      svgEl('text', { x: x + 5, y: y + 11, 'font-size': 10, fill: text }, group).textContent = inset.label;
+      // Alaska's Aleutians cross the antimeridian; move the eastern-hemisphere tip west of it
+      const shift = inset.code === 'AK' ? (lon) => (lon > 0 ? lon - 360 : lon) : noShift;
+      let bounds = inset.bounds || boundsOf(features, shift);
+      if (bounds[0][0] === bounds[1][0]) bounds = [[bounds[0][0] - 0.5, bounds[0][1] - 0.5], [bounds[1][0] + 0.5, bounds[1][1] + 0.5]]; // Point
+      const clipId = `clip-${inset.code}`;
+      svgEl('rect', { x: box.x, y: box.y, width: box.width, height: box.height }, svgEl('clipPath', { id: clipId }, group));
+      drawFeatures(svgEl('g', { 'clip-path': `url(#${clipId})` }, group), features, fitProjection(bounds, box), opts.style, shift);
+      x += w;
+    });
+
+    // Legend, four entries per row
+    const legendTop = y + insetHeight + 16;
+    (opts.legend || []).forEach((entry, i) => {
+      const lx = 12 + (i % 4) * ((width - 24) / 4);
+      const ly = legendTop + Math.floor(i / 4) * 22;
+      svgEl('rect', { x: lx, y: ly, width: 14, height: 14, rx: 3, fill: entry.color, stroke: '#cccccc' }, svg);
+      svgEl('text', { x: lx + 20, y: ly + 11, 'font-size': 12, fill: text }, svg).textContent = entry.label;
+    });
+    return svg;
+  }
+
+  /**
+   * A small map framing a few features (e.g. one state among its neighbours): no title,
+   * insets or legend. Features are drawn in order, so context shapes should come first.
+   * @param {object[]} features - GeoJSON features.
+   * @param {object} opts - { style(feature) -> Leaflet path options, frame: features to fit
+   *   (default all), width, height }.
+   * @returns {SVGSVGElement}
+   */
+  function shapeSvg(features, opts) {
+    const width = opts.width || 160;
+    const height = opts.height || 120;
+    // Alaska's Aleutians cross the antimeridian; keep every shape on the western side of it
+    const shift = (lon) => (lon > 0 ? lon - 360 : lon);
+    const drawn = features.filter(f => f.geometry);
+    const svg = svgEl('svg', { xmlns: SVG_NS, width, height, viewBox: `0 0 ${width} ${height}` });
+    if (drawn.length === 0) return svg;
+    let bounds = boundsOf((opts.frame || drawn).filter(f => f.geometry), shift);
+    if (bounds[0][0] === bounds[1][0]) bounds = [[bounds[0][0] - 0.5, bounds[0][1] - 0.5], [bounds[1][0] + 0.5, bounds[1][1] + 0.5]]; // Point
+    drawFeatures(svgEl('g', {}, svg), drawn, fitProjection(bounds, { x: 0, y: 0, width, height }), opts.style, shift);
+    return svg;
+  }
+
+  function svgBlob(svg) {
+    return new Blob(['<?xml version="1.0" encoding="UTF-8"?>\n', new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+  }
+
+  /** Rasterises an SVG element at the given DPI. */
+  async function svgPng(svg, dpi = SCREEN_DPI) {
+    const url = URL.createObjectURL(svgBlob(svg));
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('SVG could not be rasterised'));
+        image.src = url;
+      });
+      const scale = dpi / SCREEN_DPI;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(Number(svg.getAttribute('width')) * scale);
+      canvas.height = Math.round(Number(svg.getAttribute('height')) * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      return withDpi(await canvasToBlob(canvas), dpi);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // --- Menus ---
+
+  /**
+   * Builds an "Export" drop-down. Each action is optional; buttons are shown only for the
+   * actions given, and `data` is called at click time so it always exports the current view.
+   * @param {object} actions
+   * @param {function(number): Promise<Blob>} [actions.png] - Renders a PNG at a DPI.
+   * @param {function(): Blob|Promise<Blob>} [actions.svg]
+   * @param {function(): ({rows, columns, meta, name}|null)} [actions.data] - Rows behind the view.
+   * @param {function(): string} actions.name - Base file name (without extension).
+   * @returns {HTMLElement}
+   */
+  function menu(actions) {
+    const el = document.createElement('details');
+    el.className = 'export-menu';
+    el.innerHTML = `<summary class="btn" title="Export this view">Export</summary>
+      <div class="export-menu-items">
+        ${actions.png ? `<label class="small">DPI <select data-role="dpi">${DPI_OPTIONS.map(d => `<option value="${d}">${d}</option>`).join('')}</select></label>
+          <button type="button" class="btn" data-format="png">PNG</button>` : ''}
+        ${actions.svg ? '<button type="button" class="btn" data-format="svg">SVG</button>' : ''}
+        ${actions.data ? '<button type="button" class="btn" data-format="csv">CSV</button><button type="button" class="btn" data-format="json">JSON</button>' : ''}
+      </div>`;
+    el.addEventListener('toggle', () => {
+      // Data buttons only when the view currently has rows behind it
+      const hasData = !!(actions.data && actions.data());
+      el.querySelectorAll('[data-format="csv"], [data-format="json"]').forEach(b => { b.hidden = !hasData; });
+    });
+    el.addEventListener('click', async (e) => {
+      const format = e.target.dataset && e.target.dataset.format;
+      if (!format) return;
+      e.target.disabled = true;
+      try {
+        const name = actions.name();
+        if (format === 'png') {
+          const dpi = Number(el.querySelector('[data-role="dpi"]').value);
+          download(await actions.png(dpi), `${name}-${dpi}dpi.png`);
+        } else if (format === 'svg') {
+          download(await actions.svg(), `${name}.svg`);
+        } else {
+          const table = actions.data();
+          if (table) downloadRows(Object.assign({ name }, table), format);
+        }
+      } catch (err) {
+        console.error('Export failed:', err);
+      } finally {
+        e.target.disabled = false;
+        el.open = false;
+      }
+    });
+    return el;
+  }
+
+  /**
+   * Attaches the rows behind a chart, offered as CSV/JSON in its export menu.
+   * @param {HTMLCanvasElement} canvas
+   * @param {function(): {rows, columns, meta, name?}} provider
+   */
+  function setData(canvas, provider) {
+    dataProviders.set(canvas, provider);
+  }
+
+  /** Chart.js plugin: one export menu per chart card, bound to whichever chart the canvas holds. */
+  const chartMenuPlugin = {
+    id: 'exportMenu',
+    afterInit(chart) {
+      const canvas = chart.canvas;
+      const card = canvas.closest('.card') || canvas.parentNode;
+      if (!card || card.querySelector(':scope > .export-menu')) return;
+      card.classList.add('has-export-menu');
+      const title = () => {
+        const heading = card.querySelector('h3, h4');
+        return heading ? heading.textContent : canvas.id;
+      };
+      card.appendChild(menu({
+        png: (dpi) => chartPng(Chart.getChart(canvas), dpi),
+        data: () => {
+          const provider = dataProviders.get(canvas);
+          return provider ? provider() : null;
+        },
+        name: () => slug(title()),
+      }));
+    },
+  };
+
+  if (typeof Chart !== 'undefined') Chart.register(chartMenuPlugin);
+
+  return {
+    DPI_OPTIONS,
+    download,
+    slug,
+    meta,
+    toCsv,
+    toJson,
+    downloadRows,
+    chartPng,
+    mapSvg,
+    shapeSvg,
+    svgBlob,
+    svgPng,
+    menu,
+    setData,
+  };
+})();
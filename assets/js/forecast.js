@@ -0,0 +1,176 @@
+// assets/js/forecast.js
+// Short-term forecasts of annual series (cases or per-100k rates), 1-5 years past the last
+// observed year, with prediction intervals and a hold-out backtest. Pure functions, no DOM.
+//
+// Methods:
+//   holt      – Holt's linear exponential smoothing; α and β are picked by grid search on
+//               one-step-ahead errors. Intervals use the ETS(A,A,N) h-step variance.
+//   loglinear – OLS of ln(value) on year (constant annual percent change); t intervals on the
+//               log scale, back-transformed (the point forecast is the median).
+//   naive     – Seasonal naive baseline: with annual data the season is one year, so every
+//               horizon repeats the last value; intervals grow with √h.
+// Intervals assume the model is right and ignore reporting changes, so treat them as a
+// lower bound on the real uncertainty. The backtest MAPE says how far to trust them.
+
+const Forecast = (function () {
+
+  const METHODS = {
+    holt: 'Holt linear smoothing',
+    loglinear: 'Log-linear trend',
+    naive: 'Naive (last year)',
+  };
+
+  const MAX_HORIZON = 5;
+  const BACKTEST_YEARS = 3;
+  const MIN_POINTS = { holt: 4, loglinear: 3, naive: 2 };
+  const SMOOTHING_GRID = Array.from({ length: 19 }, (_, i) => (i + 1) / 20); // 0.05 … 0.95
+
+  /** Holt recursion; returns one-step errors (from the third point on) and the final level/trend. */
+  function holtRun(y, alpha, beta) {
+    let level = y[0], trend = y[1] - y[0];
+    const errors = [];
+    for (let t = 1; t < y.length; t++) {
+      const predicted = level + trend;
+      if (t >= 2) errors.push(y[t] - predicted);
+      const prev = level;
+      level = alpha * y[t] + (1 - alpha) * predicted;
+      trend = beta * (level - prev) + (1 - beta) * trend;
+    }
+    return { level, trend, errors };
+  }
+
+  function holt(y, horizon, z) {
+    let best = null;
+    SMOOTHING_GRID.forEach(alpha => SMOOTHING_GRID.forEach(beta => {
+      const run = holtRun(y, alpha, beta);
+      const sse = run.errors.reduce((s, e) => s + e * e, 0);
+      if (!best || sse < best.sse) best = { alpha, beta, sse, ...run };
+    }));
+    const sigma2 = best.sse / Math.max(1, best.errors.length - 2);
+    return Array.from({ length: horizon }, (_, i) => {
+      const h = i + 1;
+      let factor = 1;
+      for (let j = 1; j < h; j++) factor += (best.alpha * (1 + j * best.beta)) ** 2;
+      const value = best.level + h * best.trend;
+      const half = z * Math.sqrt(sigma2 * factor);
+      return { value, low: value - half, high: value + half };
+    });
+  }
+
+  function loglinear(xs, y, horizon, level) {
+    const n = xs.length;
+    const ly = y.map(Math.log);
+    const mx = xs.reduce((s, v) => s + v, 0) / n;
+    const my = ly.reduce((s, v) => s + v, 0) / n;
+    const sxx = xs.reduce((s, x) => s + (x - mx) ** 2, 0);
+    const slope = xs.reduce((s, x, i) => s + (x - mx) * (ly[i] - my), 0) / sxx;
+    const intercept = my - slope * mx;
+    const sse = xs.reduce((s, x, i) => s + (ly[i] - intercept - slope * x) ** 2, 0);
+    const df = n - 2;
+    const s = df > 0 ? Math.sqrt(sse / df) : 0;
+    const t = df > 0 ? RateStats.studentTQuantile(1 - (1 - level) / 2, df) : Infinity;
+    const last = xs[n - 1];
+    return Array.from({ length: horizon }, (_, i) => {
+      const x = last + i + 1;
+      const mean = intercept + slope * x;
+      const half = t * s * Math.sqrt(1 + 1 / n + (x - mx) ** 2 / sxx);
+      return { value: Math.exp(mean), low: Math.exp(mean - half), high: Math.exp(mean + half) };
+    });
+  }
+
+  function naive(y, horizon, z) {
+    const diffs = y.slice(1).map((v, i) => v - y[i]);
+    const sigma = Math.sqrt(diffs.reduce((s, d) => s + d * d, 0) / diffs.length);
+    const value = y[y.length - 1];
+    return Array.from({ length: horizon }, (_, i) => {
+      const half = z * sigma * Math.sqrt(i + 1);
+      return { value, low: value - half, high: value + half };
+    });
+  }
+
+  /** Forecast values for `horizon` steps after the last point, or null when the method can't run. */
+  function project(points, method, horizon, level) {
+    const y = points.map(p => p.value);
+    if (y.length < MIN_POINTS[method]) return null;
+    const z = RateStats.normalQuantile(1 - (1 - level) / 2);
+    if (method === 'holt') return holt(y, horizon, z);
+    if (method === 'naive') return naive(y, horizon, z);
+    if (method === 'loglinear') {
+      if (y.some(v => v <= 0)) return null; // The log is undefined
+      return loglinear(points.map(p => p.x), y, horizon, level);
+    }
+    throw new Error(`Unknown forecast method: ${method}`);
+  }
+
+  /**
+   * Mean absolute percentage error of forecasts for the last `years` observed points, fitted on
+   * the points before them. Years with a zero value are left out of the mean.
+   * @returns {{mape: number, years: string[]}|null}
+   */
+  function backtest(points, method, years, level) {
+    const holdout = Math.min(years, points.length - MIN_POINTS[method]);
+    if (holdout < 1) return null;
+    const train = points.slice(0, points.length - holdout);
+    const actual = points.slice(points.length - holdout);
+    const predicted = project(train, method, holdout, level);
+    if (!predicted) return null;
+    const errors = actual
+      .map((p, i) => (p.value !== 0 ? Math.abs((p.value - predicted[i].value) / p.value) : null))
+      .filter(e => e !== null);
+    if (errors.length === 0) return null;
+    return { mape: (100 * errors.reduce((s, e) => s + e, 0)) / errors.length, years: actual.map(p => String(p.x)) };
+  }
+
+  /**
+   * Projects an annual series forward.
+   * @param {Array<{year: string|number, value: number|null}>} series - Missing values are skipped;
+   *   the remaining points are treated as consecutive observations.
+   * @param {object} [opts]
+   * @param {string} [opts.method] - One of METHODS, default 'holt'.
+   * @param {number} [opts.horizon] - Years ahead, 1-5 (default 3).
+   * @param {number} [opts.level] - Prediction interval level, default 0.95.
+   * @returns {object|null} { method, level, points: [{year, value, low, high}], backtest: {mape, years}|null },
+   *   or null when the series is too short for the method. Bounds are clipped at 0.
+   */
+  function forecast(series, opts = {}) {
+    const method = opts.method || 'holt';
+    const horizon = Math.max(1, Math.min(MAX_HORIZON, Math.round(opts.horizon) || 3));
+    const level = opts.level || RateStats.DEFAULT_LEVEL;
+    const points = series
+      .map(d => ({ x: Number(d.year), value: d.value }))
+      .filter(d => isFinite(d.x) && d.value !== null && d.value !== undefined && isFinite(d.value))
+      .sort((a, b) => a.x - b.x);
+
+    const projected = project(points, method, horizon, level);
+    if (!projected) return null;
+    const last = points[points.length - 1].x;
+    return {
+      method,
+      level,
+      points: projected.map((p, i) => ({
+        year: String(last + i + 1),
+        value: Math.max(0, p.value),
+        low: Math.max(0, p.low),
+        high: Math.max(0, p.high),
+      })),
+      backtest: backtest(points, method, BACKTEST_YEARS, level),
+    };
+  }
+
+  /** Short description, e.g. "Holt linear smoothing, 3 years ahead; backtest MAPE 8.4% (2021–2023)". */
+  function describe(result) {
+    if (!result) return 'Not enough years of data for this forecast method.';
+    const years = result.backtest ? result.backtest.years : [];
+    const bt = result.backtest
+      ? `backtest MAPE ${result.backtest.mape.toFixed(1)}% (${years[0]}${years.length > 1 ? `–${years[years.length - 1]}` : ''})`
+      : 'no backtest (series too short)';
+    return `${METHODS[result.method]}, ${result.points.length} year(s) ahead, ${Math.round(result.level * 100)}% prediction interval; ${bt}`;
+  }
+
+  return {
+    METHODS,
+    MAX_HORIZON,
+    forecast,
+    describe,
+  };
+})();
@@ -0,0 +1,125 @@
+// assets/js/heatmap.js
+// Colour modes for the year heatmaps on the state page (Plot F): diseases × years for one state,
+// or states × years for one disease. Raw counts let one large row (diabetes) wash out the rest,
+// so a matrix can also be coloured by rate, by each row's share of its own maximum, by z-score
+// within the row, or by percent change from the previous year (diverging). Every mode but
+// 'rate' works on case counts. Colours are continuous, sampled from Classify.ramp.
+
+const Heatmap = (function () {
+
+  const SEQUENTIAL = ['#f7fbff', '#c6dbef', '#6baed6', '#2171b5', '#08306b']; // Blues
+  const DIVERGING = ['#1b7837', '#7fbf7b', '#f7f7f7', '#af8dc3', '#762a83']; // PRGn, as the map's change scale
+  const STEPS = 64; // Colours sampled along a scale
+  const Z_LIMIT = 3; // z-scores beyond ±3 take the end colours
+  const CHANGE_PERCENTILE = 0.95; // Percent changes are scaled to this quantile of |change| so outliers do not flatten the rest
+
+  const fmt = (v, dec = 0) => new Intl.NumberFormat('en-US', { maximumFractionDigits: dec }).format(v);
+  const signed = (v, dec) => `${v > 0 ? '+' : v < 0 ? '−' : ''}${fmt(Math.abs(v), dec)}`;
+
+  // measure: the cube measure the mode is computed from
+  const MODES = {
+    cases: { label: 'Cases', measure: 'cases', diverging: false, format: (v) => `${fmt(v)} cases` },
+    rate: { label: 'Rate per 100k', measure: 'per100k', diverging: false, format: (v) => `${fmt(v, 1)} / 100k` },
+    row: { label: 'Share of row maximum', measure: 'cases', diverging: false, format: (v) => `${fmt(v * 100)}% of row max` },
+    zscore: { label: 'Z-score within row', measure: 'cases', diverging: true, format: (v) => `z = ${signed(v, 2)}` },
+    change: { label: '% change from previous year', measure: 'cases', diverging: true, format: (v) => `${signed(v, 1)}%` },
+  };
+
+  const isNum = (v) => v !== null && v !== undefined && isFinite(v);
+
+  /**
+   * Re-expresses a pivot's values for a mode.
+   * @param {{rows: string[], cols: string[], values: Array<Array<number|null>>}} pivot - Cube pivot of
+   *   MODES[mode].measure, rows × years.
+   * @param {string} mode - Key of MODES.
+   * @returns {Array<Array<number|null>>} Same shape; null where the mode has no value.
+   */
+  function transform(pivot, mode) {
+    return pivot.values.map(row => {
+      const present = row.filter(isNum);
+      if (mode === 'row') {
+        const max = Math.max(0, ...present);
+        return row.map(v => (isNum(v) && max > 0 ? v / max : null));
+      }
+      if (mode === 'zscore') {
+        const mean = present.reduce((s, v) => s + v, 0) / (present.length || 1);
+        const sd = Math.sqrt(present.reduce((s, v) => s + (v - mean) ** 2, 0) / Math.max(1, present.length - 1));
+        return row.map(v => (!isNum(v) ? null : sd > 0 ? (v - mean) / sd : 0));
+      }
+      if (mode === 'change') {
+        // Only against the calendar year before; a gap in the columns leaves the cell empty
+        return row.map((v, j) => {
+          const before = j > 0 && Number(pivot.cols[j - 1]) === Number(pivot.cols[j]) - 1 ? row[j - 1] : null;
+          return isNum(v) && isNum(before) && before > 0 ? ((v - before) / before) * 100 : null;
+        });
+      }
+      return row.map(v => (isNum(v) ? v : null));
+    });
+  }
+
+  /**
+   * Colour scale for transformed values: 0 to the maximum, or symmetric around 0 for the
+   * diverging modes (with the ends clipped, see Z_LIMIT and CHANGE_PERCENTILE).
+   * @returns {{mode: string, min: number, max: number, diverging: boolean, clipped: boolean, colors: string[]}}
+   */
+  function scale(values, mode) {
+    const flat = values.flat().filter(isNum);
+    const def = MODES[mode];
+    if (!def.diverging) {
+      const max = Math.max(0, ...flat);
+      return { mode, min: 0, max: max > 0 ? max : 1, diverging: false, clipped: false, colors: Classify.ramp(SEQUENTIAL, STEPS) };
+    }
+    const abs = flat.map(Math.abs).sort((a, b) => a - b);
+    const largest = abs.length ? abs[abs.length - 1] : 0;
+    let limit;
+    if (mode === 'zscore') {
+      limit = Math.min(Z_LIMIT, largest);
+    } else {
+      const q = abs.length ? abs[Math.min(abs.length - 1, Math.floor(CHANGE_PERCENTILE * abs.length))] : 0;
+      limit = Math.ceil(q / 10) * 10; // Whole tens of percent read better on the legend
+    }
+    if (!(limit > 0)) limit = 1;
+    return { mode, min: -limit, max: limit, diverging: true, clipped: largest > limit, colors: Classify.ramp(DIVERGING, STEPS) };
+  }
+
+  /**
+   * Colour for a value on a scale, or null for a missing value.
+   */
+  function color(value, s) {
+    if (!isNum(value)) return null;
+    const t = (Math.min(s.max, Math.max(s.min, value)) - s.min) / (s.max - s.min);
+    return s.colors[Math.round(t * (s.colors.length - 1))];
+  }
+
+  /**
+   * Draws a scale's legend: a gradient bar with its end and middle values and a no-data swatch.
+   * @param {HTMLElement} container
+   * @param {object} s - scale() result.
+   * @param {object} [opts] - { noDataColor, note } (note: extra text after the bar).
+   */
+  function renderLegend(container, s, opts = {}) {
+    if (!container) return;
+    const def = MODES[s.mode];
+    const label = (v, edge) => `${s.clipped && edge ? (edge < 0 ? '≤ ' : '≥ ') : ''}${def.format(v)}`;
+    const stops = s.colors.filter((_, i) => i % 8 === 0 || i === s.colors.length - 1).join(', ');
+    const note = opts.note ? `<span class="heatmap-legend-note">${opts.note}</span>` : '';
+    container.innerHTML = `
+      <strong>${def.label}</strong>
+      <div class="heatmap-legend-scale">
+        <div class="heatmap-legend-bar" style="background:linear-gradient(to right, ${stops});"></div>
+        <div class="heatmap-legend-ticks">
+          <span>${label(s.min, -1)}</span><span>${label(s.diverging ? 0 : s.max / 2, 0)}</span><span>${label(s.max, 1)}</span>
+        </div>
+      </div>
+      <span class="heatmap-legend-item"><i style="background:${opts.noDataColor || 'transparent'};"></i>No data</span>
+      ${note}`;
+  }
+
+  return {
+    MODES,
+    transform,
+    scale,
+    color,
+    renderLegend,
+  };
+})();
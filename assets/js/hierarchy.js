@@ -0,0 +1,148 @@
+// assets/js/hierarchy.js
+// Case composition as a tree: disease category → disease → year, built from cube groups. The
+// tree feeds the sunburst and treemap views (ChartHelpers.createSunburst / createTreemap).
+// Categories are recognised from the disease name, so uploaded datasets with other spellings
+// ("Hepatitis B", "Primary syphilis") still group; anything unrecognised is 'Other'.
+// Each node carries its cases and the person-years behind them, so a slice has a rate.
+
+const Hierarchy = (function () {
+
+  const SEPARATOR = '|'; // Joins the labels on a node's path into its id
+
+  // First match wins
+  const DISEASE_CATEGORIES = [
+    { name: 'Sexually transmitted infections', pattern: /chlamydia|gonorr|syphilis|hiv|aids|chancroid|herpes|trichomon/i },
+    { name: 'Viral hepatitis', pattern: /hepatitis/i },
+    { name: 'Respiratory infections', pattern: /tubercul|\btb\b|influenza|pertussis|measles|covid|legionell/i },
+    { name: 'Chronic conditions', pattern: /diabet|cancer|asthma|obes|hypertens|heart|copd|stroke/i },
+  ];
+  const OTHER_CATEGORY = 'Other';
+
+  /** Category a disease belongs to. */
+  function categoryOf(disease) {
+    const match = DISEASE_CATEGORIES.find(c => c.pattern.test(String(disease || '')));
+    return match ? match.name : OTHER_CATEGORY;
+  }
+
+  // Levels below the root: the label of a group's node at that level
+  const LEVELS = [
+    { key: 'category', label: 'Category', of: (g) => categoryOf(g.disease) },
+    { key: 'disease', label: 'Disease', of: (g) => g.disease },
+    { key: 'year', label: 'Year', of: (g) => g.year },
+  ];
+
+  /**
+   * Builds the tree from one jurisdiction's disease × year groups.
+   * @param {object[]} groups - cube groupBy(['disease', 'year']) rows: { disease, year, cases, population }.
+   * @param {string} [rootLabel] - Label of the root node (e.g. the state's name).
+   * @returns {object} Root node. Every node is { id, label, level, levelName, path, value, cases,
+   *   ratedCases, years, populationByYear, children }; value is its case count and children are
+   *   sorted by label (years ascending).
+   */
+  function build(groups, rootLabel = 'All diseases') {
+    const root = node(rootLabel, 0, []);
+    groups.forEach(g => {
+      if (!(g.cases > 0)) return;
+      let parent = root;
+      add(root, g);
+      LEVELS.forEach((level, i) => {
+        const label = String(level.of(g));
+        parent.index = parent.index || {};
+        let child = parent.index[label];
+        if (!child) {
+          child = parent.index[label] = node(label, i + 1, parent.path.concat(label));
+          parent.children.push(child);
+        }
+        add(child, g);
+        parent = child;
+      });
+    });
+    finish(root);
+    return root;
+  }
+
+  function node(label, level, path) {
+    return {
+      id: path.join(SEPARATOR),
+      label,
+      level,
+      levelName: level === 0 ? null : LEVELS[level - 1].label,
+      path,
+      value: 0,
+      cases: 0,
+      ratedCases: 0, // Cases from groups with a population, the numerator of the rate
+      years: {},
+      populationByYear: {},
+      children: [],
+    };
+  }
+
+  // The jurisdiction's population is the same whatever the disease, so a year counts once
+  function add(n, g) {
+    n.value += g.cases;
+    n.cases += g.cases;
+    n.years[g.year] = true;
+    if (g.population > 0) {
+      n.ratedCases += g.cases;
+      n.populationByYear[g.year] = Math.max(n.populationByYear[g.year] || 0, g.population);
+    }
+  }
+
+  function finish(n) {
+    delete n.index;
+    n.children.sort((a, b) => (a.level === LEVELS.length ? Number(a.label) - Number(b.label) : a.label.localeCompare(b.label)));
+    n.children.forEach(finish);
+  }
+
+  /**
+   * Finds a node by id.
+   * @returns {object|null}
+   */
+  function find(root, id) {
+    if (!id) return root;
+    let n = root;
+    for (const label of id.split(SEPARATOR)) {
+      n = n.children.find(c => c.label === label);
+      if (!n) return null;
+    }
+    return n;
+  }
+
+  /** The node and its ancestors, root first. */
+  function lineage(root, n) {
+    const list = [root];
+    n.path.forEach(label => list.push(list[list.length - 1].children.find(c => c.label === label)));
+    return list;
+  }
+
+  /**
+   * Stat-card figures for a slice: its cases, the years it spans, the latest population and
+   * the rate per 100k person-years (for a single year, the ordinary rate per 100k).
+   * @returns {{cases: number, years: string[], population: number|null, populationYear: string|null, personYears: number, per100k: number|null}}
+   */
+  function summary(n) {
+    const rated = Object.keys(n.populationByYear).sort();
+    const personYears = rated.reduce((s, y) => s + n.populationByYear[y], 0);
+    const last = rated[rated.length - 1] || null;
+    return {
+      cases: n.cases,
+      years: Object.keys(n.years).sort(),
+      population: last ? n.populationByYear[last] : null,
+      populationYear: last,
+      personYears,
+      per100k: personYears > 0 ? (n.ratedCases / personYears) * 100000 : null,
+    };
+  }
+
+  return {
+    DISEASE_CATEGORIES,
+    OTHER_CATEGORY,
+    LEVELS,
+    SEPARATOR,
+    categoryOf,
+    build,
+    find,
+    lineage,
+    summary,
+  };
+})();
@@ -0,0 +1,141 @@
+// assets/js/insets.js
+// Composite ("Albers-style") layout for the national choropleth: the main map is framed on
+// the contiguous states and Alaska, Hawaii, Puerto Rico and the island areas are drawn in
+// small inset maps docked in the lower-left corner. Insets reuse the caller's style and
+// onEachFeature functions, so colouring, tooltips and click-through match the main layer.
+
+const MapInsets = (function () {
+
+  // bounds: fixed view for large insets (Alaska crosses the antimeridian, so fitBounds on the
+  // feature would span the globe). Insets without bounds are framed on their geometry.
+  const INSET_LAYOUT = [
+    { code: 'AK', label: 'Alaska', size: 'large', bounds: [[51, -179.5], [71.5, -129]] },
+    { code: 'HI', label: 'Hawaii', size: 'medium', bounds: [[18.8, -160.4], [22.3, -154.7]] },
+    { code: 'PR', label: 'Puerto Rico', size: 'small' },
+    { code: 'VI', label: 'USVI', size: 'small', zoom: 8 },
+    { code: 'GU', label: 'Guam', size: 'small', zoom: 8 },
+    { code: 'MP', label: 'N. Mariana Is.', size: 'small', zoom: 7 },
+    { code: 'AS', label: 'Am. Samoa', size: 'small', zoom: 8 },
+    { code: 'PW', label: 'Palau', size: 'small', zoom: 7 },
+  ];
+
+  const INSET_CODES = INSET_LAYOUT.map(i => i.code);
+
+  const insetMapOptions = {
+    zoomControl: false,
+    attributionControl: false,
+    dragging: false,
+    scrollWheelZoom: false,
+    doubleClickZoom: false,
+    boxZoom: false,
+    keyboard: false,
+    touchZoom: false,
+    zoomSnap: 0.25,
+  };
+
+  /** True if the feature belongs to one of the insets rather than the main frame. */
+  function isInsetFeature(feature) {
+    const j = Jurisdictions.fromFeature(feature);
+    return !!j && INSET_CODES.includes(j.code);
+  }
+
+  /**
+   * Bounds of the main frame: every feature in the layer that is not shown in an inset.
+   * @param {L.GeoJSON} layer - The main choropleth layer.
+   * @returns {L.LatLngBounds}
+   */
+  function mainlandBounds(layer) {
+    const bounds = L.latLngBounds([]);
+    layer.eachLayer(l => {
+      if (l.feature && !isInsetFeature(l.feature) && l.getBounds) bounds.extend(l.getBounds());
+    });
+    return bounds.isValid() ? bounds : layer.getBounds();
+  }
+
+  /** Returns the features for one inset: its polygon if present, else a point at the registry center. */
+  function featuresFor(inset, geojsonData) {
+    const polygons = geojsonData.features.filter(f => {
+      const j = Jurisdictions.fromFeature(f);
+      return j && j.code === inset.code;
+    });
+    if (polygons.length > 0) return polygons;
+    const point = Jurisdictions.pointFeature(Jurisdictions.byCode(inset.code));
+    return point ? [point] : [];
+  }
+
+  /**
+   * Docks the inset maps onto a Leaflet map.
+   * @param {L.Map} mapInstance - The main map.
+   * @param {object} geojsonData - The national FeatureCollection.
+   * @param {object} opts - { tileLayer, style, onEachFeature }; tileLayer(options) makes the basemap layer.
+   * @returns {{redraw: function(object): void, restyle: function(object): void, insets: object[]}} Handle used to restyle insets.
+   */
+  function attach(mapInstance, geojsonData, opts) {
+    const insets = [];
+
+    const Control = L.Control.extend({
+      options: { position: 'bottomleft' },
+      onAdd: function () {
+        const container = L.DomUtil.create('div', 'map-insets');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        INSET_LAYOUT.forEach(inset => {
+          const features = featuresFor(inset, geojsonData);
+          if (features.length === 0) return;
+          const box = L.DomUtil.create('div', `map-inset map-inset-${inset.size}`, container);
+          L.DomUtil.create('div', 'map-inset-label', box).textContent = inset.label;
+          const mapDiv = L.DomUtil.create('div', 'map-inset-map', box);
+          insets.push({ inset, features, mapDiv });
+        });
+        return container;
+      },
+    });
+    new Control().addTo(mapInstance);
+
+    // Inset maps need their containers in the DOM (with a size) before they can be created
+    insets.forEach(entry => {
+      entry.map = L.map(entry.mapDiv, insetMapOptions);
+      opts.tileLayer({ maxZoom: 10, minZoom: 1 }).addTo(entry.map);
+    });
+
+    /** Re-creates the inset layers with the given style (called whenever the main layer is redrawn). */
+    function redraw(style) {
+      insets.forEach(entry => {
+        if (entry.layer) entry.map.removeLayer(entry.layer);
+        entry.layer = L.geoJson({ type: 'FeatureCollection', features: entry.features }, {
+          style: style,
+          onEachFeature: opts.onEachFeature,
+          pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 9 }),
+        }).addTo(entry.map);
+
+        if (!entry.framed) {
+          entry.map.invalidateSize();
+          if (entry.inset.bounds) {
+            entry.map.fitBounds(entry.inset.bounds);
+          } else if (entry.inset.zoom) {
+            entry.map.setView(entry.layer.getBounds().getCenter(), entry.inset.zoom);
+          } else {
+            entry.map.fitBounds(entry.layer.getBounds(), { padding: [4, 4] });
+          }
+          entry.framed = true;
+        }
+      });
+    }
+
+    /** Re-colours the existing inset layers in place (e.g. for each timeline frame). */
+    function restyle(style) {
+      insets.forEach(entry => { if (entry.layer) entry.layer.setStyle(style); });
+    }
+
+    redraw(opts.style);
+    return { redraw, restyle, insets };
+  }
+
+  return {
+    INSET_LAYOUT,
+    INSET_CODES,
+    attach,
+    isInsetFeature,
+    mainlandBounds,
+  };
+})();
@@ -0,0 +1,175 @@
+// assets/js/jurisdictions.js
+// Canonical registry of U.S. states, territories and freely associated states.
+// Every dataset row and every GeoJSON feature is resolved against this list so
+// pages can join on the postal code instead of comparing raw names.
+
+const Jurisdictions = (function () {
+
+  // name: canonical display name, code: USPS code, fips: 2-digit FIPS/GEO_ID suffix,
+  // type: 'state' | 'territory' | 'freely-associated' (DC is treated as a state equivalent),
+  // center: [lat, lng] for island jurisdictions that have no polygon in usa_states.geojson,
+  // area: land area in square miles (CENSUSAREA in usa_states.geojson), used for population density
+  const REGISTRY = [
+    { name: 'Alabama', code: 'AL', fips: '01', type: 'state', area: 50645.326 },
+    { name: 'Alaska', code: 'AK', fips: '02', type: 'state', area: 570640.95 },
+    { name: 'Arizona', code: 'AZ', fips: '04', type: 'state', area: 113594.084 },
+    { name: 'Arkansas', code: 'AR', fips: '05', type: 'state', area: 52035.477 },
+    { name: 'California', code: 'CA', fips: '06', type: 'state', area: 155779.22 },
+    { name: 'Colorado', code: 'CO', fips: '08', type: 'state', area: 103641.888 },
+    { name: 'Connecticut', code: 'CT', fips: '09', type: 'state', area: 4842.355 },
+    { name: 'Delaware', code: 'DE', fips: '10', type: 'state', area: 1948.543 },
+    { name: 'District of Columbia', code: 'DC', fips: '11', type: 'state', area: 61.048, aliases: ['Washington DC', 'Washington D.C.', 'D.C.'] },
+    { name: 'Florida', code: 'FL', fips: '12', type: 'state', area: 53624.759 },
+    { name: 'Georgia', code: 'GA', fips: '13', type: 'state', area: 57513.485 },
+    { name: 'Hawaii', code: 'HI', fips: '15', type: 'state', area: 6422.628, aliases: ['Hawaiʻi', "Hawai'i"] },
+    { name: 'Idaho', code: 'ID', fips: '16', type: 'state', area: 82643.117 },
+    { name: 'Illinois', code: 'IL', fips: '17', type: 'state', area: 55518.93 },
+    { name: 'Indiana', code: 'IN', fips: '18', type: 'state', area: 35826.109 },
+    { name: 'Iowa', code: 'IA', fips: '19', type: 'state', area: 55857.13 },
+    { name: 'Kansas', code: 'KS', fips: '20', type: 'state', area: 81758.717 },
+    { name: 'Kentucky', code: 'KY', fips: '21', type: 'state', area: 39486.338 },
+    { name: 'Louisiana', code: 'LA', fips: '22', type: 'state', area: 43203.905 },
+    { name: 'Maine', code: 'ME', fips: '23', type: 'state', area: 30842.923 },
+    { name: 'Maryland', code: 'MD', fips: '24', type: 'state', area: 9707.241 },
+    { name: 'Massachusetts', code: 'MA', fips: '25', type: 'state', area: 7800.058 },
+    { name: 'Michigan', code: 'MI', fips: '26', type: 'state', area: 56538.901 },
+    { name: 'Minnesota', code: 'MN', fips: '27', type: 'state', area: 79626.743 },
+    { name: 'Mississippi', code: 'MS', fips: '28', type: 'state', area: 46923.274 },
+    { name: 'Missouri', code: 'MO', fips: '29', type: 'state', area: 68741.522 },
+    { name: 'Montana', code: 'MT', fips: '30', type: 'state', area: 145545.801 },
+    { name: 'Nebraska', code: 'NE', fips: '31', type: 'state', area: 76824.171 },
+    { name: 'Nevada', code: 'NV', fips: '32', type: 'state', area: 109781.18 },
+    { name: 'New Hampshire', code: 'NH', fips: '33', type: 'state', area: 8952.651 },
+    { name: 'New Jersey', code: 'NJ', fips: '34', type: 'state', area: 7354.22 },
+    { name: 'New Mexico', code: 'NM', fips: '35', type: 'state', area: 121298.148 },
+    { name: 'New York', code: 'NY', fips: '36', type: 'state', area: 47126.399, aliases: ['New York State'] },
+    { name: 'North Carolina', code: 'NC', fips: '37', type: 'state', area: 48617.905 },
+    { name: 'North Dakota', code: 'ND', fips: '38', type: 'state', area: 69000.798 },
+    { name: 'Ohio', code: 'OH', fips: '39', type: 'state', area: 40860.694 },
+    { name: 'Oklahoma', code: 'OK', fips: '40', type: 'state', area: 68594.921 },
+    { name: 'Oregon', code: 'OR', fips: '41', type: 'state', area: 95988.013 },
+    { name: 'Pennsylvania', code: 'PA', fips: '42', type: 'state', area: 44742.703 },
+    { name: 'Rhode Island', code: 'RI', fips: '44', type: 'state', area: 1033.814 },
+    { name: 'South Carolina', code: 'SC', fips: '45', type: 'state', area: 30060.696 },
+    { name: 'South Dakota', code: 'SD', fips: '46', type: 'state', area: 75811.0 },
+    { name: 'Tennessee', code: 'TN', fips: '47', type: 'state', area: 41234.896 },
+    { name: 'Texas', code: 'TX', fips: '48', type: 'state', area: 261231.711 },
+    { name: 'Utah', code: 'UT', fips: '49', type: 'state', area: 82169.62 },
+    { name: 'Vermont', code: 'VT', fips: '50', type: 'state', area: 9216.657 },
+    { name: 'Virginia', code: 'VA', fips: '51', type: 'state', area: 39490.086 },
+    { name: 'Washington', code: 'WA', fips: '53', type: 'state', area: 66455.521, aliases: ['Washington State'] },
+    { name: 'West Virginia', code: 'WV', fips: '54', type: 'state', area: 24038.21 },
+    { name: 'Wisconsin', code: 'WI', fips: '55', type: 'state', area: 54157.805 },
+    { name: 'Wyoming', code: 'WY', fips: '56', type: 'state', area: 97093.141 },
+
+    { name: 'American Samoa', code: 'AS', fips: '60', type: 'territory', center: [-14.28, -170.70] },
+    { name: 'Guam', code: 'GU', fips: '66', type: 'territory', center: [13.44, 144.79] },
+    { name: 'Northern Mariana Islands', code: 'MP', fips: '69', type: 'territory', center: [15.19, 145.75],
+      aliases: ['Commonwealth of the Northern Mariana Islands', 'CNMI', 'N. Mariana Islands'] },
+    { name: 'Puerto Rico', code: 'PR', fips: '72', type: 'territory', area: 3423.775, aliases: ['Commonwealth of Puerto Rico'] },
+    { name: 'U.S. Virgin Islands', code: 'VI', fips: '78', type: 'territory', center: [18.34, -64.83],
+      aliases: ['Virgin Islands of the U.S.', 'Virgin Islands of the United States', 'United States Virgin Islands', 'Virgin Islands', 'USVI'] },
+
+    { name: 'Federated States of Micronesia', code: 'FM', fips: '64', type: 'freely-associated', center: [6.92, 158.16], aliases: ['Micronesia'] },
+    { name: 'Marshall Islands', code: 'MH', fips: '68', type: 'freely-associated', center: [7.09, 171.38], aliases: ['Republic of the Marshall Islands'] },
+    { name: 'Palau', code: 'PW', fips: '70', type: 'freely-associated', center: [7.50, 134.62], aliases: ['Republic of Palau'] },
+  ];
+
+  // Census Bureau regions; island areas and freely associated states get their own groups
+  const CENSUS_REGIONS = {
+    Northeast: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT', 'NJ', 'NY', 'PA'],
+    Midwest: ['IL', 'IN', 'MI', 'OH', 'WI', 'IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD'],
+    South: ['DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV', 'AL', 'KY', 'MS', 'TN', 'AR', 'LA', 'OK', 'TX'],
+    West: ['AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY', 'AK', 'CA', 'HI', 'OR', 'WA'],
+  };
+  const TYPE_REGIONS = { territory: 'Island Areas', 'freely-associated': 'Freely Associated States' };
+
+  /** Lower-cases and strips punctuation so "U.S. Virgin Islands" and "us virgin islands" match. */
+  function keyOf(name) {
+    return String(name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f\u02bb']/g, '')
+      .toLowerCase()
+      .replace(/[.,]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .replace(/^the /, '');
+  }
+
+  const byCode = {};
+  const byFips = {};
+  const byKey = {};
+
+  REGISTRY.forEach(entry => {
+    entry.geoId = `0400000US${entry.fips}`;
+    entry.region = Object.keys(CENSUS_REGIONS).find(r => CENSUS_REGIONS[r].includes(entry.code)) || TYPE_REGIONS[entry.type];
+    byCode[entry.code] = entry;
+    byFips[entry.fips] = entry;
+    [entry.name, ...(entry.aliases || [])].forEach(n => { byKey[keyOf(n)] = entry; });
+  });
+
+  /**
+   * Resolves a name, alias, postal code, FIPS code or GEO_ID to a registry entry.
+   * @param {string} value - Raw jurisdiction identifier as found in a dataset or URL.
+   * @returns {object|null} The registry entry, or null if it cannot be resolved.
+   */
+  function resolve(value) {
+    if (value === undefined || value === null) return null;
+    const raw = String(value).trim();
+    if (!raw) return null;
+
+    if (/^[A-Za-z]{2}$/.test(raw) && byCode[raw.toUpperCase()]) return byCode[raw.toUpperCase()];
+    const geoMatch = raw.match(/^(?:0400000US)?(\d{1,2})$/);
+    if (geoMatch) return byFips[geoMatch[1].padStart(2, '0')] || null;
+
+    return byKey[keyOf(raw)] || null;
+  }
+
+  /**
+   * Resolves a GeoJSON feature using GEO_ID, then STATE (FIPS), then NAME.
+   * @param {object} feature - A GeoJSON feature from usa_states.geojson.
+   * @returns {object|null} The registry entry for the feature.
+   */
+  function fromFeature(feature) {
+    const p = (feature && feature.properties) || {};
+    return resolve(p.GEO_ID) || resolve(p.STATE) || resolve(p.NAME);
+  }
+
+  /**
+   * Builds a GeoJSON point feature for a jurisdiction that has no polygon, carrying the
+   * same NAME/STATE/GEO_ID properties as usa_states.geojson so it resolves like any feature.
+   * @param {object} entry - Registry entry with a `center`.
+   * @returns {object|null} A GeoJSON Feature, or null if the entry has no center.
+   */
+  function pointFeature(entry) {
+    if (!entry || !entry.center) return null;
+    return {
+      type: 'Feature',
+      properties: { GEO_ID: entry.geoId, STATE: entry.fips, NAME: entry.name },
+      geometry: { type: 'Point', coordinates: [entry.center[1], entry.center[0]] },
+    };
+  }
+
+  /**
+   * Summarises rows whose jurisdiction could not be resolved.
+   * @param {object[]} rows - Normalized rows (see normalizeRow).
+   * @returns {Array<{name: string, count: number}>} Unresolved raw names with row counts.
+   */
+  function unresolved(rows) {
+    const counts = {};
+    rows.forEach(r => {
+      if (!r.state_code) counts[r.state] = (counts[r.state] || 0) + 1;
+    });
+    return Object.keys(counts).sort().map(name => ({ name, count: counts[name] }));
+  }
+
+  return {
+    REGIONS: [...Object.keys(CENSUS_REGIONS), ...Object.values(TYPE_REGIONS)],
+    all: () => REGISTRY.slice(),
+    byCode: (code) => byCode[String(code || '').toUpperCase()] || null,
+    resolve,
+    fromFeature,
+    pointFeature,
+    unresolved,
+  };
+})();
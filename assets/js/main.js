@@ -1,124 +1,350 @@
 // main.js
 // Loads the dataset, fills dropdowns, and navigates to map.html or state.html
-// Data persistence is handled via localStorage for faster subsequent page loads.
+// Parsed data is cached in IndexedDB (see cache.js) and revalidated on every page load.
 
 const DATA_PATH = "assets/data/complete_disease_data.csv";
-const DATA_STORAGE_KEY = "phd_disease_data"; // Key for localStorage
+// Bump when normalizeRow/DataQuality change shape, so cached rows are re-parsed
+const DATA_SCHEMA_VERSION = 4;
+// Optional state/year population denominators (see denominators.js); a missing file is not an error
+const POPULATION_PATH = "assets/data/population.csv";
+// Former localStorage keys holding the whole dataset; removed on load
+const LEGACY_STORAGE_KEYS = ["phd_disease_data", "phd_disease_data_v2", "phd_disease_data_v3"];
 
 /**
- * Tolerantly picks a value from an object using a list of possible keys.
- * @param {object} obj - The object to search within.
- * @param {string[]} keys - Array of possible keys to check.
- * @returns {*} The found value or undefined.
+ * Logs rows whose jurisdiction is not in the registry. They are kept in the dataset
+ * (so nothing silently disappears) but cannot be joined to a map feature.
+ * @param {object[]} data - Normalized rows.
  */
-function _pick(obj, keys) {
-  for (const k of keys) {
-    if (obj && Object.prototype.hasOwnProperty.call(obj, k) && obj[k] !== undefined) {
-      return obj[k];
-    }
+function reportUnresolved(data) {
+  const unresolved = Jurisdictions.unresolved(data);
+  window.PHD_UNRESOLVED = unresolved;
+  if (unresolved.length > 0) {
+    console.warn(
+      `${unresolved.length} jurisdiction name(s) could not be resolved and will not appear on maps:`,
+      unresolved.map(u => `${u.name} (${u.count} rows)`).join(", ")
+    );
   }
-  return undefined;
+}
+
+// Share of the overall progress bar given to each loading phase: [start, end]
+const LOAD_PHASES = {
+  fetch: { label: "Downloading data", span: [0, 0.1] },
+  parse: { label: "Parsing CSV", span: [0.1, 0.3] },
+  normalize: { label: "Normalizing rows", span: [0.3, 0.7] },
+  validate: { label: "Validating", span: [0.7, 0.75] },
+  index: { label: "Indexing", span: [0.75, 1] },
+};
+
+/**
+ * Shows (creating on first use) a thin progress bar at the top of the page.
+ * @param {string} phase - Key of LOAD_PHASES.
+ * @param {number} fraction - Progress within the phase, 0..1.
+ */
+function showLoadProgress(phase, fraction) {
+  const info = LOAD_PHASES[phase] || { label: "Loading", span: [0, 1] };
+  let el = document.getElementById("loadProgress");
+  if (!el) {
+    el = document.createElement("div");
+    el.id = "loadProgress";
+    el.className = "load-progress";
+    el.setAttribute("role", "progressbar");
+    el.innerHTML = '<div class="load-progress-bar"></div><span class="load-progress-label"></span>';
+    document.body.appendChild(el);
+  }
+  const overall = info.span[0] + (info.span[1] - info.span[0]) * Math.min(1, Math.max(0, fraction || 0));
+  el.hidden = false;
+  el.setAttribute("aria-valuenow", Math.round(overall * 100));
+  el.querySelector(".load-progress-bar").style.width = `${(overall * 100).toFixed(1)}%`;
+  el.querySelector(".load-progress-label").textContent = `${info.label}…`;
+}
+
+function hideLoadProgress() {
+  const el = document.getElementById("loadProgress");
+  if (el) el.hidden = true;
 }
 
 /**
- * Converts a raw row object into a canonical data structure.
- * @param {object} r - The raw data row.
- * @returns {object} The normalized row.
+ * Makes a dataset record, already indexed by DataService, available to the page scripts and
+ * updates the "data as of" stamp.
+ * @param {object} record - Cache record ({ rows, quality, version, etag, lastModified, fetchedAt },
+ *   plus `denominators`, the Denominators.apply summary).
+ * @param {string} source - 'network', 'cache', 'stale-cache' (server unreachable), 'memory' (not cached),
+ *   'upload' (an uploaded dataset) or 'merged' (bundled plus uploaded).
+ * @returns {object[]} The normalized rows, with the populations as reported (the data worker
+ *   answers queries with the re-estimated ones).
  */
-function normalizeRow(r) {
-  if (!r) return null;
-  return {
-    state: String(_pick(r, ["state", "State", "STATE", "location", "province"]) || "").trim(),
-    year: String(_pick(r, ["year", "Year", "YEAR", "yr"]) || "").trim(),
-    disease: String(_pick(r, ["disease", "Disease", "condition"]) || "").trim(),
-    cases: Number(_pick(r, ["cases", "Cases", "value", "count"]) || 0),
-    population: Number(_pick(r, ["population", "Population", "pop"]) || 0),
-    population_density: Number(
-      _pick(r, ["population_density", "population density", "density", "pop_density"]) || 0
-    ),
-    // Pre-calculate per 100k rate (important for map/state pages)
-    per100k: (Number(_pick(r, ["cases", "Cases", "value", "count"]) || 0) / Number(_pick(r, ["population", "Population", "pop"]) || 0)) * 100000,
+function publishDataset(record, source) {
+  hideLoadProgress();
+  reportUnresolved(record.rows);
+  // IMPORTANT: Ensure required functions are available globally for other scripts
+  window.PHD_DATA = record.rows;
+  window.PHD_QUALITY = record.quality;
+  window.PHD_DATA_META = {
+    version: record.version,
+    etag: record.etag,
+    lastModified: record.lastModified,
+    fetchedAt: record.fetchedAt,
+    source,
+    dataset: record.name || null,
+    denominators: record.denominators || null,
   };
+  window._pick = _pick;
+  window.uniqueSorted = uniqueSorted;
+  window.normalizeRow = normalizeRow;
+  renderDataStamp(window.PHD_DATA_META);
+  return record.rows;
 }
 
 /**
- * Returns a unique, sorted array of non-null/non-empty values.
- * Sorts numerically if possible, otherwise alphabetically.
- * @param {Array<string|number>} arr - Array of values.
- * @returns {Array<string|number>} Sorted unique array.
+ * Fills every #dataStamp element with the dataset date/version and a refresh button.
+ * @param {object} meta - window.PHD_DATA_META.
  */
-function uniqueSorted(arr) {
-  return Array.from(new Set(arr))
-    .filter((x) => x && x !== "NA" && String(x).trim() !== "")
-    .sort((a, b) => {
-      const numA = Number(a);
-      const numB = Number(b);
-      if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
-      return String(a).localeCompare(String(b));
-    });
+function renderDataStamp(meta) {
+  const el = document.getElementById("dataStamp");
+  if (!el || !meta) return;
+  const asOf = new Date(meta.lastModified || meta.fetchedAt);
+  const dateText = isNaN(asOf) ? "unknown date" : asOf.toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+  const name = String(meta.dataset || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const notes = {
+    "stale-cache": " · offline copy, server unreachable",
+    memory: " · not cached (browser storage unavailable)",
+    upload: ` · uploaded dataset “${name}”`,
+    merged: ` · bundled data merged with “${name}”`,
+  };
+  const estimated = meta.denominators ? (meta.denominators.counts.interpolated || 0) + (meta.denominators.counts.extrapolated || 0) : 0;
+  const populations = meta.denominators && meta.denominators.file ? " · populations from population file"
+    : estimated > 0 ? " · populations between census counts interpolated" : "";
+  const uploaded = meta.source === "upload" || meta.source === "merged";
+  el.innerHTML = `Data as of ${dateText} · version <code>${String(meta.version || "").split("+").map(v => v.slice(0, 8)).join("+")}</code>${notes[meta.source] || ""}${populations}
+    ${uploaded ? '<a class="btn" href="index.html#datasets">Switch dataset</a>' : ""}
+    ${meta.source === "upload" ? "" : '<button type="button" class="btn data-refresh" title="Re-download the dataset">Refresh data</button>'}`;
+  const refresh = el.querySelector(".data-refresh");
+  if (refresh) refresh.addEventListener("click", async (e) => {
+    e.target.disabled = true;
+    e.target.textContent = "Refreshing…";
+    await loadData({ force: true });
+    location.reload();
+  });
 }
 
 /**
- * Loads and processes data, prioritizing localStorage cache.
+ * Loads and processes data through the IndexedDB cache (see DataCache).
+ * The cached copy is revalidated against DATA_PATH on every load with its ETag/Last-Modified
+ * validators; a 304 reuses it, a changed file (different content hash) is re-parsed.
+ * If the server cannot be reached the cached copy is used as-is.
+ * When an uploaded dataset is active (see upload.js) it replaces the bundled file, or is
+ * merged into it, before the rows reach the data worker. There population denominators are
+ * re-estimated (see Denominators) and the rates recomputed from them.
+ * The validation report (see DataQuality.assess) is exposed as window.PHD_QUALITY and the
+ * cache metadata as window.PHD_DATA_META.
+ * @param {object} [options] - { force: true } skips the conditional request and re-downloads.
  * @returns {Promise<object[]>} A promise that resolves with the normalized data array.
  */
-async function loadData() {
+async function loadData(options = {}) {
   console.log("Attempting to load data...");
 
-  // 1. Check Local Storage
-  const cachedData = localStorage.getItem(DATA_STORAGE_KEY);
-  if (cachedData) {
-    try {
-      const data = JSON.parse(cachedData);
-      console.log(`Loaded ${data.length} rows from localStorage.`);
-      // IMPORTANT: Ensure required functions are available globally for other scripts
-      window.PHD_DATA = data;
-      window._pick = _pick;
-      window.uniqueSorted = uniqueSorted;
-      window.normalizeRow = normalizeRow;
-      return data;
-    } catch (e) {
-      console.error("Failed to parse cached data:", e);
-      localStorage.removeItem(DATA_STORAGE_KEY); // Clear bad cache
+  // The dataset used to live in a single localStorage blob; free that space
+  LEGACY_STORAGE_KEYS.forEach(k => localStorage.removeItem(k));
+
+  try {
+    const active = getActiveDataset();
+    const upload = active ? await loadUploadedDataset(active.name) : null;
+    if (active && !upload) {
+      console.warn(`Uploaded dataset "${active.name}" is no longer stored; using the bundled dataset.`);
+      setActiveDataset(null);
     }
+    // Denominators are re-estimated on every load (cheap), so a new population file applies
+    // without re-parsing
+    const population = await loadPopulationFile();
+    let record, source, denominators = null;
+    if (upload && active.mode === "replace") {
+      record = upload;
+      source = "upload";
+    } else {
+      ({ record, source, denominators } = await loadBundledDataset(options, population));
+      if (upload) {
+        record = mergeDatasets(record, upload);
+        source = "merged";
+        denominators = null; // The worker indexed the bundled rows alone
+      }
+    }
+
+    // A freshly parsed file is already indexed; anything else goes to the data worker now
+    if (!denominators) ({ denominators } = await DataService.ingest(record.rows, population, showLoadProgress));
+    return publishDataset(Object.assign({}, record, { denominators }), source);
+  } catch (error) {
+    return showDataLoadError(error);
   }
+}
 
-  // 2. Fetch and Parse CSV
-  console.log("Fetching CSV file...");
+/**
+ * Fetches (or revalidates the cached copy of) the bundled dataset at DATA_PATH.
+ * @param {object} [options] - { force: true } skips the conditional request.
+ * @param {object|null} [population] - Population file, for a file parsed (and indexed) here.
+ * @returns {Promise<{record: object, source: string, denominators: object|null}>} denominators
+ *   (the Denominators.apply summary) only when the file was parsed, and so already indexed.
+ *   Rejects when there is neither a usable response nor a cached copy.
+ */
+async function loadBundledDataset(options = {}, population = null) {
+  // 1. Check the IndexedDB cache (ignored if written by an older normalizer)
+  let cached = await DataCache.get(DATA_PATH);
+  if (cached && cached.schema !== DATA_SCHEMA_VERSION) cached = null;
+
+  // 2. Revalidate against the server
+  showLoadProgress("fetch", 0);
+  const headers = {};
+  if (cached && !options.force) {
+    if (cached.etag) headers["If-None-Match"] = cached.etag;
+    if (cached.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+  }
+
+  let response;
   try {
-    const response = await fetch(DATA_PATH);
-    const csvText = await response.text();
+    response = await fetch(DATA_PATH, { headers, cache: "no-store" });
+  } catch (error) {
+    if (!cached) throw error;
+    console.warn("Dataset could not be revalidated, using cached copy:", error);
+    return { record: cached, source: "stale-cache" };
+  }
 
-    const result = Papa.parse(csvText, { header: true, skipEmptyLines: true });
-    
-    // Normalize and filter out rows where state or disease is empty
-    const normalizedData = result.data
-      .map(normalizeRow)
-      .filter(r => r && r.state && r.disease && r.year);
+  if (response.status === 304 && cached) {
+    console.log(`Cached dataset ${cached.version.slice(0, 8)} is current (${cached.rows.length} rows).`);
+    return { record: cached, source: "cache" };
+  }
+  if (!response.ok) {
+    if (!cached) throw new Error(`HTTP ${response.status}`);
+    console.warn(`Dataset request failed (${response.status}), using cached copy.`);
+    return { record: cached, source: "stale-cache" };
+  }
 
-    console.log(`Successfully parsed and normalized ${normalizedData.length} rows from CSV.`);
+  // 3. New or changed file: reuse the parsed rows if the content is identical, else parse
+  console.log("Fetching CSV file...");
+  const csvText = await response.text();
+  const version = await DataCache.hash(csvText);
+  const validators = {
+    etag: response.headers.get("ETag"),
+    lastModified: response.headers.get("Last-Modified"),
+    fetchedAt: new Date().toISOString(),
+  };
 
-    // 3. Store in Local Storage
-    localStorage.setItem(DATA_STORAGE_KEY, JSON.stringify(normalizedData));
-    
-    // IMPORTANT: Ensure required functions are available globally for other scripts
-    window.PHD_DATA = normalizedData;
-    window._pick = _pick;
-    window.uniqueSorted = uniqueSorted;
-    window.normalizeRow = normalizeRow;
-    return normalizedData;
-    
+  let record, denominators = null;
+  if (cached && cached.version === version) {
+    record = Object.assign({}, cached, validators);
+  } else {
+    // Parsing, normalization, validation and indexing run in the data worker
+    let rows, quality;
+    ({ rows, quality, denominators } = await DataService.parse(csvText, population, showLoadProgress));
+    record = Object.assign({ key: DATA_PATH, schema: DATA_SCHEMA_VERSION, version, rows, quality }, validators);
+  }
+
+  // 4. Store (storage may be full or blocked; the data is still usable from memory)
+  const stored = await DataCache.put(record);
+  if (!stored) console.warn("Dataset could not be cached; it will be downloaded again on the next visit.");
+  return { record, source: stored ? "network" : "memory", denominators };
+}
+
+/**
+ * Fetches the optional population file (see Denominators).
+ * @returns {Promise<object|null>} Denominators.parse() result, or null when there is no usable file.
+ */
+async function loadPopulationFile() {
+  try {
+    const response = await fetch(POPULATION_PATH, { cache: "no-cache" });
+    if (!response.ok) return null; // The file is optional
+    const file = Denominators.parse(await response.text());
+    if (file.unresolved.length > 0) {
+      console.warn(`Population file: ${file.unresolved.length} jurisdiction name(s) not recognised:`, file.unresolved.join(", "));
+    }
+    console.log(`Population file: ${file.rows} state-year denominators from ${POPULATION_PATH}.`);
+    return file.rows > 0 ? file : null;
   } catch (error) {
-    console.error("Error loading or parsing data:", error);
-    // Display error message on the page if possible
-    document.querySelector('main .cards').innerHTML = `<article class="card">
-        <h3>Data Load Error</h3>
-        <p>Could not load primary dataset. Please check the console for details on ${DATA_PATH}.</p>
-      </article>`;
-    return [];
+    console.warn("Population file could not be loaded; using the dataset's populations:", error);
+    return null;
   }
 }
 
+// Uploaded datasets are stored in the same IndexedDB store under this key prefix; the
+// active one (and whether it replaces or extends the bundled file) is kept in localStorage
+const UPLOAD_KEY_PREFIX = "upload:";
+const ACTIVE_DATASET_KEY = "phd_dataset";
+
+/**
+ * The dataset selected in the upload panel.
+ * @returns {{name: string, mode: string}|null} mode is 'replace' or 'merge'; null for the bundled dataset.
+ */
+function getActiveDataset() {
+  try {
+    const active = JSON.parse(localStorage.getItem(ACTIVE_DATASET_KEY));
+    return active && active.name && (active.mode === "replace" || active.mode === "merge") ? active : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Selects the dataset every page loads from now on.
+ * @param {{name: string, mode: string}|null} active - null returns to the bundled dataset.
+ */
+function setActiveDataset(active) {
+  if (active) localStorage.setItem(ACTIVE_DATASET_KEY, JSON.stringify({ name: active.name, mode: active.mode }));
+  else localStorage.removeItem(ACTIVE_DATASET_KEY);
+}
+
+/**
+ * Reads an uploaded dataset. Records written by an older normalizer are normalized again
+ * from the column-mapped rows kept alongside them.
+ * @param {string} name
+ * @returns {Promise<object|null>} The record, or null if it is not stored.
+ */
+async function loadUploadedDataset(name) {
+  const record = await DataCache.get(UPLOAD_KEY_PREFIX + name);
+  if (!record) return null;
+  if (record.schema !== DATA_SCHEMA_VERSION && record.mapped) {
+    Object.assign(record, normalizeRows(record.mapped, showLoadProgress), { schema: DATA_SCHEMA_VERSION });
+    await DataCache.put(record);
+  }
+  return record;
+}
+
+/**
+ * Combines the bundled dataset with an uploaded one. An uploaded row replaces the bundled
+ * row for the same jurisdiction, year, disease and stratum; everything else is kept.
+ * @param {object} base - Bundled dataset record.
+ * @param {object} upload - Uploaded dataset record.
+ * @returns {object} A record for publishDataset (not stored).
+ */
+function mergeDatasets(base, upload) {
+  const key = (r) => [r.state_code || r.state, r.year, r.disease, r.age_group || "", r.sex || "", r.race_ethnicity || ""].join("|");
+  const replaced = new Set(upload.rows.map(key));
+  const rows = base.rows.filter(r => !replaced.has(key(r))).concat(upload.rows);
+  const counts = Object.assign({}, base.quality.counts);
+  Object.entries(upload.quality.counts).forEach(([type, n]) => { counts[type] = (counts[type] || 0) + n; });
+  return Object.assign({}, base, {
+    name: upload.name,
+    version: `${base.version}+${upload.version}`,
+    rows,
+    quality: {
+      total: base.quality.total + upload.quality.total,
+      clean: base.quality.clean + upload.quality.clean,
+      counts,
+      rows: base.quality.rows.concat(upload.quality.rows),
+    },
+  });
+}
+
+/** Logs a load failure, shows it on the page where possible and resolves to an empty dataset. */
+function showDataLoadError(error) {
+  console.error("Error loading or parsing data:", error);
+  hideLoadProgress();
+  // Display error message on the page if possible
+  const cards = document.querySelector('main .cards');
+  if (cards) cards.innerHTML = `<article class="card">
+      <h3>Data Load Error</h3>
+      <p>Could not load primary dataset. Please check the console for details on ${DATA_PATH}.</p>
+    </article>`;
+  return [];
+}
+
 // Attach loadData globally so map.js and state.js can call it
 window.loadData = loadData;
 
@@ -129,6 +355,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   const searchBtn = document.getElementById("searchBtn");
   const openExample = document.getElementById("openExample");
 
+  // main.js is also loaded by map.html and state.html for loadData; the rest is index-only
+  if (!diseaseSelect) return;
+
+  // The upload panel works even when the active dataset fails to load
+  if (window.DatasetUpload) DatasetUpload.init(document.getElementById("datasets"));
+
   // Load data and wait for it to be ready
   const data = await loadData();
   
@@ -137,11 +369,14 @@ document.addEventListener("DOMContentLoaded", async () => {
     return;
   }
   
+  // Diseases and years come pre-aggregated from the data worker
+  const catalog = await DataService.query("catalog");
+
   // --- Populate Disease Dropdown ---
-  const diseases = uniqueSorted(data.map((r) => r.disease));
+  const diseases = catalog.diseases;
   diseaseSelect.innerHTML =
     '<option value="">-- Select Disease --</option>' +
-    diseases.map((d) => `<option value="${d}">${d}</option>`).join("");
+    diseases.map((d) => `<option value="${DataQuality.escapeHtml(d)}">${DataQuality.escapeHtml(d)}</option>`).join("");
 
   // --- Disease Change Listener ---
   diseaseSelect.addEventListener("change", () => {
@@ -156,7 +391,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
     
     // Populate Year dropdown based on selected disease
-    const years = uniqueSorted(data.filter((r) => r.disease === d).map((r) => r.year));
+    const years = catalog.yearsByDisease[d] || [];
     yearSelect.innerHTML =
       '<option value="">-- Select Year --</option>' +
       years.map((y) => `<option value="${y}">${y}</option>`).join("");
@@ -183,16 +418,16 @@ document.addEventListener("DOMContentLoaded", async () => {
   });
 
   // --- Example Button Click Listener (Open State) ---
-  openExample.addEventListener("click", () => {
+  openExample.addEventListener("click", async () => {
     // Find a state, disease, and year combo that exists in the data
     const d = diseases[0] || "";
     // Find the first year for that disease
-    const yearsForExample = uniqueSorted(data.filter((r) => r.disease === d).map((r) => r.year));
+    const yearsForExample = catalog.yearsByDisease[d] || [];
     const y = yearsForExample[0] || "";
 
     // Find the first state for that disease/year combo
-    const stateRow = data.find(r => r.disease === d && r.year === y);
-    const s = stateRow ? stateRow.state : "California"; // Fallback state
+    const statesForExample = d && y ? Object.values(await DataService.query("byDiseaseYear", { disease: d, year: y })) : [];
+    const s = statesForExample.length > 0 ? statesForExample[0].state : "California"; // Fallback state
 
     if (!d || !y || !s) {
         // If data is too sparse, just fallback to a generic example
@@ -1,66 +1,269 @@
 // assets/js/map.js
-// Logic for the dual-map national dashboard page.
+// Logic for the national map page. One control model drives everything on it: the disease,
+// year and metric pickers (and the timeline, which moves the year) re-render the map, its
+// legend, the summary, the charts and the ranking in place. The map shows the selected metric;
+// the side-by-side layout shows cases next to a rate on two synchronised maps.
 
 const GEOJSON_PATH = 'usa_states.geojson'; 
 
 // Global variables for maps and data
-let casesMap, rateMap; // Two Leaflet map instances
+let primaryMap, secondaryMap; // Leaflet maps; the second exists once the side-by-side layout is used
+let catalog = null; // DataService 'catalog': diseases and the years each has
 let geojsonData; // Raw GeoJSON data
-let currentYearData = {}; // Data for the selected year/disease: { stateName: {cases, population, per100k} }
+let currentYearData = {}; // Cube cells for the selected year/disease: { stateCode: {state, code, cases, population, per100k} }
 let allData = []; // All normalized CSV rows
+let nationalSeries = []; // [{year, cases, population, per100k}] for the selected disease (DataService 'national')
+let regionalTotals = []; // [{region, year, cases, population, per100k}] for the selected disease/year (DataService 'regional')
+let diseaseRows = []; // All cube cells for the selected disease (DataService 'byDisease')
+let frameCache = {}; // year -> { states, regional } for the selected disease, filled as the timeline visits years
+let timeline = null; // YearTimeline handle
 let Qobj = {}; // Query parameters
 
 // Chart instances
 let lineChartTotalCases, barChartTopStates, boxplotCases, scatterDensity;
 
 // --- Helper Functions (defined in main.js, but re-aliased for clarity) ---
-const qParam = (name) => new URLSearchParams(location.search).get(name);
-const formatNum = (n, dec=0) => new Intl.NumberFormat('en-US', {maximumFractionDigits: dec}).format(n);
+// Missing values (null) are "no data" and render as an em dash rather than 0
+const formatNum = (n, dec=0) => (n === null || n === undefined || !isFinite(n)) ? '—' : new Intl.NumberFormat('en-US', {maximumFractionDigits: dec}).format(n);
 const destroyChart = (chartInstance) => { if(chartInstance) try{ chartInstance.destroy(); }catch(e){} };
 
 // --- MAP STYLING AND COLORING ---
 
-// Color schemes and breaks for the choropleth maps
+// Colour ramps for the choropleth maps (interpolated to the number of classes)
 const casesColors = ['#f7fbff', '#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c']; // Blue gradient
-const casesBreaks = [0, 100, 1000, 10000, 50000]; // Total Cases
 const rateColors = ['#fef0d9', '#fdcc8a', '#fc8d59', '#e34a33', '#b30000']; // Red/Orange gradient
-const rateBreaks = [0, 5, 20, 50, 100]; // Rate per 100k
+const incidenceColors = ['#ffffcc', '#a1dab4', '#41b6c4', '#2c7fb8', '#253494']; // Yellow/green/blue
+const changeColors = ['#1b7837', '#7fbf7b', '#d9f0d3', '#e7d4e8', '#af8dc3', '#762a83']; // Diverging PRGn: decrease green, increase violet
+const NO_DATA_COLORS = { light: '#cccccc', dark: '#3a4a5c' }; // Grey that reads against either basemap
+const noDataColor = () => NO_DATA_COLORS[Theme.current()];
+
+// Incidence: new cases per 100k person-years over the INCIDENCE_YEARS years ending in the
+// selected year, each year's population counting as that year's person-years
+const INCIDENCE_YEARS = 5;
+let incidenceIndex = {}; // code -> year -> RateStats.pooledRate result, for the selected disease
+
+// Map metrics. `param` is the value in the metric picker and the URL; `manual` names the
+// manual-breaks field the metric uses (incidence shares the rate breaks: same unit, per 100k per year).
+const METRICS = {
+  cases: { param: 'Cases', label: 'Cases', dec: 0, colors: casesColors, manual: 'cases' },
+  per100k: { param: 'Rate', label: 'Rate / 100k', dec: 1, colors: rateColors, manual: 'per100k' },
+  incidence: { param: 'Incidence', label: 'Incidence / 100k person-years', dec: 1, colors: incidenceColors, manual: 'per100k' },
+};
+const metricFromParam = (param) => Object.keys(METRICS).find(key => METRICS[key].param === param) || 'cases';
+
+// Selected metric and map layout ('single' map, or 'split': cases beside a rate)
+const viewSettings = { metric: 'cases', layout: 'single' };
+
+/** The INCIDENCE_YEARS calendar years ending in `year`, oldest first. */
+const incidenceWindow = (year) => Array.from({ length: INCIDENCE_YEARS }, (_, i) => String(Number(year) - INCIDENCE_YEARS + 1 + i));
+
+/**
+ * Period label for an incidence value, noting windows with missing years.
+ * @param {string} year - Last year of the window.
+ * @param {object} [pooled] - RateStats.pooledRate result.
+ */
+function incidenceLabel(year, pooled = null) {
+  const label = `${incidenceWindow(year)[0]}–${year}`;
+  return pooled && pooled.cells < INCIDENCE_YEARS ? `${label}, ${pooled.cells} of ${INCIDENCE_YEARS} years reported` : label;
+}
+
+/**
+ * Pools each state's cases and populations over the incidence window ending in every year
+ * it has data for.
+ * @param {object[]} cells - The selected disease's cube cells.
+ * @returns {object} { code: { year: RateStats.pooledRate result | null } }.
+ */
+function buildIncidenceIndex(cells) {
+  const byCode = {};
+  cells.forEach(c => { (byCode[c.code] = byCode[c.code] || {})[c.year] = c; });
+  const index = {};
+  Object.entries(byCode).forEach(([code, byYear]) => {
+    index[code] = {};
+    Object.keys(byYear).forEach(year => {
+      index[code][year] = RateStats.pooledRate(incidenceWindow(year).map(y => byYear[y]));
+    });
+  });
+  return index;
+}
+
+const incidenceOf = (code, year) => {
+  const pooled = incidenceIndex[code] && incidenceIndex[code][year];
+  return pooled ? pooled.per100k : null;
+};
+
+/**
+ * Adds incidence to 'change' query results (which carry cases and rates only), with the same
+ * change rules: percent change needs a non-zero base.
+ */
+function withIncidenceChange(change, from, to) {
+  Object.values(change).forEach(d => {
+    const a = d.from ? incidenceOf(d.code, from) : null;
+    const b = d.to ? incidenceOf(d.code, to) : null;
+    if (d.from) d.from.incidence = a;
+    if (d.to) d.to.incidence = b;
+    d.delta.incidence = a !== null && b !== null ? b - a : null;
+    d.pct.incidence = a !== null && b !== null && a !== 0 ? ((b - a) / a) * 100 : null;
+  });
+  return change;
+}
+
+/**
+ * Shows the selected metric's name in chart titles and its definition under the heading.
+ */
+function renderMetricLabels() {
+  const { label } = METRICS[viewSettings.metric];
+  document.querySelectorAll('.metric-label').forEach(el => { el.textContent = label; });
+  const definition = document.getElementById('metricDefinition');
+  if (!definition) return;
+  definition.textContent = {
+    cases: 'Cases: reported cases in the selected year.',
+    per100k: 'Rate: reported cases per 100,000 residents in the selected year.',
+    incidence: `Incidence: reported cases per 100,000 person-years over the ${INCIDENCE_YEARS} years ending in the selected year ` +
+      `(${incidenceLabel(Qobj.year)}). Each year's population counts as one year of exposure, so the rate is pooled rather than averaged.`,
+  }[viewSettings.metric] + (viewSettings.layout === 'split' ? ' Side by side: cases on the left.' : '');
+}
+
+// Change mode: colour states by the change between a base year and the current frame's year
+const changeSettings = { enabled: false, base: null, measure: 'pct' }; // measure: 'pct' | 'delta'
+let changeData = {}; // DataService 'change' for base -> current year: { stateCode: {from, to, delta, pct} }
+
+// Classification settings (map controls) and the resulting classes for the current frame:
+// { cases: {breaks, colors, counts}, per100k: {...} }, recomputed from the slice on screen
+const classSettings = { method: 'quantile', k: 5, manual: { cases: '', per100k: '' } };
+let mapClasses = {};
+
+// Anomaly detection settings (see anomaly.js) and the flags for the selected disease,
+// keyed by AnomalyDetection.key(code, disease, year)
+const anomalySettings = { method: AnomalyDetection.DEFAULTS.method, sensitivity: AnomalyDetection.DEFAULTS.sensitivity };
+let anomalies = [];
+let anomalyIndex = {};
+
+// National line chart forecast (see forecast.js); method 'off' hides it
+const forecastSettings = { method: 'holt', horizon: 3 };
+
+// National ranking table (see dataGrid.js)
+let rankingGrid = null;
+const RANKING_DEFAULT_SORT = 'rank';
+const HOVER_STYLE = { weight: 3, color: '#333', dashArray: '', fillOpacity: 0.95 };
+
+// States shift-clicked for the comparison page (compare.html takes 2-6)
+const COMPARE_LIMIT = 6;
+let compareSelection = [];
+
+// View state mirrored in the query string (see viewState.js). Back/Forward re-render through
+// restoreView; `restoring` keeps that re-render from recording new history entries.
+const urlState = ViewState.create({
+  disease: ViewState.types.string(),
+  year: ViewState.types.string(),
+  metric: ViewState.types.oneOf(Object.values(METRICS).map(m => m.param)),
+  layout: ViewState.types.oneOf(['single', 'split']),
+  box: ViewState.types.oneOf(['byYear', 'byState', 'byDisease']),
+  mode: ViewState.types.oneOf(['level', 'change']),
+  base: ViewState.types.string(),
+  measure: ViewState.types.oneOf(['pct', 'delta']),
+  classes: ViewState.types.oneOf(Object.keys(Classify.METHODS), classSettings.method),
+  k: ViewState.types.int(Classify.MIN_CLASSES, Classify.MAX_CLASSES, classSettings.k),
+  casesBreaks: ViewState.types.string(''),
+  rateBreaks: ViewState.types.string(''),
+  anomaly: ViewState.types.oneOf(Object.keys(AnomalyDetection.METHODS), anomalySettings.method),
+  sensitivity: ViewState.types.oneOf(Object.keys(AnomalyDetection.SENSITIVITY), anomalySettings.sensitivity),
+  forecast: ViewState.types.oneOf(['off', ...Object.keys(Forecast.METHODS)], forecastSettings.method),
+  horizon: ViewState.types.int(1, Forecast.MAX_HORIZON, forecastSettings.horizon),
+  compare: ViewState.types.string(''),
+  rankSort: ViewState.types.string(RANKING_DEFAULT_SORT), // Column key, '-' prefix for descending
+  rankQuery: ViewState.types.string(''),
+  rankRegion: ViewState.types.string(''),
+  view: ViewState.types.mapView(),
+}, { onRestore: restoreView });
+let restoring = false;
 
 /**
- * Returns color based on value and defined breaks/colors
+ * The value a state is coloured by: the level in the current year, or in change mode the
+ * absolute/percent change since the base year (null when either year is missing).
  */
-function getColor(value, breaks, colors) {
-  if (value <= 0) return '#cccccc'; // Special color for zero/no data
-  for (let i = breaks.length - 1; i >= 0; i--) {
-    if (value >= breaks[i]) return colors[i + 1] || colors[i];
+function mapValue(code, metric) {
+  if (changeSettings.enabled) {
+    const d = changeData[code];
+    return d ? d[changeSettings.measure][metric] : null;
   }
-  return colors[0];
+  const d = currentYearData[code];
+  return d ? d[metric] : null;
+}
+
+/** Postal codes of every jurisdiction in the current frame (either endpoint in change mode). */
+function frameCodes() {
+  return Object.keys(changeSettings.enabled ? changeData : currentYearData);
+}
+
+/**
+ * Recomputes class breaks, colours and per-class counts for every metric from the values on
+ * screen. Change mode uses a diverging scale centred on zero.
+ */
+function computeClasses() {
+  const codes = frameCodes();
+  Object.entries(METRICS).forEach(([metric, { colors: anchors, manual }]) => {
+    const values = codes.map(code => mapValue(code, metric)).filter(v => v !== null && v !== undefined);
+    const opts = { manual: classSettings.manual[manual] };
+    let breaks, colors;
+    if (changeSettings.enabled) {
+      breaks = Classify.divergingBreaks(values, classSettings.method, classSettings.k, opts);
+      const perSide = Math.max(1, (breaks.length - 1) / 2);
+      colors = [...Classify.ramp(changeColors.slice(0, 3), perSide), ...Classify.ramp(changeColors.slice(3), perSide)];
+    } else {
+      breaks = Classify.breaks(values, classSettings.method, classSettings.k, opts);
+      colors = Classify.ramp(anchors, Math.max(1, breaks.length - 1));
+    }
+    mapClasses[metric] = { breaks, colors, counts: Classify.counts(values, breaks) };
+  });
+}
+
+/**
+ * Returns the class colour for a value, or the no-data grey for missing values
+ */
+function getColor(value, classes) {
+  const i = classes ? Classify.classOf(value, classes.breaks) : -1;
+  return i < 0 ? noDataColor() : classes.colors[i];
 }
 
 /**
  * Styles a GeoJSON feature for coloring the map
  */
 function styleFeature(feature, metric) {
-  const stateName = feature.properties.NAME; // GeoJSON properties might use NAME
-  const data = currentYearData[stateName];
-  let value = 0;
-  let colors, breaks;
-
-  if (metric === 'cases') {
-    value = data ? data.cases : 0;
-    colors = casesColors;
-    breaks = casesBreaks;
-  } else { // 'rate'
-    value = data ? data.per100k : 0;
-    colors = rateColors;
-    breaks = rateBreaks;
+  const jurisdiction = Jurisdictions.fromFeature(feature);
+  const value = jurisdiction ? mapValue(jurisdiction.code, metric) : null;
+  const flag = jurisdiction ? anomalyIndex[AnomalyDetection.key(jurisdiction.code, Qobj.disease, Qobj.year)] : null;
+
+  if (jurisdiction && compareSelection.includes(jurisdiction.code)) {
+    // Selected for comparison: heavy dark outline (an anomaly outline would be hidden under it)
+    return {
+      fillColor: getColor(value, mapClasses[metric]),
+      weight: 3.5,
+      opacity: 1,
+      color: '#212529',
+      dashArray: '',
+      fillOpacity: 0.9,
+      metric: metric
+    };
+  }
+
+  if (flag) {
+    // Anomalous state-years keep their fill and get a solid outline in the direction's colour
+    return {
+      fillColor: getColor(value, mapClasses[metric]),
+      weight: 3,
+      opacity: 1,
+      color: AnomalyDetection.DIRECTION_COLORS[flag.direction],
+      dashArray: '',
+      fillOpacity: 0.8,
+      metric: metric
+    };
   }
 
   return {
-    fillColor: getColor(value, breaks, colors),
+    fillColor: getColor(value, mapClasses[metric]),
     weight: 1.5,
     opacity: 1,
-    color: 'white', // White borders between states
+    color: ChartHelpers.getCssVariable('--card-bg'), // Borders between states: white, or the dark card colour on the dark basemap
     dashArray: '3',
     fillOpacity: 0.8,
     metric: metric // Store the metric type for hover reset
@@ -73,39 +276,48 @@ function styleFeature(feature, metric) {
  * Handles hover (mouseover/mouseout) and click events for map features.
  */
 function onEachFeature(feature, layer) {
-  const stateName = feature.properties.NAME;
-  const data = currentYearData[stateName];
+  const jurisdiction = Jurisdictions.fromFeature(feature);
+  const stateName = jurisdiction ? jurisdiction.name : feature.properties.NAME;
+  // Read at event time: the timeline swaps currentYearData without rebuilding the layers
+  const currentData = () => (jurisdiction ? currentYearData[jurisdiction.code] : null);
 
   // 1. Tooltip (Hover)
-  let tooltipContent = `<strong>${stateName}</strong>`;
-  if (data) {
-    tooltipContent += `<br>Cases: ${formatNum(data.cases)}
-                       <br>Rate / 100k: ${formatNum(data.per100k, 1)}`;
-  } else {
-    tooltipContent += `<br>No data available`;
-  }
-  layer.bindTooltip(tooltipContent, {
+  layer.bindTooltip(() => {
+    if (changeSettings.enabled) return changeTooltip(stateName, jurisdiction ? changeData[jurisdiction.code] : null);
+    const data = currentData();
+    let tooltipContent = `<strong>${stateName}</strong> (${Qobj.year})`;
+    if (data) {
+      tooltipContent += `<br>Cases: ${formatNum(data.cases)}
+                         <br>Rate / 100k: ${formatNum(data.per100k, 1)}`;
+      const ci = RateStats.rateCI(data.cases, data.population);
+      if (ci) tooltipContent += ` <span class="small">(95% CI ${RateStats.formatCI(ci)})</span>`;
+      const incidence = jurisdiction ? incidenceIndex[jurisdiction.code]?.[Qobj.year] : null;
+      if (incidence) tooltipContent += `<br>Incidence / 100k person-years: ${formatNum(incidence.per100k, 1)} <span class="small">(${incidenceLabel(Qobj.year, incidence)})</span>`;
+    } else {
+      tooltipContent += `<br>No data available`;
+    }
+    const flag = jurisdiction ? anomalyIndex[AnomalyDetection.key(jurisdiction.code, Qobj.disease, Qobj.year)] : null;
+    if (flag) tooltipContent += `<br><span class="small">Anomaly — ${AnomalyDetection.describe(flag)}</span>`;
+    return tooltipContent;
+  }, {
       sticky: true,
       className: 'map-tooltip', // Use this class if you want custom tooltip styles
   });
 
-  // 2. Click (Redirect)
+  // 2. Click (Redirect); shift-click adds the state to (or removes it from) the comparison
   layer.on('click', (e) => {
-    if (!data) return; // Don't redirect if there's no data
-    
-    const q = new URLSearchParams({ 
-      state: stateName, 
-      disease: Qobj.disease, 
-      year: Qobj.year 
-    });
-    // Redirects the user to the state.html page
-    window.location.href = `state.html?${q.toString()}`;
+    if (e.originalEvent && e.originalEvent.shiftKey) {
+      if (jurisdiction) toggleCompare(jurisdiction.code);
+      return;
+    }
+    if (!currentData()) return; // Don't redirect if there's no data
+    openState(stateName);
   });
 
   // 3. Highlight
   layer.on({
     mouseover: (e) => {
-      e.target.setStyle({ weight: 3, color: '#333', dashArray: '', fillOpacity: 0.95 });
+      e.target.setStyle(HOVER_STYLE);
       e.target.bringToFront();
     },
     mouseout: (e) => {
@@ -118,6 +330,34 @@ function onEachFeature(feature, layer) {
   });
 }
 
+/**
+ * Formats a signed change, e.g. "+12.5%" or "−1,204".
+ */
+function formatChange(value, measure, dec = 0) {
+  if (value === null || value === undefined || !isFinite(value)) return '—';
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '±';
+  return `${sign}${formatNum(Math.abs(value), measure === 'pct' ? 1 : dec)}${measure === 'pct' ? '%' : ''}`;
+}
+
+/**
+ * Tooltip for change mode: both endpoint values and the change, or which year is missing.
+ */
+function changeTooltip(stateName, d) {
+  const from = changeSettings.base, to = Qobj.year;
+  let html = `<strong>${stateName}</strong> (${from} → ${to})`;
+  const missing = [!d || !d.from ? from : null, !d || !d.to ? to : null].filter(Boolean);
+  if (missing.length) return `${html}<br>No data for ${missing.join(' and ')}`;
+  html += `<br>Cases: ${formatNum(d.from.cases)} → ${formatNum(d.to.cases)} (${formatChange(d[changeSettings.measure].cases, changeSettings.measure)})`;
+  html += `<br>Rate / 100k: ${formatNum(d.from.per100k, 1)} → ${formatNum(d.to.per100k, 1)} (${formatChange(d[changeSettings.measure].per100k, changeSettings.measure, 1)})`;
+  const ciFrom = RateStats.rateCI(d.from.cases, d.from.population), ciTo = RateStats.rateCI(d.to.cases, d.to.population);
+  if (ciFrom && ciTo) html += `<br><span class="small">95% CI ${RateStats.formatCI(ciFrom)} → ${RateStats.formatCI(ciTo)}</span>`;
+  if (viewSettings.metric === 'incidence') {
+    html += `<br>Incidence / 100k person-years: ${formatNum(d.from.incidence, 1)} → ${formatNum(d.to.incidence, 1)} (${formatChange(d[changeSettings.measure].incidence, changeSettings.measure, 1)})`;
+  }
+  if (changeSettings.measure === 'pct' && d.delta.cases !== null && d.pct.cases === null) html += '<br><span class="small">% change undefined (no cases in base year)</span>';
+  return html;
+}
+
 /**
  * Draws the GeoJSON layer for a specific map instance with a specific metric
  */
@@ -127,24 +367,172 @@ function drawMapLayer(mapInstance, metric) {
     // Determine the style function
     const currentStyle = (feature) => styleFeature(feature, metric);
     
-    // Clear previous layers
-    mapInstance.eachLayer(layer => {
-        if (layer.options.metric) mapInstance.removeLayer(layer);
-    });
+    // Clear the previous layer (its tooltips and click handlers go with it)
+    if (mapInstance.choroplethLayer) mapInstance.removeLayer(mapInstance.choroplethLayer);
 
     // Add new GeoJSON layer
     const layer = L.geoJson(geojsonData, {
         style: currentStyle,
         onEachFeature: onEachFeature
     }).addTo(mapInstance);
+    mapInstance.choroplethLayer = layer;
+
+    // Alaska, Hawaii and the territories are drawn in inset panels sharing the same style
+    if (!mapInstance.insets) {
+        mapInstance.insets = MapInsets.attach(mapInstance, geojsonData, {
+            tileLayer: (options) => Theme.tileLayer(options),
+            style: currentStyle,
+            onEachFeature: onEachFeature
+        });
+    } else {
+        mapInstance.insets.redraw(currentStyle);
+    }
     
-    // Zoom to bounds of the US
-    if (mapInstance.fitBoundsCount === 0) { // Only fit bounds on the first load
-        mapInstance.fitBounds(layer.getBounds());
+    // Frame the contiguous US; the inset jurisdictions would otherwise shrink it to a sliver
+    // Only on the first load, and not over a view restored from the URL. Unanimated, so the
+    // moveend it fires has passed before the view tracking in updateDashboard is attached.
+    if (mapInstance.fitBoundsCount === 0) {
+        const view = urlState.state.view;
+        if (view) mapInstance.setView([view.lat, view.lng], view.zoom, { animate: false });
+        else mapInstance.fitBounds(MapInsets.mainlandBounds(layer), { padding: [10, 10], animate: false });
         mapInstance.fitBoundsCount = 1;
     }
 }
 
+/**
+ * Re-colours an existing layer (and its insets) in place for the current frame, keeping
+ * tooltips, handlers and the map view intact.
+ */
+function restyleMapLayer(mapInstance, metric) {
+    if (!mapInstance.choroplethLayer) return drawMapLayer(mapInstance, metric);
+    const currentStyle = (feature) => styleFeature(feature, metric);
+    mapInstance.choroplethLayer.setStyle(currentStyle);
+    if (mapInstance.insets) mapInstance.insets.restyle(currentStyle);
+}
+
+/**
+ * The maps on screen and the metric each shows: the selected metric, or in the side-by-side
+ * layout cases on the first map and a rate (the selected one, else per 100k) on the second.
+ */
+function mapPanels() {
+  const split = viewSettings.layout === 'split' && secondaryMap;
+  const panels = [{ map: primaryMap, metric: split ? 'cases' : viewSettings.metric, legend: 'primaryLegend', title: 'primaryMapTitle' }];
+  if (split) {
+    panels.push({ map: secondaryMap, metric: viewSettings.metric === 'cases' ? 'per100k' : viewSettings.metric, legend: 'secondaryLegend', title: 'secondaryMapTitle' });
+  }
+  return panels;
+}
+
+/**
+ * Re-classifies the current frame and re-colours the maps, legends and map titles.
+ * @param {object} [opts] - { rebuild: true } redraws the layers instead of restyling them.
+ */
+function refreshClasses(opts = {}) {
+  computeClasses();
+  mapPanels().forEach(({ map, metric, legend, title }) => {
+    if (opts.rebuild) drawMapLayer(map, metric);
+    else restyleMapLayer(map, metric);
+    addMapLegend(metric, legend);
+    const heading = document.getElementById(title);
+    if (heading) heading.textContent = METRICS[metric].label;
+  });
+}
+
+/**
+ * Wires the classification controls (method, number of classes, manual breaks)
+ */
+function initClassControls() {
+  const method = document.getElementById('classMethod');
+  const count = document.getElementById('classCount');
+  const manual = document.getElementById('manualBreaks');
+  if (!method || !count) return;
+
+  method.innerHTML = Object.entries(Classify.METHODS)
+    .map(([value, label]) => `<option value="${value}"${value === classSettings.method ? ' selected' : ''}>${label}</option>`).join('');
+  count.min = Classify.MIN_CLASSES;
+  count.max = Classify.MAX_CLASSES;
+  count.value = classSettings.k;
+
+  const apply = () => {
+    classSettings.method = method.value;
+    classSettings.k = Number(count.value) || classSettings.k;
+    count.disabled = method.value === 'manual';
+    if (manual) {
+      manual.hidden = method.value !== 'manual';
+      manual.querySelectorAll('input[data-metric]').forEach(input => {
+        classSettings.manual[input.dataset.metric] = input.value;
+      });
+    }
+    refreshClasses();
+    updateUrl();
+  };
+  method.addEventListener('change', apply);
+  count.addEventListener('change', apply);
+  if (manual) manual.addEventListener('change', apply);
+}
+
+/**
+ * Redirects the user to the state.html page for a jurisdiction, disease and year.
+ */
+function openState(stateName) {
+  const q = new URLSearchParams({ 
+    state: stateName, 
+    disease: Qobj.disease, 
+    year: Qobj.year 
+  });
+  window.location.href = `state.html?${q.toString()}`;
+}
+
+/**
+ * Highlights a jurisdiction on the maps (and their insets) as hovering it does, or puts its
+ * normal style back.
+ */
+function highlightState(code, on) {
+  mapPanels().forEach(({ map: mapInstance, metric }) => {
+    const groups = [mapInstance.choroplethLayer, ...(mapInstance.insets ? mapInstance.insets.insets.map(e => e.layer) : [])];
+    groups.filter(Boolean).forEach(group => group.eachLayer(layer => {
+      const jurisdiction = Jurisdictions.fromFeature(layer.feature);
+      if (!jurisdiction || jurisdiction.code !== code) return;
+      layer.setStyle(on ? HOVER_STYLE : styleFeature(layer.feature, metric));
+      if (on && layer.bringToFront) layer.bringToFront();
+    }));
+  });
+}
+
+/**
+ * Adds a state to the comparison selection, or removes it if already selected.
+ */
+function toggleCompare(code) {
+  if (compareSelection.includes(code)) {
+    compareSelection = compareSelection.filter(c => c !== code);
+  } else if (compareSelection.length < COMPARE_LIMIT) {
+    compareSelection = [...compareSelection, code];
+  } else {
+    ViewState.notice(`Up to ${COMPARE_LIMIT} states can be compared; remove one first.`);
+    return;
+  }
+  refreshClasses();
+  renderCompareTray();
+  updateUrl();
+}
+
+/**
+ * Lists the selected states with a link to the comparison page (enabled from two states).
+ */
+function renderCompareTray() {
+  const chips = document.getElementById('compareChips');
+  const link = document.getElementById('compareLink');
+  if (!chips || !link) return;
+  chips.innerHTML = compareSelection.map(code =>
+    `<button type="button" class="btn compare-chip" data-code="${code}" title="Remove">${(Jurisdictions.byCode(code) || {}).name || code} &times;</button>`).join('');
+  chips.querySelectorAll('.compare-chip').forEach(btn => btn.addEventListener('click', () => toggleCompare(btn.dataset.code)));
+  const q = new URLSearchParams({ states: compareSelection.join(','), disease: Qobj.disease, to: Qobj.year });
+  link.href = `compare.html?${q.toString()}`;
+  link.classList.toggle('disabled', compareSelection.length < 2);
+  link.setAttribute('aria-disabled', String(compareSelection.length < 2));
+  document.getElementById('compareClear').hidden = compareSelection.length === 0;
+}
+
 /**
  * Adds a custom legend to the map container
  */
@@ -152,31 +540,32 @@ function addMapLegend(metric, containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    let colors, breaks, title;
-    if (metric === 'cases') {
-        colors = casesColors; breaks = casesBreaks; title = 'Cases';
-    } else {
-        colors = rateColors; breaks = rateBreaks; title = 'Rate / 100k';
-    }
+    let title = METRICS[metric].label;
+    const dec = METRICS[metric].dec;
+    const { breaks, colors, counts } = mapClasses[metric] || { breaks: [], colors: [], counts: [] };
+    const noData = frameCodes().filter(code => mapValue(code, metric) === null).length;
+    // In change mode labels are signed changes (percent or absolute) since the base year
+    const fmt = changeSettings.enabled ? (v) => formatChange(v, changeSettings.measure, dec) : (v) => formatNum(v, dec);
+    if (changeSettings.enabled) title = `${changeSettings.measure === 'pct' ? '% change' : 'Change'} in ${title}, ${changeSettings.base}–${Qobj.year}`;
 
-    let html = `<strong>${title} Legend:</strong><div style="display:flex; flex-wrap:wrap; gap:8px; margin-top:5px;">`;
+    let html = `<strong>${title} Legend</strong> <span class="small">(${Classify.METHODS[classSettings.method]})</span><div style="display:flex; flex-wrap:wrap; gap:8px; margin-top:5px;">`;
 
-    for (let i = 0; i < breaks.length; i++) {
+    // One entry per class: its range and how many states fall in it (a single class when all values tie)
+    const classCount = breaks.length > 1 ? breaks.length - 1 : breaks.length;
+    for (let i = 0; i < classCount; i++) {
         const start = breaks[i];
-        const end = breaks[i + 1];
-        const color = colors[i + 1] || colors[i];
-        
-        let label = (i === breaks.length - 1) ? `${formatNum(start)}+` : `${formatNum(start)}-${formatNum(end - 1)}`;
-        
+        const end = breaks[i + 1] ?? start;
+        const label = start === end ? fmt(start) : `${i === 0 ? '' : '>'}${fmt(start)} to ${fmt(end)}`;
+
         html += `<div style="display:flex; align-items:center; font-size:0.8rem; color:var(--muted);">
-            <span style="width:14px; height:14px; background-color:${color}; margin-right:4px; border:1px solid #ccc; border-radius:3px;"></span>
-            ${label}
+            <span style="width:14px; height:14px; background-color:${colors[i]}; margin-right:4px; border:1px solid var(--border); border-radius:3px;"></span>
+            ${label} <span style="margin-left:3px;">(${counts[i] || 0})</span>
         </div>`;
     }
     
     html += `<div style="display:flex; align-items:center; font-size:0.8rem; color:var(--muted);">
-        <span style="width:14px; height:14px; background-color:#cccccc; margin-right:4px; border:1px solid #ccc; border-radius:3px;"></span>
-        No Data
+        <span style="width:14px; height:14px; background-color:${noDataColor()}; margin-right:4px; border:1px solid var(--border); border-radius:3px;"></span>
+        No Data (${noData})
     </div>`;
     
     html += '</div>';
@@ -184,31 +573,136 @@ function addMapLegend(metric, containerId) {
 }
 
 /**
- * Initializes Leaflet maps for the Cases and Rate metrics
+ * Legend entries for an export: the same classes, labels and counts as the on-screen legend.
  */
-function initializeMaps() {
-  const mapOptions = {
+function legendEntries(metric) {
+  const dec = METRICS[metric].dec;
+  const fmt = changeSettings.enabled ? (v) => formatChange(v, changeSettings.measure, dec) : (v) => formatNum(v, dec);
+  const { breaks, colors, counts } = mapClasses[metric] || { breaks: [], colors: [], counts: [] };
+  const classCount = breaks.length > 1 ? breaks.length - 1 : breaks.length;
+  const entries = Array.from({ length: classCount }, (_, i) => {
+    const start = breaks[i], end = breaks[i + 1] ?? start;
+    const label = start === end ? fmt(start) : `${i === 0 ? '' : '>'}${fmt(start)} to ${fmt(end)}`;
+    return { color: colors[i], label: `${label} (${counts[i] || 0})` };
+  });
+  const noData = frameCodes().filter(code => mapValue(code, metric) === null).length;
+  return [...entries, { color: noDataColor(), label: `No data (${noData})` }];
+}
+
+/**
+ * The rows behind the map on screen: one per jurisdiction for the year (or, in change mode,
+ * both endpoints and the change since the base year).
+ */
+function mapExportRows(metric) {
+  const header = {
+    disease: Qobj.disease,
+    year: changeSettings.enabled ? `${changeSettings.base}–${Qobj.year}` : Qobj.year,
+    metric: `${METRICS[metric].label}${changeSettings.enabled ? ` (${changeSettings.measure === 'pct' ? 'percent' : 'absolute'} change)` : ''}`,
+    classification: Classify.METHODS[classSettings.method],
+  };
+  const anomalyOf = (code) => anomalyIndex[AnomalyDetection.key(code, Qobj.disease, Qobj.year)];
+  if (changeSettings.enabled) {
+    return {
+      meta: header,
+      columns: ['state', 'code', 'fromYear', 'fromCases', 'fromPer100k', 'toYear', 'toCases', 'toPer100k', 'changeCases', 'changePer100k', 'changeIncidence'],
+      rows: Object.values(changeData).map(d => ({
+        state: d.state, code: d.code,
+        fromYear: changeSettings.base, fromCases: d.from?.cases ?? null, fromPer100k: d.from?.per100k ?? null,
+        toYear: Qobj.year, toCases: d.to?.cases ?? null, toPer100k: d.to?.per100k ?? null,
+        changeCases: d[changeSettings.measure].cases, changePer100k: d[changeSettings.measure].per100k,
+        changeIncidence: d[changeSettings.measure].incidence ?? null,
+      })),
+    };
+  }
+  return {
+    meta: header,
+    columns: ['state', 'code', 'region', 'disease', 'year', 'cases', 'population', 'population_source', 'per100k', 'incidence', 'anomaly'],
+    rows: Object.values(currentYearData).map(c => Object.assign({}, c, { anomaly: anomalyOf(c.code)?.direction ?? null })),
+  };
+}
+
+/**
+ * Adds an export menu (PNG/SVG of the map without tiles, CSV/JSON of its rows) to a map.
+ * The map's metric is looked up at export time, since the metric picker changes it.
+ */
+function addExportControl(mapInstance) {
+  const panelMetric = () => (mapPanels().find(p => p.map === mapInstance) || { metric: viewSettings.metric }).metric;
+  const svg = (metric) => DataExport.mapSvg(geojsonData, {
+    style: (feature) => styleFeature(feature, metric),
+    title: `${Qobj.disease} — ${METRICS[metric].label}, ${changeSettings.enabled ? `${changeSettings.base}–${Qobj.year}` : Qobj.year}`,
+    subtitle: `${Classify.METHODS[classSettings.method]} classes · data version ${String((window.PHD_DATA_META || {}).version || '').slice(0, 8)}`,
+    legend: legendEntries(metric),
+  });
+  const Control = L.Control.extend({
+    options: { position: 'topright' },
+    onAdd: () => {
+      const el = DataExport.menu({
+        png: (dpi) => DataExport.svgPng(svg(panelMetric()), dpi),
+        svg: () => DataExport.svgBlob(svg(panelMetric())),
+        data: () => (geojsonData ? mapExportRows(panelMetric()) : null),
+        name: () => DataExport.slug(Qobj.disease, changeSettings.enabled ? `${changeSettings.base}-${Qobj.year}` : Qobj.year, METRICS[panelMetric()].param.toLowerCase(), 'map'),
+      });
+      L.DomEvent.disableClickPropagation(el);
+      return el;
+    },
+  });
+  new Control().addTo(mapInstance);
+}
+
+/**
+ * Creates a Leaflet map with the basemap and an export menu.
+ */
+function createMap(containerId) {
+  const mapInstance = L.map(containerId, {
       center: [39.8283, -98.5795],
       zoom: 4,
       scrollWheelZoom: false,
       attributionControl: false,
       zoomControl: true,
-  };
-  
-  casesMap = L.map('casesMap', mapOptions);
-  L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', { maxZoom: 10, minZoom: 2 }).addTo(casesMap);
-  casesMap.fitBoundsCount = 0; // Custom flag to prevent re-zooming
+  });
+  Theme.tileLayer({ maxZoom: 10, minZoom: 2 }).addTo(mapInstance);
+  mapInstance.fitBoundsCount = 0; // Custom flag to prevent re-zooming
+  addExportControl(mapInstance);
+  return mapInstance;
+}
 
-  rateMap = L.map('rateMap', mapOptions);
-  L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', { maxZoom: 10, minZoom: 2 }).addTo(rateMap);
-  rateMap.fitBoundsCount = 0;
-  
-  // Synchronize the two maps
-  if (L.Map.Sync) {
-      casesMap.sync(rateMap);
-      rateMap.sync(casesMap);
-  } else {
-      console.warn("Leaflet.Sync plugin not found. Maps will not be synchronized.");
+/**
+ * Initializes the main map; the second map is created the first time the side-by-side
+ * layout is shown (Leaflet cannot size a map inside a hidden element).
+ */
+function initializeMaps() {
+  primaryMap = createMap('map');
+}
+
+/**
+ * Shows or hides the second map. Both maps then pan and zoom together.
+ */
+function applyLayout() {
+  const split = viewSettings.layout === 'split';
+  const grid = document.getElementById('mapGrid');
+  const panel = document.getElementById('secondaryPanel');
+  if (grid) grid.classList.toggle('single', !split);
+  if (panel) panel.hidden = !split;
+
+  if (split && !secondaryMap) {
+    secondaryMap = createMap('mapSecondary');
+    secondaryMap.setView(primaryMap.getCenter(), primaryMap.getZoom(), { animate: false });
+    secondaryMap.fitBoundsCount = 1; // Follows the main map rather than fitting on its own
+    let syncing = false;
+    const follow = (from, to) => from.on('move', () => {
+      if (syncing || viewSettings.layout !== 'split') return;
+      syncing = true;
+      to.setView(from.getCenter(), from.getZoom(), { animate: false });
+      syncing = false;
+    });
+    follow(primaryMap, secondaryMap);
+    follow(secondaryMap, primaryMap);
+  }
+  // The map column widths changed
+  primaryMap.invalidateSize();
+  if (secondaryMap && split) {
+    secondaryMap.invalidateSize();
+    secondaryMap.setView(primaryMap.getCenter(), primaryMap.getZoom(), { animate: false });
   }
 }
 
@@ -219,39 +713,76 @@ function initializeMaps() {
  */
 function drawLineChart() {
   destroyChart(lineChartTotalCases);
-  const nationalTrends = allData.reduce((acc, row) => {
-    if (row.disease === Qobj.disease) {
-      acc[row.year] = (acc[row.year] || 0) + row.cases;
-    }
-    return acc;
-  }, {});
-  
-  const labels = Object.keys(nationalTrends).sort();
-  const dataPoints = labels.map(year => nationalTrends[year]);
+  const dataPoints = nationalSeries.map(d => d.cases);
+
+  // Projections of national cases and rate, drawn past the last observed year
+  const forecasts = forecastSettings.method === 'off' ? {} : {
+    cases: Forecast.forecast(nationalSeries.map(d => ({ year: d.year, value: d.cases })), forecastSettings),
+    per100k: Forecast.forecast(nationalSeries.map(d => ({ year: d.year, value: d.per100k })), forecastSettings),
+  };
+  const forecastSummary = document.getElementById('lineForecastSummary');
+  if (forecastSummary) {
+    forecastSummary.innerHTML = forecastSettings.method === 'off' ? ''
+      : [['Cases', forecasts.cases], ['Rate', forecasts.per100k]].map(([name, f]) => `<li>${name}: ${Forecast.describe(f)}</li>`).join('');
+  }
+  const futureYears = Object.values(forecasts).flatMap(f => (f ? f.points.map(p => p.year) : []));
+  const labels = [...new Set([...nationalSeries.map(d => d.year), ...futureYears])].sort((a, b) => a - b);
+  const lastOf = (key) => {
+    const d = nationalSeries.filter(n => n[key] !== null).pop();
+    return d ? { year: d.year, value: d[key] } : null;
+  };
+
+  // National rate trend from the same module as the state page (joinpoint count picked by BIC)
+  const trend = TrendStats.fit(nationalSeries.map(d => ({ year: d.year, rate: d.per100k })), { joinpoints: 'auto' });
+  const fittedByYear = trend ? Object.fromEntries(trend.fitted.map(d => [d.year, d.rate])) : {};
+  const summary = document.getElementById('lineTrendSummary');
+  if (summary) summary.innerHTML = TrendStats.describe(trend).map(line => `<li>${line}</li>`).join('');
   
   const ctx = document.getElementById('lineChartTotalCases').getContext('2d');
   lineChartTotalCases = ChartHelpers.createLine(ctx, labels, [
-    { label: 'Total National Cases', data: dataPoints, tension: 0.3, fill: true }
+    { label: 'Total National Cases', data: dataPoints, tension: 0.3, fill: true },
+    { label: 'National Rate / 100k', data: nationalSeries.map(d => d.per100k), yAxisID: 'y2', tension: 0.3, fill: false, pointRadius: 3 },
+    {
+      label: trend && trend.joinpoints.length ? `Joinpoint fit (${trend.joinpoints.join(', ')})` : 'Log-linear fit',
+      data: labels.map(y => fittedByYear[y] ?? null),
+      yAxisID: 'y2',
+      borderDash: [6, 4],
+      pointRadius: 0,
+      fill: false,
+    },
+    ...[['cases', 'y', 'Cases forecast', 0], ['per100k', 'y2', 'Rate forecast', 1]]
+      .filter(([key]) => forecasts[key])
+      .map(([key, yAxisID, label, color]) => ChartHelpers.forecastDataset(labels, lastOf(key), forecasts[key], {
+        label, yAxisID, borderColor: ChartHelpers.getColor(color),
+      }))
   ], {
       scales: { 
           y: { title: { display: true, text: 'Total Cases' } },
+          y2: { position: 'right', title: { display: true, text: 'Rate / 100k' }, grid: { drawOnChartArea: false } },
           x: { title: { display: true, text: 'Year' } }
       }
   });
 }
 
 /**
- * Generates the Bar Chart (Plot B) showing Top/Bottom 5 States
+ * Value of the selected metric for a frame cell.
+ */
+const metricValue = (cell, metric = viewSettings.metric) => (cell ? cell[metric] ?? null : null);
+
+/**
+ * Generates the Bar Chart (Plot B) showing the Top/Bottom 5 States by the selected metric
  */
 function drawBarChart() {
     destroyChart(barChartTopStates);
-    const states = Object.values(currentYearData).sort((a, b) => b.cases - a.cases);
+    const metric = viewSettings.metric;
+    const { label, dec } = METRICS[metric];
+    const states = Object.values(currentYearData).filter(d => metricValue(d) !== null).sort((a, b) => metricValue(b) - metricValue(a));
     const top5 = states.slice(0, 5);
-    const bottom5 = states.filter(d => d.cases > 0).slice(-5).reverse(); // Reverse to show lowest first
+    const bottom5 = states.slice(5).filter(d => metricValue(d) > 0).slice(-5).reverse(); // Reverse to show lowest first
     const chartData = [...top5, ...bottom5];
 
     const labels = chartData.map(d => d.state);
-    const dataPoints = chartData.map(d => d.cases);
+    const dataPoints = chartData.map(d => metricValue(d));
     const backgroundColors = [
         ...Array(top5.length).fill(ChartHelpers.getColor(0)), 
         ...Array(bottom5.length).fill(ChartHelpers.getColor(1))
@@ -259,7 +790,7 @@ function drawBarChart() {
 
     const ctx = document.getElementById('barChartTopStates').getContext('2d');
     barChartTopStates = ChartHelpers.createBar(ctx, labels, [{
-        label: `Cases in ${Qobj.year}`,
+        label: `${label}, ${metric === 'incidence' ? incidenceLabel(Qobj.year) : Qobj.year}`,
         data: dataPoints,
         backgroundColor: backgroundColors,
         borderRadius: 5,
@@ -267,73 +798,93 @@ function drawBarChart() {
         indexAxis: 'y', // Horizontal chart
         scales: { 
             y: { title: { display: false } },
-            x: { title: { display: true, text: 'Total Cases' } }
+            x: { title: { display: true, text: label } }
         },
         plugins: { 
             legend: { display: false },
-            tooltip: { mode: 'index', intersect: false }
+            tooltip: { mode: 'index', intersect: false, callbacks: { label: (context) => formatNum(context.raw, dec) } }
         }
     });
 }
 
+let boxPlotDraw = 0; // Guards against an older by-disease query finishing after a newer draw
+
 /**
- * Generates the Box Plot (Plot C) showing Dispersion Across States
+ * Generates the Box Plot (Plot C) showing Dispersion Across States of the selected metric
  */
-function drawBoxPlot(groupBy = 'byYear') {
+async function drawBoxPlot(groupBy = 'byYear') {
+    const metric = viewSettings.metric;
+    const draw = ++boxPlotDraw;
+
+    // Group values in a single pass over cube cells: the disease's cells, or for the by-disease
+    // view every disease's cells in the frame year (the incidence window for incidence)
+    const groups = {};
+    const add = (key, value) => { if (value !== null) (groups[key] = groups[key] || []).push(value); };
+    if (groupBy === 'byDisease') {
+        const years = metric === 'incidence' ? incidenceWindow(Qobj.year) : [Qobj.year];
+        const cells = await DataService.query('slice', { filter: { year: years } });
+        if (draw !== boxPlotDraw) return;
+        if (metric === 'incidence') {
+            const windows = {};
+            cells.forEach(c => { (windows[`${c.disease}|${c.code}`] = windows[`${c.disease}|${c.code}`] || []).push(c); });
+            Object.values(windows).forEach(list => {
+                const pooled = RateStats.pooledRate(list);
+                if (pooled && pooled.cases > 0) add(list[0].disease, pooled.per100k);
+            });
+        } else {
+            cells.forEach(c => { if (c.cases > 0) add(c.disease, metricValue(c)); });
+        }
+    } else {
+        diseaseRows.forEach(r => {
+            if (!(r.cases > 0)) return;
+            const value = metric === 'incidence' ? incidenceOf(r.code, r.year) : metricValue(r);
+            add(groupBy === 'byYear' ? r.year : r.state, value); // byState
+        });
+    }
+
     destroyChart(boxplotCases);
     const ctx = document.getElementById('boxplotCases').getContext('2d');
     if (!ChartHelpers.createBox) { // Check if plugin is loaded
         ctx.canvas.parentNode.innerHTML = '<div class="muted" style="padding:20px;">Boxplot plugin not loaded.</div>';
         return;
     }
-    
-    const currentDiseaseData = allData.filter(r => r.disease === Qobj.disease && r.cases > 0);
-    let labels = [];
-    let boxData = [];
-
-    if (groupBy === 'byYear') {
-        const years = uniqueSorted(currentDiseaseData.map(r => r.year));
-        labels = years;
-        boxData = years.map(y => currentDiseaseData.filter(r => r.year === y).map(r => r.per100k));
-    } else { // byState
-        const states = uniqueSorted(currentDiseaseData.map(r => r.state));
-        labels = states;
-        boxData = states.map(s => currentDiseaseData.filter(r => r.state === s).map(r => r.per100k));
-    }
+    const labels = uniqueSorted(Object.keys(groups));
+    const boxData = labels.map(k => groups[k]);
 
     boxplotCases = ChartHelpers.createBox(ctx, labels, [{
-        label: 'Rate per 100k Distribution',
+        label: `${METRICS[metric].label} Distribution`,
         data: boxData,
         backgroundColor: ChartHelpers.getColor(4).replace('1)', '0.5'),
         borderColor: ChartHelpers.getColor(4),
     }], {
-        scales: { y: { title: { display: true, text: 'Rate per 100k' } } },
+        scales: { y: { title: { display: true, text: METRICS[metric].label } } },
         plugins: { legend: { display: false } }
     });
 }
 
 /**
- * Generates the Scatter Plot (Plot D) showing Rate vs. Population Density
+ * Generates the Scatter Plot (Plot D) showing the selected metric vs. Population Density
  */
 function drawScatterPlot() {
     destroyChart(scatterDensity);
+    const { label, dec } = METRICS[viewSettings.metric];
     const dataPoints = Object.values(currentYearData)
-        .filter(d => d.cases > 0 && d.population_density > 0)
+        .filter(d => d.cases > 0 && d.population_density > 0 && metricValue(d) > 0)
         .map(d => ({
             x: d.population_density,
-            y: d.per100k,
+            y: metricValue(d),
             state: d.state // for tooltip
         }));
 
     const ctx = document.getElementById('scatterDensity').getContext('2d');
     scatterDensity = ChartHelpers.createScatter(ctx, [{
-        label: 'Rate per 100k',
+        label,
         data: dataPoints,
         backgroundColor: ChartHelpers.getColor(3),
     }], {
         scales: {
             x: { title: { display: true, text: 'Population Density (persons/sq mi)' }, type: 'logarithmic' },
-            y: { title: { display: true, text: 'Rate per 100k' }, type: 'logarithmic' }
+            y: { title: { display: true, text: label }, type: 'logarithmic' }
         },
         plugins: {
             legend: { display: false },
@@ -343,7 +894,7 @@ function drawScatterPlot() {
                 callbacks: {
                     label: (context) => {
                         const point = context.raw;
-                        return `${point.state}: ${formatNum(point.y, 1)} / 100k (Density: ${formatNum(point.x, 1)})`;
+                        return `${point.state}: ${formatNum(point.y, dec)} ${label.toLowerCase()} (Density: ${formatNum(point.x, 1)})`;
                     }
                 }
             }
@@ -352,29 +903,35 @@ function drawScatterPlot() {
 }
 
 /**
- * Renders the Summary Table (min/max/median)
+ * Renders the Summary Table: national totals, then the highest and lowest states by the
+ * selected metric
  */
 function renderSummaryTable() {
-  document.getElementById('summaryYear').textContent = Qobj.year;
-  const dataArr = Object.values(currentYearData).filter(d => d.cases > 0).map(d => ({
-    ...d,
-    per100k: d.per100k || 0
-  }));
+  document.getElementById('summaryYear').textContent = changeSettings.enabled ? `${changeSettings.base}–${Qobj.year}` : Qobj.year;
+  if (changeSettings.enabled) return renderChangeTable();
+  const { label, dec } = METRICS[viewSettings.metric];
+  const dataArr = Object.values(currentYearData).filter(d => d.cases > 0 && metricValue(d) !== null);
 
   if (dataArr.length === 0) {
     document.getElementById('summaryTableContainer').innerHTML = '<p class="muted">No data points available for summary table.</p>';
     return;
   }
 
-  // Calculate National Total/Rate
-  const totalCases = dataArr.reduce((sum, d) => sum + d.cases, 0);
-  const totalPop = dataArr.reduce((sum, d) => sum + d.population, 0);
-  const nationalRate = (totalCases / totalPop) * 100000;
+  // National and regional totals come from the same cube rollup the state page uses
+  const national = nationalSeries.find(d => d.year === Qobj.year) || { cases: null, per100k: null };
+  const windowYears = incidenceWindow(Qobj.year);
+  const nationalIncidence = RateStats.pooledRate(diseaseRows.filter(c => windowYears.includes(c.year)));
+  const regionRows = regionalTotals.map(r => `
+    <tr>
+      <td>${r.region} Rate / 100k</td>
+      <td style="text-align:right">${formatNum(r.per100k, 1)}</td>
+      <td style="text-align:right" class="muted">${r.reporting} reporting</td>
+    </tr>`).join('');
   
-  // Find key stats (Max, Min, Median based on RATE)
-  dataArr.sort((a, b) => b.per100k - a.per100k);
-  const highestRate = dataArr[0];
-  const lowestRate = dataArr[dataArr.length - 1];
+  // Highest and lowest states by the selected metric
+  dataArr.sort((a, b) => metricValue(b) - metricValue(a));
+  const highest = dataArr[0];
+  const lowest = dataArr[dataArr.length - 1];
   
   const table = document.createElement('table');
   table.className = 'summary-table';
@@ -385,90 +942,673 @@ function renderSummaryTable() {
   <tbody>
     <tr>
       <td>Total Cases (US)</td>
-      <td style="text-align:right; font-weight:700;">${formatNum(totalCases)}</td>
+      <td style="text-align:right; font-weight:700;">${formatNum(national.cases)}</td>
       <td style="text-align:right">--</td>
     </tr>
     <tr>
       <td>National Rate / 100k</td>
-      <td style="text-align:right; font-weight:700;">${formatNum(nationalRate, 1)}</td>
+      <td style="text-align:right; font-weight:700;">${formatNum(national.per100k, 1)}</td>
       <td style="text-align:right">--</td>
     </tr>
     <tr>
-      <td>Highest Rate</td>
-      <td style="text-align:right">${formatNum(highestRate.per100k, 1)}</td>
-      <td style="text-align:right; color:var(--accent); font-weight:600;">${highestRate.state}</td>
+      <td>National Incidence / 100k person-years</td>
+      <td style="text-align:right; font-weight:700;">${formatNum(nationalIncidence ? nationalIncidence.per100k : null, 1)}</td>
+      <td style="text-align:right" class="muted">${nationalIncidence ? incidenceLabel(Qobj.year) : '--'}</td>
     </tr>
     <tr>
-      <td>Lowest Rate</td>
-      <td style="text-align:right">${formatNum(lowestRate.per100k, 1)}</td>
-      <td style="text-align:right; color:var(--muted);">${lowestRate.state}</td>
+      <td>Highest ${label}</td>
+      <td style="text-align:right">${formatNum(metricValue(highest), dec)}</td>
+      <td style="text-align:right; color:var(--accent); font-weight:600;">${highest.state}</td>
     </tr>
+    <tr>
+      <td>Lowest ${label}</td>
+      <td style="text-align:right">${formatNum(metricValue(lowest), dec)}</td>
+      <td style="text-align:right; color:var(--muted);">${lowest.state}</td>
+    </tr>${regionRows}
   </tbody>`;
   
   document.getElementById('summaryTableContainer').innerHTML = '';
   document.getElementById('summaryTableContainer').appendChild(table);
 }
 
-// --- MAIN CONTROL FLOW ---
+/**
+ * Change-mode summary: the biggest increases and decreases in rate (or cases for
+ * jurisdictions without a rate) between the base year and the current year.
+ */
+function renderChangeTable(limit = 5) {
+  const measure = changeSettings.measure;
+  const container = document.getElementById('summaryTableContainer');
+  const changes = Object.values(changeData)
+    .map(d => ({ d, metric: d[measure].per100k !== null ? 'per100k' : 'cases' }))
+    .map(x => ({ ...x, value: x.d[measure][x.metric] }))
+    .filter(x => x.value !== null);
+  const missing = Object.values(changeData).length - changes.length;
 
-async function updateDashboard() {
-  document.getElementById('currentDisease').textContent = Qobj.disease;
-  document.getElementById('currentYear').textContent = Qobj.year;
+  if (changes.length === 0) {
+    container.innerHTML = `<p class="muted">No jurisdiction has data for both ${changeSettings.base} and ${Qobj.year}.</p>`;
+    return;
+  }
 
-  // 1. Filter Data for selected year and calculate rate per 100k
-  const currentYearRows = allData.filter(r => r.year === Qobj.year && r.disease === Qobj.disease);
-  
-  currentYearData = {};
-  currentYearRows.forEach(row => {
-    const state = row.state;
-    // Aggregate cases and population for states
-    if (!currentYearData[state]) {
-        currentYearData[state] = { 
-            state: state, 
-            cases: 0, 
-            population: 0, 
-            population_density: row.population_density 
-        };
-    }
-    currentYearData[state].cases += row.cases;
-    // Use the largest population figure if data is duplicated
-    currentYearData[state].population = Math.max(currentYearData[state].population, row.population); 
+  changes.sort((a, b) => b.value - a.value);
+  const increases = changes.filter(x => x.value > 0).slice(0, limit);
+  const decreases = changes.filter(x => x.value < 0).slice(-limit).reverse();
+
+  const row = ({ d, metric, value }) => {
+    const dec = metric === 'per100k' ? 1 : 0;
+    const unit = metric === 'per100k' ? ' / 100k' : ' cases';
+    return `<tr>
+      <td>${d.state}</td>
+      <td style="text-align:right">${formatNum(d.from[metric], dec)} → ${formatNum(d.to[metric], dec)}${unit}</td>
+      <td style="text-align:right; font-weight:600;">${formatChange(value, measure, dec)}</td>
+    </tr>`;
+  };
+  const section = (title, list) => `<tr><th colspan="3">${title}</th></tr>` +
+    (list.length ? list.map(row).join('') : '<tr><td colspan="3" class="muted">None</td></tr>');
+
+  const table = document.createElement('table');
+  table.className = 'summary-table';
+  table.innerHTML = `<thead>
+    <tr><th>State</th><th style="text-align:right">${changeSettings.base} → ${Qobj.year}</th><th style="text-align:right">Change</th></tr>
+  </thead>
+  <tbody>
+    ${section('Biggest increases', increases)}
+    ${section('Biggest decreases', decreases)}
+  </tbody>`;
+
+  container.innerHTML = '';
+  container.appendChild(table);
+  if (missing > 0) {
+    container.insertAdjacentHTML('beforeend', `<p class="small muted">${missing} jurisdiction(s) lack data for one of the two years and are shown as No Data.</p>`);
+  }
+}
+
+/**
+ * Flags the selected disease's state-years with the current detection settings (answered by
+ * the data worker) and indexes them for map styling.
+ */
+async function loadAnomalies() {
+  anomalies = await DataService.query('anomalies', { disease: Qobj.disease, ...anomalySettings });
+  anomalyIndex = Object.fromEntries(anomalies.map(f => [AnomalyDetection.key(f.code, f.disease, f.year), f]));
+}
+
+/**
+ * One row per jurisdiction with data for the selected disease: the frame's cases, population,
+ * density and rate, the national rank by rate (1 = highest), the rate change since the
+ * previous year and the rate series for the sparkline.
+ */
+function rankingRows() {
+  const years = nationalSeries.map(d => d.year);
+  const previous = years[years.indexOf(Qobj.year) - 1] || null;
+  const rates = {}; // code -> { year: per100k }
+  diseaseRows.forEach(c => { (rates[c.code] = rates[c.code] || {})[c.year] = c.per100k; });
+  const ranked = Object.values(currentYearData).map(c => c.per100k).filter(v => v !== null && v !== undefined);
+
+  return Object.keys(rates).map(code => {
+    const cell = currentYearData[code] || {};
+    const jurisdiction = Jurisdictions.byCode(code) || {};
+    const rate = cell.per100k ?? null;
+    const before = previous ? rates[code][previous] ?? null : null;
+    return {
+      code,
+      state: jurisdiction.name || cell.state || code,
+      region: jurisdiction.region || cell.region || null,
+      cases: cell.cases ?? null,
+      population: cell.population ?? null,
+      populationSource: cell.population_source ?? null,
+      density: cell.population_density ?? null,
+      per100k: rate,
+      rank: rate === null ? null : 1 + ranked.filter(v => v > rate).length,
+      change: rate !== null && before > 0 ? ((rate - before) / before) * 100 : null,
+      trend: years.map(y => rates[code][y] ?? null),
+    };
   });
+}
+
+const parseRankSort = (param) => {
+  const key = param.replace(/^-/, '');
+  return { key, dir: param.startsWith('-') ? 'desc' : 'asc' };
+};
+const formatRankSort = (sort) => (sort ? `${sort.dir === 'desc' ? '-' : ''}${sort.key}` : RANKING_DEFAULT_SORT);
+
+/**
+ * Creates the national ranking grid: hovering a row highlights the state on the maps and
+ * clicking it opens the state page. Its sort and filters are part of the URL state.
+ */
+function initRankingGrid() {
+  const container = document.getElementById('rankingGrid');
+  if (!container) return;
+  const years = () => nationalSeries.map(d => d.year);
+  const signed = (v) => (v === null ? '—' : `<span class="${v > 0 ? 'change-up' : v < 0 ? 'change-down' : ''}">${v > 0 ? '+' : ''}${formatNum(v, 1)}%</span>`);
+  const columns = [
+    { key: 'rank', label: 'Rank', align: 'right', firstSort: 'asc', title: 'By rate per 100k, 1 = highest', format: (v) => (v === null ? '—' : v) },
+    { key: 'state', label: 'State' },
+    { key: 'region', label: 'Region' },
+    { key: 'cases', label: 'Cases', align: 'right', format: (v) => formatNum(v) },
+    {
+      key: 'population', label: 'Population', align: 'right', title: 'Italic: estimated between or beyond census counts',
+      format: (v, row) => (row.populationSource
+        ? `<span title="${Denominators.SOURCES[row.populationSource]}"${['interpolated', 'extrapolated'].includes(row.populationSource) ? ' class="estimated"' : ''}>${formatNum(v)}</span>`
+        : formatNum(v)),
+    },
+    { key: 'density', label: 'Density', align: 'right', title: 'People per square mile', format: (v) => formatNum(v, 1) },
+    { key: 'per100k', label: 'Rate / 100k', align: 'right', format: (v) => formatNum(v, 1) },
+    { key: 'change', label: 'vs. prev. year', align: 'right', title: 'Change in rate since the previous year', format: signed },
+    { key: 'trend', label: 'Rate trend', sortable: false, format: (v, row) => DataGrid.sparkline(v, {
+      highlight: years().indexOf(Qobj.year),
+      title: `${row.state}: rate per 100k, ${years()[0]}–${years()[years().length - 1]}`,
+    }) },
+  ];
+  const sortParam = urlState.state.rankSort;
+  let hovered = null;
 
-  // Final calculations (rate per 100k)
-  Object.keys(currentYearData).forEach(state => {
-    const d = currentYearData[state];
-    d.per100k = (d.population > 0) ? (d.cases / d.population) * 100000 : 0;
+  rankingGrid = DataGrid.create(container, {
+    columns,
+    rowKey: (row) => row.code,
+    searchText: (row) => `${row.state} ${row.code} ${row.region || ''}`,
+    filters: [{
+      key: 'region',
+      label: 'Region',
+      options: (rows) => [...new Set(rows.map(r => r.region).filter(Boolean))].sort().map(r => ({ value: r, label: r })),
+    }],
+    state: {
+      sort: columns.some(c => c.key === parseRankSort(sortParam).key) ? parseRankSort(sortParam) : parseRankSort(RANKING_DEFAULT_SORT),
+      query: urlState.state.rankQuery,
+      filters: { region: urlState.state.rankRegion },
+    },
+    emptyText: 'No jurisdictions match the filter.',
+    onStateChange: (state, what) => {
+      if (what !== 'page') updateUrl(what === 'query'); // Typing replaces the entry rather than adding one per key
+    },
+    onRowHover: (row) => {
+      if (hovered) highlightState(hovered, false);
+      hovered = row ? row.code : null;
+      if (hovered) highlightState(hovered, true);
+    },
+    onRowClick: (row) => openState(row.state),
   });
 
+  const card = container.closest('.card');
+  if (card) card.classList.add('has-export-menu');
+  if (card) card.prepend(DataExport.menu({
+    data: () => ({
+      meta: { disease: Qobj.disease, year: Qobj.year, metric: 'National ranking by rate per 100k' },
+      columns: ['rank', 'state', 'code', 'region', 'cases', 'population', 'populationSource', 'density', 'per100k', 'change'],
+      rows: rankingGrid.visibleRows().map(({ trend, ...row }) => row),
+    }),
+    name: () => DataExport.slug(Qobj.disease, Qobj.year, 'ranking'),
+  }));
+}
+
+/** Refreshes the ranking grid for the current frame. */
+function renderRankingGrid() {
+  if (!rankingGrid) return;
+  const title = document.getElementById('rankingTitle');
+  if (title) title.textContent = `${Qobj.disease}, ${Qobj.year}`;
+  rankingGrid.setRows(rankingRows());
+}
+
+/**
+ * Lists flagged state-years for the selected disease, newest first, with links to the state
+ * page. Flags in the year on screen are listed first.
+ */
+function renderAnomalyPanel(limit = 25) {
+  const container = document.getElementById('anomalyList');
+  if (!container) return;
+
+  const current = anomalies.filter(f => f.year === Qobj.year);
+  const rest = anomalies.filter(f => f.year !== Qobj.year);
+  const shown = [...current, ...rest].slice(0, limit);
+  if (shown.length === 0) {
+    container.innerHTML = `<p class="small muted">No anomalies flagged for ${DataQuality.escapeHtml(Qobj.disease)}.</p>`;
+    return;
+  }
+
+  const link = (f) => {
+    const q = new URLSearchParams({ state: f.state, disease: f.disease, year: f.year, anomaly: anomalySettings.method, sensitivity: anomalySettings.sensitivity });
+    return `state.html?${q.toString()}`;
+  };
+  container.innerHTML = `<p class="small muted">${current.length} in ${Qobj.year}, ${anomalies.length} across all years.</p>
+    <ul class="anomaly-list">${shown.map(f => `
+      <li${f.year === Qobj.year ? ' class="current"' : ''}>
+        <span class="anomaly-swatch" style="background:${AnomalyDetection.DIRECTION_COLORS[f.direction]}"></span>
+        <a href="${DataQuality.escapeHtml(link(f))}">${DataQuality.escapeHtml(f.state)}, ${f.year}</a>
+        <span class="small muted">${AnomalyDetection.describe(f)}</span>
+      </li>`).join('')}
+    </ul>${anomalies.length > limit ? `<p class="small muted">and ${anomalies.length - limit} more.</p>` : ''}`;
+}
+
+/**
+ * Wires the optional forecast method/horizon selectors of the national line chart.
+ */
+function initForecastControls() {
+  const method = document.getElementById('lineForecastMethod');
+  const horizon = document.getElementById('lineForecastHorizon');
+  if (!method || !horizon) return;
+
+  method.innerHTML = '<option value="off">Off</option>' + Object.entries(Forecast.METHODS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  horizon.innerHTML = Array.from({ length: Forecast.MAX_HORIZON }, (_, i) => `<option value="${i + 1}">${i + 1} year${i ? 's' : ''}</option>`).join('');
+  method.value = forecastSettings.method;
+  horizon.value = forecastSettings.horizon;
+
+  const apply = () => {
+    forecastSettings.method = method.value;
+    forecastSettings.horizon = Number(horizon.value);
+    drawLineChart();
+    updateUrl();
+  };
+  method.addEventListener('change', apply);
+  horizon.addEventListener('change', apply);
+}
+
+/**
+ * Wires the anomaly method and sensitivity selectors; a change re-runs detection and
+ * re-outlines the maps.
+ */
+function initAnomalyControls() {
+  const method = document.getElementById('anomalyMethod');
+  const sensitivity = document.getElementById('anomalySensitivity');
+  if (!method || !sensitivity) return;
+
+  method.innerHTML = Object.entries(AnomalyDetection.METHODS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  sensitivity.innerHTML = Object.keys(AnomalyDetection.SENSITIVITY)
+    .map(value => `<option value="${value}">${value[0].toUpperCase()}${value.slice(1)}</option>`).join('');
+  method.value = anomalySettings.method;
+  sensitivity.value = anomalySettings.sensitivity;
+
+  const apply = async () => {
+    anomalySettings.method = method.value;
+    anomalySettings.sensitivity = sensitivity.value;
+    await loadAnomalies();
+    refreshClasses();
+    renderAnomalyPanel();
+    updateUrl();
+  };
+  method.addEventListener('change', apply);
+  sensitivity.addEventListener('change', apply);
+}
+
+// --- MAIN CONTROL FLOW ---
+
+/**
+ * Per-year data for the selected disease (one cube query per year, cached so replaying
+ * the timeline does not go back to the data worker). Cells gain their incidence, so the
+ * incidence index must be built first.
+ */
+async function loadFrame(year) {
+  if (!frameCache[year]) {
+    const [states, regional] = await Promise.all([
+      DataService.query('byDiseaseYear', { disease: Qobj.disease, year }),
+      DataService.query('regional', { disease: Qobj.disease, year }),
+    ]);
+    Object.values(states).forEach(c => { c.incidence = incidenceOf(c.code, year); });
+    frameCache[year] = { states, regional };
+  }
+  return frameCache[year];
+}
+
+/**
+ * Timeline frame: re-colours the maps in place and refreshes everything tied to the year
+ * (legends, summary table, year picker, bar, box and scatter charts and the shareable URL).
+ */
+async function showYear(year) {
+  const frame = await loadFrame(year);
+  if (changeSettings.enabled) {
+    changeData = withIncidenceChange(await DataService.query('change', { disease: Qobj.disease, from: changeSettings.base, to: year }), changeSettings.base, year);
+  }
+  Qobj.year = year;
+  currentYearData = frame.states;
+  regionalTotals = frame.regional;
+
+  document.getElementById('currentYear').textContent = year;
+  const yearSelect = document.getElementById('choroplethYear');
+  if (yearSelect) yearSelect.value = year;
+  refreshClasses(); // Breaks follow the frame's own values
+  renderMetricLabels(); // The incidence window moves with the year
+  renderSummaryTable();
+  renderAnomalyPanel();
+  renderCompareTray(); // The comparison link ends at the frame's year
+  renderRankingGrid();
+  drawBarChart();
+  // By-disease box plots are per year; the others cover every year already
+  if (document.getElementById('boxGroup').value === 'byDisease') drawBoxPlot('byDisease');
+  drawScatterPlot();
+
+  updateUrl();
+}
+
+/**
+ * Records the current view in the URL so it can be shared. Changes add a history entry so
+ * Back returns to the previous view; timeline playback replaces the current one.
+ * @param {boolean} [replace] - Update the current entry instead (corrections, map panning).
+ */
+function updateUrl(replace = false) {
+  if (restoring) return;
+  const boxGroup = document.getElementById('boxGroup');
+  urlState.set({
+    disease: Qobj.disease,
+    year: Qobj.year,
+    metric: METRICS[viewSettings.metric].param,
+    layout: viewSettings.layout,
+    box: boxGroup ? boxGroup.value : urlState.state.box,
+    mode: changeSettings.enabled ? 'change' : 'level',
+    base: changeSettings.enabled ? changeSettings.base : null,
+    measure: changeSettings.measure,
+    classes: classSettings.method,
+    k: classSettings.k,
+    casesBreaks: classSettings.manual.cases,
+    rateBreaks: classSettings.manual.per100k,
+    anomaly: anomalySettings.method,
+    sensitivity: anomalySettings.sensitivity,
+    forecast: forecastSettings.method,
+    horizon: forecastSettings.horizon,
+    compare: compareSelection.join(','),
+    rankSort: rankingGrid ? formatRankSort(rankingGrid.state.sort) : urlState.state.rankSort,
+    rankQuery: rankingGrid ? rankingGrid.state.query : urlState.state.rankQuery,
+    rankRegion: rankingGrid ? rankingGrid.state.filters.region || '' : urlState.state.rankRegion,
+  }, { replace: replace || Boolean(timeline && timeline.isPlaying()) });
+}
+
+/**
+ * Copies a URL state into the page's settings objects.
+ */
+function applyViewState(state) {
+  Qobj.disease = state.disease;
+  Qobj.year = state.year;
+  viewSettings.metric = metricFromParam(state.metric);
+  viewSettings.layout = state.layout;
+  changeSettings.enabled = state.mode === 'change';
+  changeSettings.base = state.base;
+  changeSettings.measure = state.measure;
+  classSettings.method = state.classes;
+  classSettings.k = state.k;
+  classSettings.manual.cases = state.casesBreaks;
+  classSettings.manual.per100k = state.rateBreaks;
+  anomalySettings.method = state.anomaly;
+  anomalySettings.sensitivity = state.sensitivity;
+  forecastSettings.method = state.forecast;
+  forecastSettings.horizon = state.horizon;
+  compareSelection = state.compare.split(',').filter(code => Jurisdictions.byCode(code)).slice(0, COMPARE_LIMIT);
+}
+
+/**
+ * Sets every control to the current settings (after a load or a Back/Forward restore).
+ */
+function syncControls() {
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== null && value !== undefined) el.value = value;
+  };
+  setValue('mapDisease', Qobj.disease);
+  setValue('choroplethYear', Qobj.year);
+  setValue('choroplethValueKey', METRICS[viewSettings.metric].param);
+  setValue('boxGroup', urlState.state.box);
+  setValue('mapMode', changeSettings.enabled ? 'change' : 'level');
+  setValue('changeBase', changeSettings.base);
+  setValue('changeMeasure', changeSettings.measure);
+  setValue('classMethod', classSettings.method);
+  setValue('classCount', classSettings.k);
+  setValue('anomalyMethod', anomalySettings.method);
+  setValue('anomalySensitivity', anomalySettings.sensitivity);
+  setValue('lineForecastMethod', forecastSettings.method);
+  setValue('lineForecastHorizon', forecastSettings.horizon);
+
+  const split = document.getElementById('mapLayoutSplit');
+  if (split) split.checked = viewSettings.layout === 'split';
+  const panel = document.getElementById('changeControls');
+  if (panel) panel.hidden = !changeSettings.enabled;
+  const count = document.getElementById('classCount');
+  if (count) count.disabled = classSettings.method === 'manual';
+  const manual = document.getElementById('manualBreaks');
+  if (manual) {
+    manual.hidden = classSettings.method !== 'manual';
+    manual.querySelectorAll('input[data-metric]').forEach(input => {
+      input.value = classSettings.manual[input.dataset.metric] || '';
+    });
+  }
+}
+
+/**
+ * Back/Forward: re-renders only what the changed parameters affect, without a reload.
+ * @param {object} state - The restored URL state.
+ * @param {string[]} changed - Names of the parameters that differ from the previous view.
+ */
+async function restoreView(state, changed) {
+  const has = (...keys) => keys.some(k => changed.includes(k));
+  restoring = true;
+  try {
+    applyViewState(state);
+    syncControls();
+    if (has('layout')) applyLayout();
+    if (has('disease')) {
+      const { disease, year } = Qobj;
+      await queueDashboard(() => Object.assign(Qobj, { disease, year }));
+    } else {
+      if (has('anomaly', 'sensitivity')) await loadAnomalies();
+      if (has('year', 'mode', 'base', 'measure')) {
+        timeline.pause();
+        await timeline.setValue(Qobj.year); // Renders the frame, which re-classifies the maps
+      } else if (has('classes', 'k', 'casesBreaks', 'rateBreaks', 'anomaly', 'sensitivity', 'compare', 'layout')) {
+        refreshClasses();
+        renderAnomalyPanel();
+      }
+      if (has('metric', 'layout')) renderMetric();
+      if (has('forecast', 'horizon')) drawLineChart();
+      if (has('box')) drawBoxPlot(state.box);
+    }
+    if (rankingGrid && has('rankSort', 'rankQuery', 'rankRegion')) {
+      rankingGrid.setState({ sort: parseRankSort(state.rankSort), query: state.rankQuery, filters: { region: state.rankRegion } });
+    }
+    renderCompareTray();
+    if (has('view')) {
+      if (state.view) primaryMap.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+      else if (primaryMap.choroplethLayer) primaryMap.fitBounds(MapInsets.mainlandBounds(primaryMap.choroplethLayer), { padding: [10, 10], animate: false });
+    }
+  } finally {
+    restoring = false;
+  }
+}
+
+/**
+ * Replaces a missing, misspelled or stale disease or year from the URL with the nearest one
+ * the data has, and says so, instead of leaving the page. Also reports parameters that
+ * were dropped for being invalid.
+ * @param {object} catalog - DataService 'catalog'.
+ */
+function resolveView(catalog) {
+  const { disease, year, years, messages } = ViewState.resolveSelection(catalog, Qobj);
+  if (changeSettings.enabled && changeSettings.base && !years.includes(changeSettings.base)) {
+    const base = ViewState.nearest(changeSettings.base, years);
+    messages.push(`No data for base year ${changeSettings.base}; comparing with ${base}.`);
+    changeSettings.base = base;
+  }
+  if (urlState.invalid.length) messages.push(`Ignored invalid link settings: ${urlState.invalid.join(', ')}.`);
+
+  Qobj.disease = disease;
+  Qobj.year = year;
+  messages.forEach(ViewState.notice);
+}
+
+/**
+ * Wires the level/change mode controls. The base year list is filled from the years the
+ * selected disease has data for; the end year is the timeline's current frame.
+ */
+function initChangeControls(years) {
+  const mode = document.getElementById('mapMode');
+  const base = document.getElementById('changeBase');
+  const measure = document.getElementById('changeMeasure');
+  const panel = document.getElementById('changeControls');
+  if (!mode || !base || !measure) return;
+
+  base.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+  if (!years.includes(changeSettings.base)) changeSettings.base = years[0];
+  base.value = changeSettings.base;
+  mode.value = changeSettings.enabled ? 'change' : 'level';
+  measure.value = changeSettings.measure;
+  if (panel) panel.hidden = !changeSettings.enabled;
+
+  const apply = async () => {
+    changeSettings.enabled = mode.value === 'change';
+    changeSettings.base = base.value;
+    changeSettings.measure = measure.value;
+    if (panel) panel.hidden = !changeSettings.enabled;
+    // Queued behind any frame being drawn (e.g. during playback), so frames cannot finish out of order
+    if (timeline) await timeline.setValue(timeline.value);
+    else await showYear(Qobj.year);
+  };
+  mode.onchange = apply;
+  base.onchange = apply;
+  measure.onchange = apply;
+}
+
+/**
+ * Shows the selected disease: reloads its data and redraws everything on the page.
+ * @param {boolean} [replaceUrl] - Update the current history entry (the initial load and
+ *   Back/Forward) rather than adding one (the disease picker).
+ */
+async function updateDashboard(replaceUrl = true) {
+  document.getElementById('currentDisease').textContent = Qobj.disease;
+  document.getElementById('currentYear').textContent = Qobj.year;
+
+  // 1. Per-state cells, national/regional rollups and disease cells all come from the worker's data cube
+  frameCache = {};
+  [nationalSeries, diseaseRows] = await Promise.all([
+    DataService.query('national', { disease: Qobj.disease }),
+    DataService.query('byDisease', { disease: Qobj.disease }),
+  ]);
+  incidenceIndex = buildIncidenceIndex(diseaseRows);
+  const frame = await loadFrame(Qobj.year);
+  currentYearData = frame.states;
+  regionalTotals = frame.regional;
+  const years = nationalSeries.map(d => d.year);
+  initChangeControls(years);
+  const yearSelect = document.getElementById('choroplethYear');
+  if (yearSelect) {
+    yearSelect.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+    yearSelect.value = Qobj.year;
+  }
+  if (changeSettings.enabled) {
+    changeData = withIncidenceChange(await DataService.query('change', { disease: Qobj.disease, from: changeSettings.base, to: Qobj.year }), changeSettings.base, Qobj.year);
+  }
+  await loadAnomalies();
+
   // 2. Draw Maps and Legends
-  drawMapLayer(casesMap, 'cases');
-  drawMapLayer(rateMap, 'per100k');
-  addMapLegend('cases', 'casesLegend');
-  addMapLegend('per100k', 'rateLegend');
+  refreshClasses({ rebuild: true });
+  renderMetricLabels();
   
-  // 3. Render Summary Table
+  // 3. Render Summary Table and data quality diagnostics
   renderSummaryTable();
+  renderAnomalyPanel();
+  renderCompareTray();
+  renderRankingGrid();
+  DataQuality.renderReport(document.getElementById('diagnostics'), window.PHD_QUALITY);
 
   // 4. Draw Charts
   drawLineChart();
   drawBarChart();
   drawBoxPlot(document.getElementById('boxGroup').value);
   drawScatterPlot();
+
+  // 5. Year timeline over every year this disease has data for
+  if (!timeline) {
+    timeline = YearTimeline.create(document.getElementById('yearTimeline'), {
+      years,
+      value: Qobj.year,
+      onChange: showYear,
+    });
+  } else {
+    timeline.setYears(years, Qobj.year);
+  }
+
+  // 6. Record the reader's own panning and zooming (the initial fit has already happened)
+  if (!primaryMap.viewTracked) {
+    primaryMap.on('moveend', () => {
+      if (restoring) return;
+      const center = primaryMap.getCenter();
+      urlState.set({ view: { lat: center.lat, lng: center.lng, zoom: primaryMap.getZoom() } }, { replace: true });
+    });
+    primaryMap.viewTracked = true;
+  }
+  updateUrl(replaceUrl); // By default keeps corrections (fallback year, base year) out of the history
 }
 
+/**
+ * Selects and shows another disease in turn with the timeline's frames, so a frame of the
+ * previous one still loading cannot paint over it or move its year.
+ * @param {function(): void} select - Sets Qobj.disease and Qobj.year when its turn comes.
+ * @param {boolean} [replaceUrl] - See updateDashboard.
+ */
+function queueDashboard(select, replaceUrl = true) {
+  const run = () => { select(); return updateDashboard(replaceUrl); };
+  if (!timeline) return run();
+  timeline.pause();
+  return timeline.queue(run);
+}
 
-document.addEventListener('DOMContentLoaded', async () => {
-  // Read query parameters
-  Qobj.disease = qParam('disease');
-  Qobj.year = qParam('year');
-  
-  if (!Qobj.disease || !Qobj.year) {
-    alert("Error: Disease or Year not specified. Redirecting to home.");
-    location.href = 'index.html';
-    return;
+/**
+ * Re-renders everything that shows the selected metric, in place.
+ */
+function renderMetric() {
+  refreshClasses();
+  renderMetricLabels();
+  renderSummaryTable();
+  drawBarChart();
+  drawBoxPlot(document.getElementById('boxGroup').value);
+  drawScatterPlot();
+}
+
+/**
+ * Wires the header pickers. The disease picker reloads the disease's data (keeping the year
+ * when it has one); the year picker moves the timeline; the metric picker and the layout
+ * toggle re-render in place.
+ */
+function initViewControls() {
+  const disease = document.getElementById('mapDisease');
+  const year = document.getElementById('choroplethYear');
+  const metric = document.getElementById('choroplethValueKey');
+  const split = document.getElementById('mapLayoutSplit');
+
+  if (disease) {
+    disease.replaceChildren(...catalog.diseases.map(d => new Option(d, d)));
+    disease.value = Qobj.disease;
+    disease.addEventListener('change', async () => {
+      const selected = disease.value;
+      await queueDashboard(() => {
+        Qobj.disease = selected;
+        Qobj.year = ViewState.nearest(Qobj.year, (catalog.yearsByDisease[selected] || []).slice().sort());
+      }, false);
+    });
   }
-  
+  if (year) {
+    year.addEventListener('change', () => {
+      timeline.pause();
+      timeline.setValue(year.value);
+    });
+  }
+  if (metric) {
+    metric.addEventListener('change', () => {
+      viewSettings.metric = metricFromParam(metric.value);
+      renderMetric();
+      updateUrl();
+    });
+  }
+  if (split) {
+    split.addEventListener('change', () => {
+      viewSettings.layout = split.checked ? 'split' : 'single';
+      applyLayout();
+      refreshClasses();
+      renderMetricLabels();
+      updateUrl();
+    });
+  }
+}
+
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Read the view state from the query string (invalid values are already back to defaults)
+  applyViewState(urlState.state);
+
   initializeMaps();
 
   // 1. Load Data (using the global function from main.js)
@@ -476,8 +1616,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       console.error("main.js did not load correctly. Cannot load data.");
       return;
   }
-  allData = await window.loadData();
+  allData = await window.loadData(); // Parsed and indexed in the data worker; progress shown by main.js
   if (allData.length === 0) return;
+  catalog = await DataService.query('catalog');
+  resolveView(catalog);
 
   // 2. Load GeoJSON
   try {
@@ -488,21 +1630,37 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
   }
   
-  // 3. Add event listener for boxplot selector
+  // 3. Add event listeners for the classification controls and boxplot selector
+  initClassControls();
+  initAnomalyControls();
+  initForecastControls();
+  initRankingGrid();
+  initViewControls();
+  applyLayout();
   document.getElementById('boxGroup').addEventListener('change', (e) => {
       drawBoxPlot(e.target.value);
+      updateUrl();
   });
-  
-  // 4. Add theme listener to redraw maps
-  window.addEventListener('theme-change', () => {
-      drawMapLayer(casesMap, 'cases');
-      drawMapLayer(rateMap, 'per100k');
+  document.getElementById('compareLink').addEventListener('click', (e) => {
+    if (compareSelection.length < 2) e.preventDefault();
   });
+  document.getElementById('compareClear').addEventListener('click', () => {
+    compareSelection = [];
+    refreshClasses();
+    renderCompareTray();
+    updateUrl();
+  });
+  syncControls();
+  
+  // 4. Restyle the maps and legends in the new theme's colours; only the strokes and the
+  // no-data fill change, so the layers are kept (charts.js restyles the charts)
+  window.addEventListener('theme-change', () => refreshClasses());
 
   // 5. Run the main dashboard update
   updateDashboard();
 
-  document.getElementById('homeBtn').addEventListener('click', () => {
+  const homeBtn = document.getElementById('homeBtn');
+  if (homeBtn) homeBtn.addEventListener('click', () => {
     location.href = 'index.html';
   });
 });
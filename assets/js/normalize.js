@@ -0,0 +1,188 @@
+// assets/js/normalize.js
+// Row normalization shared by the pages and the data worker (data.worker.js).
+// Nothing here touches the DOM, so the file can be loaded with importScripts().
+
+// Accepted column names for each canonical field (first match wins)
+const FIELD_ALIASES = {
+  state: ["state", "State", "STATE", "location", "province"],
+  year: ["year", "Year", "YEAR", "yr"],
+  disease: ["disease", "Disease", "condition"],
+  cases: ["cases", "Cases", "value", "count"],
+  population: ["population", "Population", "pop"],
+  population_density: ["population_density", "population density", "density", "pop_density"],
+  age_group: ["age_group", "age group", "Age Group", "agegroup", "age", "Age"],
+  sex: ["sex", "Sex", "gender", "Gender"],
+  race_ethnicity: ["race_ethnicity", "race/ethnicity", "Race/Ethnicity", "race", "Race", "ethnicity"],
+};
+
+// Optional stratification columns (long format: one row per stratum). A row with no
+// stratum, or with a "total" label such as "All ages", is the jurisdiction total.
+const STRATIFIERS = {
+  age_group: "Age group",
+  sex: "Sex",
+  race_ethnicity: "Race/ethnicity",
+};
+
+const TOTAL_STRATUM = /^(all|total|overall|all ages|all races|all races\/ethnicities|both sexes|both)$/i;
+
+/**
+ * Tolerantly picks a value from an object using a list of possible keys.
+ * @param {object} obj - The object to search within.
+ * @param {string[]} keys - Array of possible keys to check.
+ * @returns {*} The found value or undefined.
+ */
+function _pick(obj, keys) {
+  for (const k of keys) {
+    if (obj && Object.prototype.hasOwnProperty.call(obj, k) && obj[k] !== undefined) {
+      return obj[k];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parses a numeric cell. Blank, "NA" and non-numeric values become null ("no data")
+ * rather than 0, so they are never mistaken for a real count.
+ * @param {*} v - Raw cell value.
+ * @returns {number|null} The number, or null if the cell has no usable value.
+ */
+function _toNumber(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim().replace(/,/g, "");
+  if (s === "" || s.toUpperCase() === "NA") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parses a stratum label. Blank, "NA" and "total" labels become null (the row is a total).
+ * @param {*} v - Raw cell value.
+ * @returns {string|null}
+ */
+function _toStratum(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  if (s === "" || s.toUpperCase() === "NA" || TOTAL_STRATUM.test(s)) return null;
+  return s;
+}
+
+/**
+ * Converts a raw row object into a canonical data structure.
+ * The jurisdiction is resolved through the Jurisdictions registry: `state` becomes the
+ * canonical name and `state_code` the postal code used to join with map features.
+ * Rows that cannot be resolved keep their raw name and a null `state_code`.
+ * @param {object} r - The raw data row.
+ * @returns {object} The normalized row.
+ */
+function normalizeRow(r) {
+  if (!r) return null;
+  const rawState = String(_pick(r, FIELD_ALIASES.state) || "").trim();
+  const jurisdiction = Jurisdictions.resolve(rawState);
+  const cases = _toNumber(_pick(r, FIELD_ALIASES.cases));
+  const population = _toNumber(_pick(r, FIELD_ALIASES.population));
+  return {
+    state: jurisdiction ? jurisdiction.name : rawState,
+    state_code: jurisdiction ? jurisdiction.code : null,
+    fips: jurisdiction ? jurisdiction.fips : null,
+    jurisdiction_type: jurisdiction ? jurisdiction.type : null,
+    year: String(_pick(r, FIELD_ALIASES.year) || "").trim(),
+    disease: String(_pick(r, FIELD_ALIASES.disease) || "").trim(),
+    cases,
+    population,
+    population_density: _toNumber(_pick(r, FIELD_ALIASES.population_density)),
+    age_group: _toStratum(_pick(r, FIELD_ALIASES.age_group)),
+    sex: _toStratum(_pick(r, FIELD_ALIASES.sex)),
+    race_ethnicity: _toStratum(_pick(r, FIELD_ALIASES.race_ethnicity)),
+    // Pre-calculate per 100k rate (important for map/state pages); null when either value is missing
+    per100k: cases !== null && population > 0 ? (cases / population) * 100000 : null,
+  };
+}
+
+/**
+ * Returns a unique, sorted array of non-null/non-empty values.
+ * Sorts numerically if possible, otherwise alphabetically.
+ * @param {Array<string|number>} arr - Array of values.
+ * @returns {Array<string|number>} Sorted unique array.
+ */
+function uniqueSorted(arr) {
+  return Array.from(new Set(arr))
+    .filter((x) => x && x !== "NA" && String(x).trim() !== "")
+    .sort((a, b) => {
+      const numA = Number(a);
+      const numB = Number(b);
+      if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+      return String(a).localeCompare(String(b));
+    });
+}
+
+/**
+ * Suggests a column for each canonical field from a file's header row: an exact alias match,
+ * else one that differs only in case, spacing or punctuation. Each column is used once.
+ * @param {string[]} columns - Header names in file order.
+ * @returns {object} { field: column } for the fields that could be matched.
+ */
+function detectColumns(columns) {
+  const simplify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+  const mapping = {};
+  const used = new Set();
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const column = aliases.map(a => columns.find(c => !used.has(c) && c === a)).find(Boolean)
+      || aliases.map(a => columns.find(c => !used.has(c) && simplify(c) === simplify(a))).find(Boolean);
+    if (column === undefined) return;
+    mapping[field] = column;
+    used.add(column);
+  });
+  return mapping;
+}
+
+/**
+ * Renames a raw row's columns to the canonical field names, so normalizeRow and
+ * DataQuality.assess read the columns the user picked instead of guessing from aliases.
+ * @param {object} raw - Row keyed by the file's own headers.
+ * @param {object} mapping - { field: column } (see detectColumns).
+ * @returns {object} Row keyed by canonical field name; unmapped fields are left out.
+ */
+function remapRow(raw, mapping) {
+  const out = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (column) out[field] = raw[column];
+  });
+  return out;
+}
+
+/**
+ * Normalizes and validates raw rows (header-keyed objects from a CSV or spreadsheet).
+ * Rows missing state, disease or year are dropped; they are listed in the quality report
+ * under "missing-key".
+ * @param {object[]} rawRows - Raw rows.
+ * @param {function(string, number): void} [onProgress] - Called with (phase, fraction 0..1).
+ * @returns {{rows: object[], quality: object}}
+ */
+function normalizeRows(rawRows, onProgress = () => {}) {
+  const total = rawRows.length;
+  const allNormalized = new Array(total);
+  for (let i = 0; i < total; i++) {
+    allNormalized[i] = normalizeRow(rawRows[i]);
+    if (i % 1000 === 0) onProgress("normalize", i / total);
+  }
+  onProgress("validate", 1);
+  const quality = DataQuality.assess(rawRows, allNormalized);
+  const rows = allNormalized.filter(r => r && r.state && r.disease && r.year);
+  return { rows, quality };
+}
+
+/**
+ * Parses CSV text into normalized rows plus a quality report.
+ * @param {string} csvText - Raw CSV file contents.
+ * @param {function(string, number): void} [onProgress] - Called with (phase, fraction 0..1).
+ * @returns {{rows: object[], quality: object}}
+ */
+function parseDataset(csvText, onProgress = () => {}) {
+  onProgress("parse", 0);
+  const result = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+  const { rows, quality } = normalizeRows(result.data, onProgress);
+
+  console.log(`Successfully parsed and normalized ${rows.length} rows from CSV.`);
+  console.log(`Data quality: ${quality.total - quality.clean} of ${quality.total} rows flagged.`, quality.counts);
+  return { rows, quality };
+}
@@ -0,0 +1,145 @@
+// assets/js/quality.js
+// Validation pass over the parsed dataset. Every raw row is classified (missing values,
+// non-numeric values, duplicates, unknown jurisdictions, out-of-range years) and the
+// resulting report is rendered in the diagnostics panel on map.html.
+
+const DataQuality = (function () {
+
+  const ISSUE_TYPES = {
+    'missing-key': 'Missing state, year or disease',
+    'unknown-jurisdiction': 'Unknown jurisdiction',
+    'year-out-of-range': 'Year out of range',
+    'missing-cases': 'Missing cases',
+    'missing-population': 'Missing population',
+    'non-numeric': 'Non-numeric value',
+    'duplicate': 'Duplicate state/year/disease/stratum',
+  };
+
+  const DEFAULTS = {
+    minYear: 1900,
+    maxYear: new Date().getFullYear(),
+    maxListed: 200, // rows listed per issue in the drill-down
+  };
+
+  function isBlank(v) {
+    return v === undefined || v === null || String(v).trim() === '' || String(v).trim().toUpperCase() === 'NA';
+  }
+
+  function escapeHtml(v) {
+    return String(v === undefined || v === null ? '' : v)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Classifies every row of a dataset.
+   * @param {object[]} rawRows - Rows as returned by Papa.parse (header: true).
+   * @param {object[]} normalizedRows - normalizeRow(rawRows[i]) for every i (same order and length).
+   * @param {object} [opts] - { minYear, maxYear, firstLine } (firstLine: file line of rawRows[0], default 2).
+   * @returns {object} Report: { total, clean, counts: {issue: n}, rows: [{line, state, year, disease, cases, population, issues}] }
+   */
+  function assess(rawRows, normalizedRows, opts = {}) {
+    const o = Object.assign({}, DEFAULTS, opts);
+    const firstLine = o.firstLine || 2;
+    const counts = {};
+    const rows = [];
+    const seen = {};
+
+    rawRows.forEach((raw, i) => {
+      const r = normalizedRows[i];
+      const issues = [];
+      const rawCases = _pick(raw, FIELD_ALIASES.cases);
+      const rawPop = _pick(raw, FIELD_ALIASES.population);
+      const rawDensity = _pick(raw, FIELD_ALIASES.population_density);
+
+      if (!r || !r.state || !r.year || !r.disease) {
+        issues.push('missing-key');
+      } else {
+        if (!r.state_code) issues.push('unknown-jurisdiction');
+
+        const y = Number(r.year);
+        if (!/^\d{4}$/.test(r.year) || y < o.minYear || y > o.maxYear) issues.push('year-out-of-range');
+
+        const key = `${r.state_code || r.state}|${r.year}|${r.disease}|${r.age_group || ''}|${r.sex || ''}|${r.race_ethnicity || ''}`;
+        if (seen[key] !== undefined) issues.push('duplicate');
+        else seen[key] = firstLine + i;
+      }
+
+      if (isBlank(rawCases)) issues.push('missing-cases');
+      if (isBlank(rawPop)) issues.push('missing-population');
+      if ([rawCases, rawPop, rawDensity].some(v => !isBlank(v) && _toNumber(v) === null)) issues.push('non-numeric');
+
+      if (issues.length === 0) return;
+      issues.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+      rows.push({
+        line: firstLine + i,
+        state: r ? r.state : '',
+        year: r ? r.year : '',
+        disease: r ? r.disease : '',
+        cases: isBlank(rawCases) ? '' : String(rawCases),
+        population: isBlank(rawPop) ? '' : String(rawPop),
+        issues,
+      });
+    });
+
+    return {
+      total: rawRows.length,
+      clean: rawRows.length - rows.length,
+      counts,
+      rows,
+    };
+  }
+
+  /**
+   * Renders a report as a summary with one collapsible list of offending rows per issue.
+   * @param {HTMLElement} container - Target element (e.g. #diagnostics).
+   * @param {object} report - Result of assess().
+   * @param {object} [opts] - { maxListed } rows listed per issue.
+   */
+  function renderReport(container, report, opts = {}) {
+    if (!container) return;
+    if (!report) {
+      container.innerHTML = '<strong>Data quality</strong><p class="muted">No validation report available.</p>';
+      return;
+    }
+    const maxListed = opts.maxListed || DEFAULTS.maxListed;
+    const fmt = (n) => new Intl.NumberFormat('en-US').format(n);
+    const flagged = report.total - report.clean;
+
+    let html = `<strong>Data quality</strong>
+      <p style="margin:6px 0;">${fmt(report.total)} rows · ${fmt(report.clean)} clean · ${fmt(flagged)} with issues.
+      Missing values are shown as “no data”, never as zero.</p>`;
+
+    if (flagged === 0) {
+      container.innerHTML = html + '<p class="muted">No problems found.</p>';
+      return;
+    }
+
+    Object.keys(ISSUE_TYPES).forEach(type => {
+      const n = report.counts[type];
+      if (!n) return;
+      const offending = report.rows.filter(r => r.issues.includes(type));
+      const listed = offending.slice(0, maxListed);
+      html += `<details class="diagnostics-issue">
+        <summary>${ISSUE_TYPES[type]} <span class="muted">(${fmt(n)})</span></summary>
+        <table class="diagnostics-table">
+          <thead><tr><th>Line</th><th>State</th><th>Year</th><th>Disease</th><th>Cases</th><th>Population</th></tr></thead>
+          <tbody>${listed.map(r => `<tr>
+            <td>${r.line}</td><td>${escapeHtml(r.state)}</td><td>${escapeHtml(r.year)}</td><td>${escapeHtml(r.disease)}</td>
+            <td>${r.cases === '' ? '<em class="muted">blank</em>' : escapeHtml(r.cases)}</td>
+            <td>${r.population === '' ? '<em class="muted">blank</em>' : escapeHtml(r.population)}</td>
+          </tr>`).join('')}</tbody>
+        </table>
+        ${offending.length > listed.length ? `<p class="muted">…and ${fmt(offending.length - listed.length)} more.</p>` : ''}
+      </details>`;
+    });
+
+    container.innerHTML = html;
+  }
+
+  return {
+    ISSUE_TYPES,
+    assess,
+    renderReport,
+    escapeHtml,
+  };
+})();
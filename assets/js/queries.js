@@ -0,0 +1,112 @@
+// assets/js/queries.js
+// Typed queries answered by the data worker (see dataService.js), all backed by one
+// DataCube so every page derives state, regional and national figures the same way.
+// Pure functions: usable in the worker and, as a fallback, on the main thread.
+
+const DataQueries = (function () {
+
+  /**
+   * Indexes normalized rows into a data cube.
+   * @param {object[]} rows - Normalized rows.
+   * @param {function(string, number): void} [onProgress]
+   * @returns {object} DataCube consumed by run().
+   */
+  function buildIndex(rows, onProgress = () => {}) {
+    return DataCube.create(rows, onProgress);
+  }
+
+  /**
+   * Absolute and percent change of each measure between two cells (either may be null).
+   * Percent change is null when the starting value is 0 or missing.
+   */
+  function change(fromCell, toCell) {
+    const delta = {}, pct = {};
+    ['cases', 'per100k'].forEach(m => {
+      const a = fromCell ? fromCell[m] : null;
+      const b = toCell ? toCell[m] : null;
+      delta[m] = (a !== null && b !== null) ? b - a : null;
+      pct[m] = (delta[m] !== null && a !== 0) ? (delta[m] / a) * 100 : null;
+    });
+    return { delta, pct };
+  }
+
+  const QUERIES = {
+    /** Diseases, the years available for each, and the jurisdictions and regions present. */
+    catalog: (cube) => {
+      const yearsByDisease = {};
+      cube.groupBy(['disease', 'year']).forEach(g => {
+        (yearsByDisease[g.disease] = yearsByDisease[g.disease] || []).push(g.year);
+      });
+      return {
+        diseases: cube.members('disease'),
+        yearsByDisease,
+        states: cube.members('state'),
+        regions: cube.members('region'),
+      };
+    },
+    /** One cell per jurisdiction for a disease and year, keyed by postal code. */
+    byDiseaseYear: (cube, { disease, year }) =>
+      Object.fromEntries(cube.slice({ disease, year }).map(c => [c.code, c])),
+    /** All cells for a disease (every jurisdiction and year). */
+    byDisease: (cube, { disease }) => cube.slice({ disease }),
+    /** All cells for a jurisdiction (every disease and year), sorted by year. */
+    byState: (cube, { code }) => cube.slice({ state: code }),
+    /** A single cell, or null. */
+    cell: (cube, { code, disease, year }) => cube.cell(code, disease, year),
+    /** National per-year totals and rate for a disease. */
+    national: (cube, { disease }) => cube.rollup('national', { disease }),
+    /** Per-region totals and rate for a disease (optionally a single year), by year. */
+    regional: (cube, { disease, year }) => cube.rollup('region', { disease, year }),
+    /**
+     * Per-jurisdiction change for a disease between two years, keyed by postal code:
+     * { state, code, from: cell|null, to: cell|null, delta: {cases, per100k}, pct: {cases, per100k} }.
+     * Jurisdictions missing either year are included with null changes.
+     */
+    change: (cube, { disease, from, to }) => {
+      const out = {};
+      cube.slice({ disease, year: [from, to] }).forEach(c => {
+        const d = out[c.code] = out[c.code] || { state: c.state, code: c.code, from: null, to: null };
+        if (c.year === String(from)) d.from = c;
+        if (c.year === String(to)) d.to = c;
+      });
+      Object.values(out).forEach(d => Object.assign(d, change(d.from, d.to)));
+      return out;
+    },
+    /**
+     * Stratified counts for one cell, plus the stratifiers present anywhere in the dataset:
+     * { available: ['age_group', ...], groups: { stratifier: [{group, cases, population, per100k}] } }.
+     */
+    strata: (cube, { code, disease, year }) => ({
+      available: cube.stratifiers,
+      groups: cube.strata(code, disease, year),
+    }),
+    /**
+     * Anomalous state/disease/year cells (see anomaly.js), optionally limited to one disease
+     * and/or jurisdiction. Options: method, sensitivity, window.
+     */
+    anomalies: (cube, { disease, code, ...opts }) =>
+      AnomalyDetection.detect(cube.slice({ disease, state: code }), opts),
+    /** Generic cube operations, for views that need another cut of the data. */
+    slice: (cube, { filter }) => cube.slice(filter),
+    groupBy: (cube, { dims, filter }) => cube.groupBy(dims, filter),
+    pivot: (cube, { rowDim, colDim, measure, filter }) => cube.pivot(rowDim, colDim, measure, filter),
+  };
+
+  /**
+   * Answers a typed query against an index.
+   * @param {object} cube - Result of buildIndex().
+   * @param {string} type - One of QUERY_TYPES.
+   * @param {object} [params]
+   */
+  function run(cube, type, params) {
+    const query = QUERIES[type];
+    if (!query) throw new Error(`Unknown data query: ${type}`);
+    return query(cube, params || {});
+  }
+
+  return {
+    QUERY_TYPES: Object.keys(QUERIES),
+    buildIndex,
+    run,
+  };
+})();
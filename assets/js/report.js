@@ -0,0 +1,258 @@
+// assets/js/report.js
+// Printable state reports: national rank, an auto-generated narrative, and the batch report
+// page (report.html) that lays out one printed page per jurisdiction for a disease and year.
+// The single-state report is state.html in report mode (?report=1); both print through the
+// browser, so "Save as PDF" in the print dialog produces the PDF.
+
+const StateReport = (function () {
+
+  const BATCH_HISTORY_YEARS = 10;
+
+  const ordinal = (n) => {
+    const s = ['th', 'st', 'nd', 'rd'], v = n % 100;
+    return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`;
+  };
+
+  const fmt = (n, dec = 0) => (n === null || n === undefined || !isFinite(n)) ? '—' : new Intl.NumberFormat('en-US', { maximumFractionDigits: dec }).format(n);
+
+  /**
+   * Rank of a jurisdiction among all jurisdictions with a value (1 = highest; ties share a rank).
+   * @param {object} cellsByCode - DataService 'byDiseaseYear' result.
+   * @param {string} code
+   * @param {string} metric - 'cases' or 'per100k'.
+   * @returns {{rank: number, of: number}|null}
+   */
+  function rank(cellsByCode, code, metric) {
+    const own = cellsByCode[code] ? cellsByCode[code][metric] : null;
+    if (own === null || own === undefined) return null;
+    const values = Object.values(cellsByCode).map(c => c[metric]).filter(v => v !== null && v !== undefined);
+    return { rank: 1 + values.filter(v => v > own).length, of: values.length };
+  }
+
+  /**
+   * Figures behind a report for one jurisdiction.
+   * @param {object} opts
+   * @param {object[]} opts.history - The jurisdiction's cells for the disease, any order.
+   * @param {object[]} opts.national - DataService 'national' for the disease.
+   * @param {object} opts.yearStates - DataService 'byDiseaseYear' for the disease and year.
+   * @param {string} opts.code
+   * @param {string} opts.year
+   * @param {object} [opts.anomaly] - AnomalyDetection flag for the year, if any.
+   */
+  function summarize({ history, national, yearStates, code, year, anomaly = null }) {
+    const rows = history.slice().sort((a, b) => a.year - b.year);
+    const cell = rows.find(r => r.year === year) || null;
+    const previous = rows.filter(r => r.year < year).pop() || null;
+    const nationalRate = (national.find(d => d.year === year) || {}).per100k ?? null;
+    return {
+      cell,
+      previous,
+      ci: cell ? RateStats.rateCI(cell.cases, cell.population) : null,
+      test: cell ? RateStats.compareToReference(cell.cases, cell.population, nationalRate) : null,
+      nationalRate,
+      rankRate: rank(yearStates, code, 'per100k'),
+      rankCases: rank(yearStates, code, 'cases'),
+      trend: TrendStats.fit(rows.filter(r => r.year <= year).map(r => ({ year: r.year, rate: r.per100k })), { joinpoints: 'auto' }),
+      anomaly,
+    };
+  }
+
+  /** Percent change between two values as words, e.g. "rose 5.2%". */
+  function movement(from, to) {
+    if (from === null || to === null || from === undefined || to === undefined || from === 0) return null;
+    const pct = ((to - from) / from) * 100;
+    if (Math.abs(pct) < 0.05) return 'was unchanged';
+    return `${pct > 0 ? 'rose' : 'fell'} ${fmt(Math.abs(pct), 1)}%`;
+  }
+
+  /**
+   * Plain-language summary of a report, one sentence per fact that is available.
+   * @param {object} s - summarize() output.
+   * @param {{state: string, disease: string, year: string}} labels
+   * @returns {string[]}
+   */
+  function narrative(s, { state, disease, year }) {
+    if (!s.cell) return [`No ${disease} data was reported for ${state} in ${year}.`];
+    const out = [];
+    const { cell, ci, test, trend } = s;
+    out.push(cell.per100k !== null
+      ? `In ${year}, ${state} reported ${fmt(cell.cases)} cases of ${disease}, a rate of ${fmt(cell.per100k, 1)} per 100,000 residents (95% CI ${RateStats.formatCI(ci)}).`
+      : `In ${year}, ${state} reported ${fmt(cell.cases)} cases of ${disease}; no population figure is available, so no rate can be given.`);
+
+    const ranks = [];
+    if (s.rankRate) ranks.push(`${ordinal(s.rankRate.rank)} highest of ${s.rankRate.of} jurisdictions by rate`);
+    if (s.rankCases) ranks.push(`${ordinal(s.rankCases.rank)} of ${s.rankCases.of} by case count`);
+    if (ranks.length) out.push(`That ranks ${ranks.join(' and ')}.`);
+
+    if (test) {
+      const p = test.pValue < 0.001 ? 'p < 0.001' : `p = ${fmt(test.pValue, 3)}`;
+      const verdict = {
+        above: 'significantly above',
+        below: 'significantly below',
+        similar: 'not significantly different from',
+      }[test.verdict];
+      out.push(`The rate is ${verdict} the national rate of ${fmt(s.nationalRate, 1)} per 100,000 (rate ratio ${fmt(test.ratio, 2)}, ${p}).`);
+    }
+
+    if (s.previous) {
+      const parts = [['cases', movement(s.previous.cases, cell.cases)], ['the rate', movement(s.previous.per100k, cell.per100k)]]
+        .filter(([, m]) => m).map(([what, m]) => `${what} ${m}`);
+      if (parts.length) out.push(`Compared with ${s.previous.year}, ${parts.join(' and ')}.`);
+    }
+
+    if (trend) {
+      const a = trend.aapc;
+      const direction = a.significant ? (a.apc > 0 ? 'a statistically significant increase' : 'a statistically significant decrease') : 'not a statistically significant trend';
+      out.push(`From ${a.from} to ${a.to} the rate changed by an average of ${TrendStats.formatApc(a).replace(/\*$/, '')} a year, ${direction}.`);
+    }
+
+    if (s.anomaly) {
+      out.push(`The ${year} rate is unusually ${s.anomaly.direction === 'high' ? 'high' : 'low'} for ${state} compared with its own recent history (${AnomalyDetection.describe(s.anomaly)}).`);
+    }
+    return out;
+  }
+
+  /** Rank list and narrative paragraph for a report section. */
+  function summaryHtml(s, labels) {
+    const rankItem = (r, what) => (r ? `<li><strong>${ordinal(r.rank)}</strong> of ${r.of} by ${what}</li>` : '');
+    return `<ul class="report-rank">${rankItem(s.rankRate, 'rate')}${rankItem(s.rankCases, 'cases')}</ul>
+      <p class="report-narrative">${narrative(s, labels).map(DataQuality.escapeHtml).join(' ')}</p>`;
+  }
+
+  /**
+   * Chart.js canvases size themselves to the screen layout; re-measure them for the printed page
+   * and again afterwards.
+   */
+  function fitChartsForPrint() {
+    if (typeof Chart === 'undefined') return;
+    const resizeAll = () => Object.values(Chart.instances).forEach(chart => chart.resize());
+    window.addEventListener('beforeprint', resizeAll);
+    window.addEventListener('afterprint', resizeAll);
+  }
+
+  // --- Batch report (report.html) ---
+
+  /** Renders a chart off-screen and returns it as an image (keeps a 50-page report light). */
+  function chartImage(build, width = 640, height = 260) {
+    const host = document.createElement('div');
+    host.style.cssText = `position:absolute; left:-10000px; top:0; width:${width}px; height:${height}px;`;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    host.appendChild(canvas);
+    document.body.appendChild(host);
+    const chart = build(canvas.getContext('2d'), { responsive: false, animation: false, devicePixelRatio: 2 });
+    const img = new Image();
+    img.className = 'report-chart';
+    img.alt = '';
+    img.src = chart ? chart.toBase64Image() : '';
+    if (chart) chart.destroy();
+    host.remove();
+    return img;
+  }
+
+  /** Cases and rate over time, as in Plot A. */
+  function trendChart(ctx, rows, base) {
+    return ChartHelpers.createLine(ctx, rows.map(r => r.year), [
+      { label: 'Cases', data: rows.map(r => r.cases), yAxisID: 'y1', tension: 0.3, fill: true },
+      { label: 'Rate / 100k', data: rows.map(r => r.per100k), yAxisID: 'y2', tension: 0.3, backgroundColor: 'transparent' },
+    ], Object.assign({}, base, {
+      scales: {
+        y1: { type: 'linear', position: 'left', title: { display: true, text: 'Cases' } },
+        y2: { type: 'linear', position: 'right', title: { display: true, text: 'Rate / 100k' }, grid: { drawOnChartArea: false } },
+      },
+      plugins: { legend: { position: 'bottom' } },
+    }));
+  }
+
+  /** State vs national rate by year, as in Plot B. */
+  function comparisonChart(ctx, rows, nationalByYear, state, base) {
+    return ChartHelpers.createBar(ctx, rows.map(r => r.year), [
+      { label: `${state} rate`, data: rows.map(r => r.per100k), errorBars: rows.map(r => RateStats.rateCI(r.cases, r.population)) },
+      { label: 'National rate', data: rows.map(r => nationalByYear[r.year] ?? null) },
+    ], Object.assign({}, base, {
+      scales: { y: { title: { display: true, text: 'Rate per 100k' } } },
+      plugins: { legend: { position: 'bottom' } },
+    }));
+  }
+
+  function historyTable(rows, nationalByYear) {
+    const body = rows.slice(-BATCH_HISTORY_YEARS).reverse().map(r => {
+      const test = RateStats.compareToReference(r.cases, r.population, nationalByYear[r.year] ?? null);
+      return `<tr><td>${r.year}</td><td class="num">${fmt(r.cases)}</td><td class="num">${fmt(r.per100k, 1)}</td>
+        <td class="num">${RateStats.formatCI(RateStats.rateCI(r.cases, r.population))}</td>
+        <td>${test ? RateStats.VERDICT_LABELS[test.verdict] : '—'}</td></tr>`;
+    }).join('');
+    return `<table class="report-table"><thead><tr><th>Year</th><th class="num">Cases</th><th class="num">Rate/100k</th><th class="num">95% CI</th><th>vs. National</th></tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  /**
+   * Builds one printable page per jurisdiction with data for a disease and year.
+   * @param {HTMLElement} container
+   * @param {object} opts - { disease, year, geojson (optional, for the locator maps), onProgress(done, total) }.
+   * @returns {Promise<number>} Number of reports rendered.
+   */
+  async function renderBatch(container, { disease, year, geojson = null, onProgress = () => {} }) {
+    const [cells, national, yearStates, anomalies] = await Promise.all([
+      DataService.query('byDisease', { disease }),
+      DataService.query('national', { disease }),
+      DataService.query('byDiseaseYear', { disease, year }),
+      DataService.query('anomalies', { disease }),
+    ]);
+    const nationalByYear = Object.fromEntries(national.map(d => [d.year, d.per100k]));
+    const byCode = {};
+    cells.forEach(c => { (byCode[c.code] = byCode[c.code] || []).push(c); });
+    const anomalyOf = Object.fromEntries(anomalies.filter(f => f.year === year).map(f => [f.code, f]));
+    const codes = Object.keys(yearStates).sort((a, b) => yearStates[a].state.localeCompare(yearStates[b].state));
+
+    container.innerHTML = '';
+    for (let i = 0; i < codes.length; i++) {
+      const code = codes[i];
+      const state = yearStates[code].state;
+      const rows = byCode[code].slice().sort((a, b) => a.year - b.year);
+      const s = summarize({ history: rows, national, yearStates, code, year, anomaly: anomalyOf[code] || null });
+
+      const page = document.createElement('section');
+      page.className = 'report-page';
+      page.innerHTML = `<header class="report-header">
+          <div><h2>${DataQuality.escapeHtml(state)}</h2><div class="muted">${DataQuality.escapeHtml(disease)} · ${year}</div></div>
+          <div class="report-locator"></div>
+        </header>
+        <div class="stat-group">
+          <div><div class="small-stat">${fmt(s.cell.cases)}</div><div class="small-label">Cases</div></div>
+          <div><div class="small-stat">${fmt(s.cell.per100k, 1)}</div><div class="small-label">Rate/100k</div></div>
+          <div><div class="small-stat">${fmt(s.cell.population)}</div><div class="small-label">Population</div></div>
+        </div>
+        ${summaryHtml(s, { state, disease, year })}
+        <div class="report-charts"></div>
+        ${historyTable(rows, nationalByYear)}`;
+
+      if (geojson) {
+        const svg = DataExport.mapSvg(geojson, {
+          width: 240,
+          style: (f) => ((Jurisdictions.fromFeature(f) || {}).code === code
+            ? { fillColor: ChartHelpers.getColor(0), color: '#ffffff', weight: 0.5, fillOpacity: 1 }
+            : { fillColor: '#d9d9d9', color: '#ffffff', weight: 0.5, fillOpacity: 1 }),
+        });
+        page.querySelector('.report-locator').appendChild(svg);
+      }
+      const charts = page.querySelector('.report-charts');
+      charts.appendChild(chartImage((ctx, base) => trendChart(ctx, rows, base)));
+      charts.appendChild(chartImage((ctx, base) => comparisonChart(ctx, rows, nationalByYear, state, base)));
+
+      container.appendChild(page);
+      onProgress(i + 1, codes.length);
+      await new Promise(resolve => setTimeout(resolve)); // Let the page paint between reports
+    }
+    return codes.length;
+  }
+
+  return {
+    rank,
+    summarize,
+    narrative,
+    summaryHtml,
+    fitChartsForPrint,
+    renderBatch,
+  };
+})();
@@ -0,0 +1,46 @@
+// assets/js/reportPage.js
+// Batch report page: one printable state report per jurisdiction for a disease and year
+// (report.html?disease=...&year=...). The reports themselves are built by report.js.
+
+const GEOJSON_PATH = 'usa_states.geojson';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const params = new URLSearchParams(location.search);
+  const disease = params.get('disease');
+  const year = params.get('year');
+  const title = document.getElementById('batchTitle');
+  const progress = document.getElementById('batchProgress');
+  const printBtn = document.getElementById('printReport');
+
+  document.getElementById('backToMap').addEventListener('click', () => {
+    location.href = `map.html?${new URLSearchParams({ disease, year }).toString()}`;
+  });
+  printBtn.addEventListener('click', () => window.print());
+
+  if (!disease || !year) {
+    title.textContent = 'Choose a disease and year on the map page to build state reports.';
+    return;
+  }
+  title.textContent = `State reports — ${disease}, ${year}`;
+  Chart.defaults.animation = false;
+
+  const rows = await window.loadData(); // Parsed and indexed in the data worker; progress shown by main.js
+  if (rows.length === 0) return;
+
+  // The locator maps are optional; reports still render without the GeoJSON
+  let geojson = null;
+  try {
+    geojson = await (await fetch(GEOJSON_PATH)).json();
+  } catch (e) {
+    console.warn('Failed to load GeoJSON; reports will omit the locator map:', e);
+  }
+
+  const count = await StateReport.renderBatch(document.getElementById('batchReports'), {
+    disease,
+    year,
+    geojson,
+    onProgress: (done, total) => { progress.textContent = `Building reports… ${done}/${total}`; },
+  });
+  progress.textContent = `${count} reports`;
+  printBtn.disabled = count === 0;
+});
@@ -1,7 +1,6 @@
 // assets/js/state.js
 // State page script — robust loading, normalization, and chart generation using ChartHelpers.
 
-const DATA_PATH = 'assets/data/complete_disease_data.csv';
 const GEOJSON_PATH = 'usa_states.geojson'; 
 
 // --- Global Chart Instances for Destruction ---
@@ -13,19 +12,55 @@ function qParam(name){
   return p.get(name); 
 }
 
+// View state mirrored in the query string (see viewState.js). Back/Forward redraws the plot
+// whose settings changed, without a reload.
+const stateView = ViewState.create({
+  disease: ViewState.types.string(),
+  year: ViewState.types.string(),
+  joinpoints: ViewState.types.oneOf(['0', '1', '2', '3', 'auto']),
+  forecast: ViewState.types.oneOf(['off', ...Object.keys(Forecast.METHODS)]),
+  horizon: ViewState.types.int(1, Forecast.MAX_HORIZON, 3),
+  stratifier: ViewState.types.oneOf(Object.keys(STRATIFIERS), null),
+  composition: ViewState.types.oneOf(['sunburst', 'treemap']),
+  slice: ViewState.types.string(''), // Hierarchy node id of the Plot E slice zoomed into
+  heatmap: ViewState.types.oneOf(Object.keys(Heatmap.MODES)), // Plot F colour mode
+  heatmapRows: ViewState.types.oneOf(['diseases', 'states']),
+}, { onRestore: restoreStateView });
+let pageData = null; // { stateRows, strata, stateRow } once initDashboard has queried them
+let composition = null; // Plot E's Hierarchy tree: { root, focus }
+
+// The state parameter may be a name, alias or postal code; it is resolved to the registry entry
+const stateJurisdiction = Jurisdictions.resolve(qParam('state') || 'California');
+
 const Q = { 
-  state: qParam('state') || 'California', 
-  disease: qParam('disease') || null, 
-  year: qParam('year') || null 
+  state: stateJurisdiction ? stateJurisdiction.name : qParam('state'), 
+  code: stateJurisdiction ? stateJurisdiction.code : null, 
+  disease: stateView.state.disease, 
+  year: stateView.state.year 
 };
 
-// Use helper functions from main.js if available, or define fallbacks
-const _pick = window._pick || function(obj, keys) {
-  for (const k of keys) if (obj[k] !== undefined) return obj[k]; return undefined;
+// Plot A controls and the view-state parameters they write
+const TREND_CONTROLS = { trendJoinpoints: 'joinpoints', forecastMethod: 'forecast', forecastHorizon: 'horizon' };
+
+// Plot B bar colours for the state-vs-national test (PRGn ends, matching the map's change scale)
+const VERDICT_COLORS = { above: '#762a83', below: '#1b7837' };
+
+const formatPValue = (p) => p < 0.001 ? '<0.001' : formatNum(p, 3);
+
+// Anomaly detection settings, passed on from the map's anomaly panel (see anomaly.js)
+const ANOMALY_SETTINGS = {
+  method: AnomalyDetection.METHODS[qParam('anomaly')] ? qParam('anomaly') : AnomalyDetection.DEFAULTS.method,
+  sensitivity: AnomalyDetection.SENSITIVITY[qParam('sensitivity')] ? qParam('sensitivity') : AnomalyDetection.DEFAULTS.sensitivity,
 };
-const normaliseRow = window.normaliseRow || function(r) { return r; }; // Fallback
-const uniqueSorted = window.uniqueSorted || function(arr) { return [...new Set(arr)].sort(); };
-const formatNum = (n, dec=0) => new Intl.NumberFormat('en-US', {maximumFractionDigits: dec}).format(n);
+let anomalyIndex = {}; // AnomalyDetection.key(code, disease, year) -> flag, for every disease in this state
+
+// Report mode (?report=1): print layout with Plots A and B, the history table, national rank
+// and a narrative (see report.js); ?print=1 also opens the print dialog once drawn
+const REPORT_MODE = qParam('report') === '1';
+
+// uniqueSorted and STRATIFIERS come from normalize.js, which must be loaded first
+// Missing values (null) are "no data" and render as an em dash rather than 0
+const formatNum = (n, dec=0) => (n === null || n === undefined || !isFinite(n)) ? '—' : new Intl.NumberFormat('en-US', {maximumFractionDigits: dec}).format(n);
 
 function destroyChart(chartInstance) {
   if(chartInstance) try{ chartInstance.destroy(); }catch(e){}
@@ -34,15 +69,37 @@ function destroyChart(chartInstance) {
 // --- Chart Generation Functions ---
 
 // Plot A: Annual Cases Trend (Time Series)
-function drawStateTrend(allRows) {
+// stateRows: every cube cell for this state (DataService 'byState', already sorted by year)
+function drawStateTrend(stateRows) {
     if (typeof ChartHelpers === 'undefined') { console.error('ChartHelpers not loaded. Skipping chart A.'); return; }
-    const data = allRows
-        .filter(r => r.state === Q.state && r.disease === Q.disease)
-        .sort((a, b) => Number(a.year) - Number(b.year));
+    const data = stateRows.filter(r => r.disease === Q.disease);
     
-    const labels = data.map(r => r.year);
+    const observedYears = data.map(r => r.year);
     const cases = data.map(r => r.cases);
-    const rates = data.map(r => r.population > 0 ? (r.cases / r.population) * 100000 : 0);
+    const rates = data.map(r => r.per100k);
+    const intervals = data.map(r => RateStats.rateCI(r.cases, r.population));
+
+    // Log-linear / joinpoint trend of the rate (see trend.js)
+    const joinpoints = document.getElementById('trendJoinpoints')?.value || 0;
+    const trend = TrendStats.fit(data.map(r => ({ year: r.year, rate: r.per100k })), { joinpoints });
+    const fittedByYear = trend ? Object.fromEntries(trend.fitted.map(d => [d.year, d.rate])) : {};
+    renderTrendSummary(document.getElementById('trendSummaryA'), trend);
+
+    // Short-term projections of cases and rate (see forecast.js); the x axis runs on to the last forecast year
+    const forecastMethod = document.getElementById('forecastMethod')?.value || 'off';
+    const horizon = Number(document.getElementById('forecastHorizon')?.value) || 3;
+    const lastOf = (key) => { const r = data.filter(d => d[key] !== null).pop(); return r ? { year: r.year, value: r[key] } : null; };
+    const forecasts = forecastMethod === 'off' ? {} : {
+        cases: Forecast.forecast(data.map(r => ({ year: r.year, value: r.cases })), { method: forecastMethod, horizon }),
+        per100k: Forecast.forecast(data.map(r => ({ year: r.year, value: r.per100k })), { method: forecastMethod, horizon }),
+    };
+    renderForecastSummary(document.getElementById('forecastSummaryA'), forecastMethod === 'off' ? null : forecasts);
+    const futureYears = Object.values(forecasts).flatMap(f => (f ? f.points.map(p => p.year) : []));
+    const labels = [...new Set([...observedYears, ...futureYears])].sort((a, b) => a - b);
+
+    // Anomalous years, marked on the rate axis
+    const flags = labels.map(y => anomalyIndex[AnomalyDetection.key(Q.code, Q.disease, y)] || null);
+    const flagColors = flags.map(f => (f ? AnomalyDetection.DIRECTION_COLORS[f.direction] : 'transparent'));
 
     const ctx = document.getElementById('chartA_stateTrend').getContext('2d');
     destroyChart(chartA);
@@ -66,7 +123,35 @@ function drawStateTrend(allRows) {
             tension: 0.3,
             pointStyle: 'circle',
             pointRadius: 4,
-        }
+            errorBars: intervals, // 95% exact Poisson CI
+            errorBarColor: ChartHelpers.getColor(1),
+        },
+        {
+            label: trend && trend.joinpoints.length ? `Joinpoint fit (${trend.joinpoints.join(', ')})` : 'Log-linear fit',
+            data: labels.map(y => fittedByYear[y] ?? null),
+            yAxisID: 'y2',
+            borderColor: ChartHelpers.getColor(5),
+            backgroundColor: 'transparent',
+            borderDash: [6, 4],
+            pointRadius: 0,
+            tension: 0,
+        },
+        {
+            label: `Anomalies (${AnomalyDetection.METHODS[ANOMALY_SETTINGS.method]}, ${ANOMALY_SETTINGS.sensitivity} sensitivity)`,
+            data: flags.map(f => (f ? f.rate : null)),
+            yAxisID: 'y2',
+            showLine: false,
+            pointStyle: 'triangle',
+            pointRadius: 8,
+            pointHoverRadius: 9,
+            borderColor: flagColors,
+            backgroundColor: flagColors,
+        },
+        ...[['cases', 'y1', 'Cases forecast', 0], ['per100k', 'y2', 'Rate forecast', 1]]
+            .filter(([key]) => forecasts[key])
+            .map(([key, yAxisID, label, color]) => ChartHelpers.forecastDataset(labels, lastOf(key), forecasts[key], {
+                label, yAxisID, borderColor: ChartHelpers.getColor(color),
+            }))
     ], {
         scales: {
             y1: { type: 'linear', position: 'left', title: { display: true, text: 'Cases' } },
@@ -74,32 +159,66 @@ function drawStateTrend(allRows) {
         },
         plugins: { 
             legend: { position: 'bottom' },
-            tooltip: { mode: 'index', intersect: false }
+            tooltip: {
+                mode: 'index',
+                intersect: false,
+                callbacks: {
+                    afterLabel: (context) => {
+                        if (context.datasetIndex === 1) return `95% CI: ${RateStats.formatCI(intervals[context.dataIndex])}`;
+                        if (context.datasetIndex === 3 && flags[context.dataIndex]) return AnomalyDetection.describe(flags[context.dataIndex]);
+                        const band = context.dataset.band && context.dataset.band[context.dataIndex];
+                        if (band && band.low !== band.high) return `95% PI: ${RateStats.formatCI(band, context.dataset.yAxisID === 'y1' ? 0 : 1)}`;
+                        return '';
+                    },
+                }
+            }
         }
     });
 }
 
+/**
+ * Lists APC per segment and the AAPC under a trend chart (* marks a significant trend).
+ */
+function renderTrendSummary(el, trend) {
+    if (!el) return;
+    el.innerHTML = TrendStats.describe(trend).map(line => `<li>${line}</li>`).join('') +
+        (trend ? '<li>Rate per 100k, log-linear regression; * significant at the 95% level.</li>' : '');
+}
+
+/**
+ * Describes the Plot A forecasts and their backtest error (nothing when forecasting is off).
+ */
+function renderForecastSummary(el, forecasts) {
+    if (!el) return;
+    el.innerHTML = forecasts
+        ? [['Cases', forecasts.cases], ['Rate', forecasts.per100k]].map(([name, f]) => `<li>${name}: ${Forecast.describe(f)}</li>`).join('')
+        : '';
+}
+
 // Plot B: State Rate vs. National Average
-function drawStateNationalComparison(allRows) {
+// national: per-year national totals for the disease (DataService 'national')
+function drawStateNationalComparison(stateRows, national) {
     if (typeof ChartHelpers === 'undefined') { console.error('ChartHelpers not loaded. Skipping chart B.'); return; }
     
-    const stateData = allRows
-        .filter(r => r.state === Q.state && r.disease === Q.disease)
-        .map(r => ({ year: r.year, rate: r.population > 0 ? (r.cases / r.population) * 100000 : 0 }));
+    // National average rate for the same disease (the data cube's national rollup, the
+    // same figures the map page shows)
+    const nationalByYear = Object.fromEntries(national.map(d => [d.year, d.per100k]));
 
-    // Calculate national average rate for the same disease
-    const nationalData = allRows
+    const stateData = stateRows
         .filter(r => r.disease === Q.disease)
-        .reduce((acc, r) => {
-            if (!acc[r.year]) acc[r.year] = { cases: 0, pop: 0 };
-            acc[r.year].cases += r.cases;
-            acc[r.year].pop += r.population;
-            return acc;
-        }, {});
+        .map(r => ({
+            year: r.year,
+            rate: r.per100k,
+            ci: RateStats.rateCI(r.cases, r.population),
+            test: RateStats.compareToReference(r.cases, r.population, nationalByYear[r.year] ?? null),
+        }));
     
     const years = uniqueSorted(stateData.map(r => r.year));
-    const stateRates = years.map(y => stateData.find(d => d.year === y)?.rate || 0);
-    const nationalRates = years.map(y => (nationalData[y]?.pop > 0) ? (nationalData[y].cases / nationalData[y].pop) * 100000 : 0);
+    const byYear = Object.fromEntries(stateData.map(d => [d.year, d]));
+    const stateRates = years.map(y => byYear[y]?.rate ?? null);
+    const nationalRates = years.map(y => nationalByYear[y] ?? null);
+    // Bars are coloured by the exact rate-ratio test against the national rate
+    const barColors = years.map(y => VERDICT_COLORS[byYear[y]?.test?.verdict] || ChartHelpers.getColor(0));
 
     const ctx = document.getElementById('chartB_stateNational').getContext('2d');
     destroyChart(chartB);
@@ -108,7 +227,8 @@ function drawStateNationalComparison(allRows) {
         {
             label: `${Q.state} Rate`,
             data: stateRates,
-            backgroundColor: ChartHelpers.getColor(0),
+            backgroundColor: barColors,
+            errorBars: years.map(y => byYear[y]?.ci || null), // 95% exact Poisson CI
         },
         {
             label: 'National Avg. Rate',
@@ -119,64 +239,118 @@ function drawStateNationalComparison(allRows) {
         scales: { y: { title: { display: true, text: 'Rate per 100k' } } },
         plugins: { 
             legend: { position: 'bottom' },
-            tooltip: { mode: 'index', intersect: false }
+            subtitle: {
+                display: true,
+                text: 'Violet: significantly above national · Green: significantly below · Error bars: 95% exact CI',
+            },
+            tooltip: {
+                mode: 'index',
+                intersect: false,
+                callbacks: {
+                    afterBody: (items) => {
+                        const d = byYear[items[0]?.label];
+                        if (!d || !d.test) return '';
+                        return [
+                            `95% CI: ${RateStats.formatCI(d.ci)}`,
+                            `Rate ratio: ${formatNum(d.test.ratio, 2)} (${RateStats.formatCI(d.test, 2)}), p = ${formatPValue(d.test.pValue)}`,
+                            RateStats.VERDICT_LABELS[d.test.verdict],
+                        ];
+                    }
+                }
+            }
         }
     });
 }
 
-// Plot C: Age Group Distribution (Bar Chart) - MOCKED DATA
-function drawStateBar(allRows) {
+// Plot C: Cases and Rates by Demographic Group
+// strata: DataService 'strata' for this state/disease/year ({available, groups})
+function drawStateBar(strata) {
     if (typeof ChartHelpers === 'undefined') { console.error('ChartHelpers not loaded. Skipping chart C.'); return; }
-    
-    const currentYearStateData = allRows.filter(r => r.state === Q.state && r.disease === Q.disease && r.year === Q.year);
-    const ctx = document.getElementById('chartC_stateBar').getContext('2d');
+
+    const select = document.getElementById('stratifierSelect');
+    const canvas = document.getElementById('chartC_stateBar');
+    const unavailable = document.getElementById('chartC_unavailable');
     destroyChart(chartC);
 
-    if (currentYearStateData.length === 0) {
-        ctx.canvas.parentNode.innerHTML = '<div style="text-align:center; padding:50px;" class="muted">Age distribution data not available for this selection.</div>';
+    // Stratifiers the dataset does not carry stay listed but disabled, so the option is discoverable
+    if (!select.options.length) {
+        select.innerHTML = Object.entries(STRATIFIERS).map(([key, label]) =>
+            `<option value="${key}"${strata.available.includes(key) ? '' : ' disabled'}>${label}${strata.available.includes(key) ? '' : ' (not in dataset)'}</option>`).join('');
+        selectStratifier(strata);
+        select.addEventListener('change', () => {
+            stateView.set({ stratifier: select.value });
+            drawStateBar(strata);
+        });
+    }
+    const stratifier = select.value;
+    const groups = strata.groups[stratifier] || [];
+
+    if (groups.length === 0) {
+        canvas.hidden = true;
+        unavailable.hidden = false;
+        unavailable.textContent = strata.available.length === 0
+            ? 'Demographic breakdowns are not available: the dataset has no age group, sex or race/ethnicity columns.'
+            : `${STRATIFIERS[stratifier] || 'Demographic'} data is not available for ${Q.state}, ${Q.disease} (${Q.year}).`;
         return;
     }
-    
-    // MOCKING: Distribute total cases across age groups
-    const totalCases = currentYearStateData.reduce((sum, r) => sum + r.cases, 0);
-    const mockDistribution = { '0-14 Yrs': 0.15, '15-44 Yrs': 0.40, '45-64 Yrs': 0.30, '65+ Yrs': 0.15 };
-    
-    const labels = Object.keys(mockDistribution);
-    const data = labels.map(key => totalCases * mockDistribution[key]);
+    canvas.hidden = false;
+    unavailable.hidden = true;
 
-    chartC = ChartHelpers.createBar(ctx, labels, [{
+    const labels = groups.map(g => g.group);
+    const datasets = [{
         label: `Cases in ${Q.year}`,
-        data: data,
+        data: groups.map(g => g.cases),
+        yAxisID: 'y1',
         backgroundColor: ChartHelpers.getColor(2),
         borderRadius: 5,
-    }], {
-        scales: { y: { title: { display: true, text: 'Cases (Mocked)' } } },
+    }];
+    // Rates only when the source provides stratum populations
+    const hasRates = groups.some(g => g.per100k !== null);
+    if (hasRates) {
+        datasets.push({
+            type: 'line',
+            label: 'Rate / 100k',
+            data: groups.map(g => g.per100k),
+            yAxisID: 'y2',
+            borderColor: ChartHelpers.getColor(1),
+            backgroundColor: ChartHelpers.getColor(1),
+            pointRadius: 4,
+        });
+    }
+
+    chartC = ChartHelpers.createBar(canvas.getContext('2d'), labels, datasets, {
+        scales: {
+            y1: { type: 'linear', position: 'left', title: { display: true, text: 'Cases' } },
+            y2: { type: 'linear', position: 'right', display: hasRates, title: { display: true, text: 'Rate / 100k' }, grid: { drawOnChartArea: false } },
+        },
         plugins: { 
-            legend: { display: false },
+            legend: { display: hasRates, position: 'bottom' },
             tooltip: { mode: 'index', intersect: false }
         }
     });
 }
 
 // Plot D: Cases vs. Population Density (Scatter)
-function drawStateScatter(allRows) {
+// yearStates: per-state aggregates for the current disease/year (DataService 'byDiseaseYear')
+function drawStateScatter(yearStates) {
     if (typeof ChartHelpers === 'undefined') { console.error('ChartHelpers not loaded. Skipping chart D.'); return; }
     
     // Compare all states for the current disease/year
-    const scatterData = allRows
-        .filter(r => r.year === Q.year && r.disease === Q.disease)
-        .map(r => ({
-            x: r.population_density,
-            y: r.cases,
-            state: r.state
+    const scatterData = Object.values(yearStates)
+        .filter(d => d.cases > 0 && d.population_density > 0)
+        .map(d => ({
+            x: d.population_density,
+            y: d.cases,
+            state: d.state,
+            code: d.code
         }));
 
     const ctx = document.getElementById('chartD_stateScatter').getContext('2d');
     destroyChart(chartD);
 
     // Highlight the current state
-    const statePoint = scatterData.find(p => p.state === Q.state);
-    const otherPoints = scatterData.filter(p => p.state !== Q.state);
+    const statePoint = scatterData.find(p => p.code === Q.code);
+    const otherPoints = scatterData.filter(p => p.code !== Q.code);
 
     chartD = ChartHelpers.createScatter(ctx, [
         {
@@ -212,102 +386,267 @@ function drawStateScatter(allRows) {
     });
 }
 
-// Plot E: Sunburst (All Diseases, All Years for this State)
-function drawStateSunburst(allRows) {
-    if (typeof ChartHelpers === 'undefined' || typeof Chart.controllers.sunburst === 'undefined') {
-        console.warn('Sunburst plugin not loaded. Skipping chart E.'); 
-        document.getElementById('chartE_stateSunburst').getContext('2d').canvas.parentNode.innerHTML = '<div style="text-align:center; padding:50px;" class="muted">Sunburst chart plugin not loaded.</div>';
-        return; 
+// Plot E: Case composition (all diseases, all years for this state) as a category → disease →
+// year tree (hierarchy.js), drawn as a zoomable sunburst or a treemap. Zooming into a slice
+// puts its totals on the stat cards; the slice and view are part of the URL state.
+// diseaseYears: cube groupBy(['disease', 'year']) for this state (DataService 'groupBy'); omit
+// it to redraw the tree already built.
+function drawStateComposition(diseaseYears) {
+    if (typeof ChartHelpers === 'undefined') { console.error('ChartHelpers not loaded. Skipping chart E.'); return; }
+    if (diseaseYears) composition = { root: Hierarchy.build(diseaseYears, Q.state) };
+    if (!composition) return;
+
+    const { root } = composition;
+    const focus = composition.focus = Hierarchy.find(root, stateView.state.slice) || root;
+    const view = stateView.state.composition;
+    const canvas = document.getElementById('chartE_stateComposition');
+    const unavailable = document.getElementById('chartE_unavailable');
+    document.getElementById('compositionView').value = view;
+    destroyChart(chartE);
+    chartE = null;
+
+    if (root.value > 0) {
+        const parent = Hierarchy.lineage(root, focus).slice(-2)[0];
+        const opts = {
+            topLabels: root.children.map(c => c.label), // Colours stay with their category when zoomed
+            format: (v) => `${formatNum(v)} cases`,
+            onSelect: (node) => selectCompositionSlice(node),
+            onZoomOut: () => selectCompositionSlice(parent),
+        };
+        chartE = view === 'treemap'
+            ? ChartHelpers.createTreemap(canvas.getContext('2d'), focus, opts)
+            : ChartHelpers.createSunburst(canvas.getContext('2d'), focus, opts);
+    }
+    canvas.hidden = !chartE;
+    unavailable.hidden = !!chartE;
+    if (!chartE) {
+        unavailable.textContent = root.value > 0 ? 'Treemap chart plugin not loaded.' : `No cases reported for ${Q.state}.`;
+    } else {
+        DataExport.setData(canvas, () => ({
+            meta: { state: Q.state, disease: focus.level > 0 ? focus.path.join(' / ') : 'All diseases', year: 'All years', metric: 'Cases' },
+            columns: ['level', 'label', 'cases', 'share'],
+            rows: (focus.children.length ? focus.children : [focus]).map(n => ({
+                level: n.levelName, label: n.label, cases: n.value, share: focus.value > 0 ? n.value / focus.value : null,
+            })),
+            name: DataExport.slug(Q.state, 'composition', ...focus.path),
+        }));
     }
 
-    const stateData = allRows.filter(r => r.state === Q.state && r.cases > 0);
-    const ctx = document.getElementById('chartE_stateSunburst').getContext('2d');
-    destroyChart(chartE);
-    
-    // MOCK: Generate hierarchical structure: Disease > Year
-    const sunburstData = [];
-    const diseases = uniqueSorted(stateData.map(r => r.disease));
-    
-    diseases.forEach(disease => {
-        const diseaseTotal = stateData.filter(r => r.disease === disease).reduce((sum, r) => sum + r.cases, 0);
-        sunburstData.push({
-            id: disease,
-            parent: '',
-            value: diseaseTotal,
-        });
-        
-        const years = uniqueSorted(stateData.filter(r => r.disease === disease).map(r => r.year));
-        years.forEach(year => {
-            const yearTotal = stateData.filter(r => r.disease === disease && r.year === year).reduce((sum, r) => sum + r.cases, 0);
-            sunburstData.push({
-                id: `${disease}-${year}`,
-                parent: disease,
-                value: yearTotal,
-            });
-        });
-    });
+    renderCompositionPath();
+    renderStatCards();
+}
 
-    chartE = ChartHelpers.createSunburst(ctx, sunburstData, {
-        plugins: { 
-            legend: { display: false },
-            title: { display: true, text: `Case Distribution in ${Q.state} (All Time)`}
-        },
-    });
+/** Zooms Plot E into a slice (the root zooms all the way out), recording it in the URL. */
+function selectCompositionSlice(node) {
+    stateView.set({ slice: node && node.level > 0 ? node.id : '' });
+    drawStateComposition();
+}
+
+/** Breadcrumb of the zoomed slice; each ancestor zooms back out to it. */
+function renderCompositionPath() {
+    const nav = document.getElementById('compositionPath');
+    const { root, focus } = composition;
+    nav.replaceChildren(...Hierarchy.lineage(root, focus).map((node, i, list) => {
+        if (i === list.length - 1) {
+            const current = document.createElement('strong');
+            current.textContent = node.label;
+            return current;
+        }
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'link-btn';
+        link.textContent = node.label;
+        link.addEventListener('click', () => selectCompositionSlice(node));
+        return link;
+    }));
+}
+
+/**
+ * Stat cards: the selected disease and year, or the Plot E slice zoomed into. A slice over
+ * several years shows its total cases, the rate per 100k person-years and its latest population.
+ */
+function renderStatCards() {
+    const setCard = (id, value, label, title = '') => {
+        const el = document.getElementById(id);
+        el.textContent = value;
+        el.title = title;
+        document.getElementById(`${id}Label`).textContent = label;
+    };
+    const focus = composition && composition.focus;
+    if (REPORT_MODE || !focus || focus.level === 0) { // The printed report is about the selected disease and year
+        const row = pageData && pageData.stateRow;
+        if (!row) return;
+        document.getElementById('diseaseYearMeta').textContent = `${Q.disease} (${Q.year})`;
+        setCard('statCases', formatNum(row.cases), 'Cases (Current)');
+        setCard('statRate', formatNum(row.per100k, 1), 'Rate/100k');
+        setCard('statPop', formatNum(row.population), 'Population', row.population_source ? Denominators.SOURCES[row.population_source] : '');
+        return;
+    }
+
+    const slice = Hierarchy.summary(focus);
+    const span = slice.years.length > 1 ? `${slice.years[0]}–${slice.years[slice.years.length - 1]}` : slice.years[0];
+    document.getElementById('diseaseYearMeta').textContent = `${focus.path.join(' › ')}${focus.levelName === 'Year' ? '' : ` (${span})`}`;
+    if (slice.years.length > 1) {
+        setCard('statCases', formatNum(slice.cases), `Cases (${span})`);
+        setCard('statRate', formatNum(slice.per100k, 1), 'Rate/100k per year', 'Cases per 100,000 person-years over the years in the slice');
+        setCard('statPop', formatNum(slice.population), `Population (${slice.populationYear || '—'})`);
+    } else {
+        setCard('statCases', formatNum(slice.cases), `Cases (${span})`);
+        setCard('statRate', formatNum(slice.per100k, 1), 'Rate/100k');
+        setCard('statPop', formatNum(slice.population), 'Population');
+    }
 }
 
-// Plot F: Heatmap (Disease vs. Year for this State)
-function drawStateHeatmap(allRows) {
+// Plot F: Heatmap of one row per disease in this state, or one row per state for the selected
+// disease ('diseases' / 'states'), by year, coloured by a Heatmap mode (heatmap.js). The pivots
+// behind a row choice are queried the first time it is shown.
+const heatmapSources = {}; // rows -> Promise<{ cases, per100k, flags }>
+let heatmapDraw = 0; // Guards against an earlier, slower draw finishing last
+
+function heatmapSource(rows) {
+    if (!heatmapSources[rows]) {
+        const byState = rows === 'states';
+        const query = (measure) => DataService.query('pivot', {
+            rowDim: byState ? 'state' : 'disease', colDim: 'year', measure,
+            filter: byState ? { disease: Q.disease } : { state: Q.code },
+        });
+        heatmapSources[rows] = Promise.all([
+            query('cases'),
+            query('per100k'),
+            // anomalyIndex only holds this state's flags; the state rows need every state's
+            byState ? DataService.query('anomalies', { disease: Q.disease, ...ANOMALY_SETTINGS }) : null,
+        ]).then(([cases, per100k, anomalies]) => ({
+            cases,
+            per100k,
+            flags: anomalies ? Object.fromEntries(anomalies.map(f => [AnomalyDetection.key(f.code, f.disease, f.year), f])) : anomalyIndex,
+        }));
+    }
+    return heatmapSources[rows];
+}
+
+async function drawStateHeatmap() {
+    const canvas = document.getElementById('chartF_stateHeatmap');
     if (typeof ChartHelpers === 'undefined' || typeof Chart.controllers.matrix === 'undefined') {
         console.warn('Matrix plugin not loaded. Skipping chart F.'); 
-        document.getElementById('chartF_stateHeatmap').getContext('2d').canvas.parentNode.innerHTML = '<div style="text-align:center; padding:50px;" class="muted">Matrix (Heatmap) chart plugin not loaded.</div>';
+        canvas.parentNode.innerHTML = '<div style="text-align:center; padding:50px;" class="muted">Matrix (Heatmap) chart plugin not loaded.</div>';
         return; 
     }
-    
-    const stateData = allRows.filter(r => r.state === Q.state && r.cases > 0);
-    const diseases = uniqueSorted(stateData.map(r => r.disease));
-    const years = uniqueSorted(stateData.map(r => r.year));
-    
+
+    const { heatmap: mode, heatmapRows: rows } = stateView.state;
+    document.getElementById('heatmapMode').value = mode;
+    document.getElementById('heatmapRows').value = rows;
+    const draw = ++heatmapDraw;
+    const source = await heatmapSource(rows);
+    if (draw !== heatmapDraw) return;
+
+    const def = Heatmap.MODES[mode];
+    const byState = rows === 'states';
+    const pivot = source[def.measure];
+    const keys = pivot.rows;
+    const years = pivot.cols;
+    const values = Heatmap.transform(pivot, mode);
+    const scale = Heatmap.scale(values, mode);
+    const noDataColor = () => ChartHelpers.getCssVariable('--border');
+
+    // Both measures pivot the same groups, so their rows and columns line up
     const data = [];
-    let maxCases = 0;
-    diseases.forEach(d => years.forEach(y => {
-        const v = stateData.filter(r=> r.disease===d && r.year===y).reduce((s,r)=> s + r.cases, 0);
-        data.push({x: y, y: d, v});
-        if(v > maxCases) maxCases = v;
+    keys.forEach((k, i) => years.forEach((y, j) => {
+        data.push({ x: y, y: k, v: values[i][j], cases: source.cases.values[i][j], rate: source.per100k.values[i][j] });
     }));
 
-    const ctx = document.getElementById('chartF_stateHeatmap').getContext('2d');
+    document.getElementById('heatmapTitle').textContent = byState ? 'State vs. Year' : 'Disease vs. Year';
+    // A row per state needs more height than the fixed chart size gives
+    if (byState) canvas.style.setProperty('height', `${Math.max(400, keys.length * 14 + 100)}px`, 'important');
+    else canvas.style.removeProperty('height');
+
     destroyChart(chartF);
 
-    chartF = ChartHelpers.createMatrix(ctx, data, { x: years, y: diseases }, {
-        label: 'Cases',
-        maxVal: maxCases, // Pass max value for color scaling
+    // Anomalous cells are outlined in the direction's colour
+    const flagOf = (raw) => source.flags[byState ? AnomalyDetection.key(raw.y, Q.disease, raw.x) : AnomalyDetection.key(Q.code, raw.y, raw.x)];
+    const rowName = (k) => (byState ? (Jurisdictions.resolve(k) || { name: k }).name : k);
+    const tickColor = (context) => ChartHelpers.getCssVariable(byState && keys[context.index] === Q.code ? '--accent' : '--muted');
+    chartF = ChartHelpers.createMatrix(canvas.getContext('2d'), data, { x: years, y: keys }, {
+        label: def.label,
+        cellGap: byState ? 2 : 6,
+        backgroundColor: (context) => (context.raw && Heatmap.color(context.raw.v, scale)) || noDataColor(),
+        borderColor: (context) => {
+            const flag = context.raw && flagOf(context.raw);
+            return flag ? AnomalyDetection.DIRECTION_COLORS[flag.direction] : ChartHelpers.getCssVariable('--card-bg');
+        },
+        borderWidth: (context) => (context.raw && flagOf(context.raw) ? 3 : 1),
         plugins: {
-            title: { display: true, text: `Case Intensity in ${Q.state}` },
+            title: { display: true, text: byState ? `${def.label}: ${Q.disease} by State` : `${def.label} in ${Q.state}` },
+            legend: { display: false },
             tooltip: {
                 callbacks: {
-                    title: (context) => `${context[0].raw.y}`,
-                    label: (context) => `Year ${context[0].raw.x}: ${formatNum(context[0].raw.v)} cases`
+                    title: (items) => `${rowName(items[0].raw.y)} — ${items[0].raw.x}`,
+                    label: (item) => {
+                        const r = item.raw;
+                        const lines = [`${formatNum(r.cases)} cases, ${formatNum(r.rate, 1)} / 100k`];
+                        if (def.measure === 'cases' && mode !== 'cases') lines.push(r.v === null ? `${def.label}: —` : def.format(r.v));
+                        const flag = flagOf(r);
+                        if (flag) lines.push(`Anomaly — ${AnomalyDetection.describe(flag)}`);
+                        return lines;
+                    },
                 }
             }
         },
         scales: {
-            x: { title: { display: true, text: 'Year' } },
-            y: { title: { display: true, text: 'Disease' } }
-        }
+            x: { type: 'category', labels: years, offset: true, title: { display: true, text: 'Year' }, grid: { display: false } },
+            y: {
+                type: 'category', labels: keys, offset: true,
+                title: { display: true, text: byState ? 'State' : 'Disease' },
+                ticks: { autoSkip: false, color: tickColor },
+                grid: { display: false },
+            },
+        },
+    });
+
+    Heatmap.renderLegend(document.getElementById('chartF_legend'), scale, {
+        noDataColor: 'var(--border)',
+        note: byState ? `Outlined: anomalous years. ${Q.state} is highlighted.` : 'Outlined: anomalous years.',
     });
+
+    // The matrix behind the heatmap, in the mode shown: one row per disease or state, one column per year
+    DataExport.setData(canvas, () => ({
+        meta: {
+            state: byState ? 'All states' : Q.state,
+            disease: byState ? Q.disease : 'All diseases',
+            year: `${years[0]}–${years[years.length - 1]}`,
+            metric: def.label,
+        },
+        columns: [byState ? 'state' : 'disease', ...years],
+        rows: keys.map((k, i) => Object.fromEntries([[byState ? 'state' : 'disease', k], ...years.map((y, j) => [y, values[i][j]])])),
+        name: byState ? DataExport.slug(Q.disease, 'by-state-year', mode) : DataExport.slug(Q.state, 'by-disease-year', mode),
+    }));
 }
 
 
 // --- MAP (Mini-map for context) ---
 
-async function drawStateMap(allRows) {
+/** The state's outline in the theme's accent colour. */
+function stateMapStyle() {
+    return {
+        fillColor: ChartHelpers.getColor(0),
+        weight: 2,
+        opacity: 1,
+        color: ChartHelpers.getCssVariable('--card-bg'),
+        fillOpacity: 0.7
+    };
+}
+
+async function drawStateMap() {
     try {
         const res = await fetch(GEOJSON_PATH);
         const geojson = await res.json();
         
-        const stateFeature = geojson.features.find(f => f.properties.NAME === Q.state);
+        // Island areas without a polygon are shown as a point at their registry center
+        const stateFeature = geojson.features.find(f => {
+            const j = Jurisdictions.fromFeature(f);
+            return j && j.code === Q.code;
+        }) || Jurisdictions.pointFeature(Jurisdictions.byCode(Q.code));
         if (!stateFeature) {
-            document.getElementById('stateMap').innerHTML = `<div class="muted" style="padding:20px;">Geographic data for ${Q.state} not found.</div>`;
+            document.getElementById('stateMap').innerHTML = `<div class="muted" style="padding:20px;">Geographic data for ${DataQuality.escapeHtml(Q.state)} not found.</div>`;
             return;
         }
 
@@ -320,21 +659,24 @@ async function drawStateMap(allRows) {
             attributionControl: false
         }).setView([39.8283, -98.5795], 4); // Default center
 
-        L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
+        Theme.tileLayer({
             attribution: '&copy; OpenStreetMap, &copy; CartoDB'
         }).addTo(stateMapInstance);
 
         const layer = L.geoJson(stateFeature, {
-            style: {
-                fillColor: ChartHelpers.getColor(0),
-                weight: 2,
-                opacity: 1,
-                color: 'white',
-                fillOpacity: 0.7
-            }
+            style: stateMapStyle(),
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 10 })
         }).addTo(stateMapInstance);
+        stateMapInstance.stateLayer = layer;
         
-        stateMapInstance.fitBounds(layer.getBounds(), { padding: [10, 10] });
+        if (stateFeature.geometry.type === 'Point') {
+            stateMapInstance.setView(layer.getBounds().getCenter(), 8);
+        } else if (Q.code === 'AK') {
+            // Alaska's Aleutians cross the antimeridian; frame the mainland instead of the globe
+            stateMapInstance.fitBounds([[51, -179.5], [71.5, -129]]);
+        } else {
+            stateMapInstance.fitBounds(layer.getBounds(), { padding: [10, 10] });
+        }
 
     } catch (e) {
         console.error("Error drawing state map:", e);
@@ -345,9 +687,37 @@ async function drawStateMap(allRows) {
 
 // --- MAIN INITIALIZATION ---
 
+/**
+ * Selects the stratifier from the URL if the dataset has it, else the first one with data.
+ */
+function selectStratifier(strata) {
+    const select = document.getElementById('stratifierSelect');
+    const wanted = stateView.state.stratifier;
+    const value = strata.available.includes(wanted) ? wanted
+        : Object.keys(STRATIFIERS).find(k => strata.groups[k]) || strata.available[0];
+    if (value) select.value = value;
+}
+
+/**
+ * Back/Forward within the page: puts the controls back and redraws the plots they drive.
+ * @param {object} state - The restored view state.
+ * @param {string[]} changed - Names of the parameters that changed.
+ */
+function restoreStateView(state, changed) {
+    if (!pageData) return;
+    Object.entries(TREND_CONTROLS).forEach(([id, key]) => { document.getElementById(id).value = state[key]; });
+    if (changed.some(k => Object.values(TREND_CONTROLS).includes(k))) drawStateTrend(pageData.stateRows);
+    if (changed.includes('stratifier')) {
+        selectStratifier(pageData.strata);
+        drawStateBar(pageData.strata);
+    }
+    if (changed.includes('composition') || changed.includes('slice')) drawStateComposition();
+    if (changed.includes('heatmap') || changed.includes('heatmapRows')) drawStateHeatmap();
+}
+
 async function initDashboard() {
-    if (!Q.state || !Q.disease || !Q.year) {
-        document.getElementById('stateTitle').textContent = 'Error: Missing State, Disease, or Year';
+    if (!Q.code) {
+        document.getElementById('stateTitle').textContent = `Unknown jurisdiction: ${Q.state}`;
         return;
     }
     
@@ -357,17 +727,32 @@ async function initDashboard() {
         console.error("main.js (with loadData function) must be loaded first.");
         return;
     }
-    const allRows = await window.loadData();
+    const allRows = await window.loadData(); // Parsed and indexed in the data worker; progress shown by main.js
     if (allRows.length === 0) return;
 
-    // 2. Filter Data
-    const stateDataAllTime = allRows.filter(r => r.state === Q.state);
+    // A missing, misspelled or stale disease or year falls back to the nearest the data has
+    const selection = ViewState.resolveSelection(await DataService.query('catalog'), Q);
+    selection.messages.forEach(ViewState.notice);
+    if (stateView.invalid.length) ViewState.notice(`Ignored invalid link settings: ${stateView.invalid.join(', ')}.`);
+    Q.disease = selection.disease;
+    Q.year = selection.year;
+    stateView.set({ disease: Q.disease, year: Q.year }, { replace: true });
+
+    // 2. Query the slices this page needs (answered by the data worker)
+    const [stateDataAllTime, national, yearStates, diseaseYears, strata, anomalies] = await Promise.all([
+        DataService.query('byState', { code: Q.code }),
+        DataService.query('national', { disease: Q.disease }),
+        // Data for scatter plot (all states, current year/disease)
+        DataService.query('byDiseaseYear', { disease: Q.disease, year: Q.year }),
+        DataService.query('groupBy', { dims: ['disease', 'year'], filter: { state: Q.code } }),
+        DataService.query('strata', { code: Q.code, disease: Q.disease, year: Q.year }),
+        DataService.query('anomalies', { code: Q.code, ...ANOMALY_SETTINGS }),
+    ]);
+    anomalyIndex = Object.fromEntries(anomalies.map(f => [AnomalyDetection.key(f.code, f.disease, f.year), f]));
     const currentDiseaseData = stateDataAllTime.filter(r => r.disease === Q.disease);
-    const currentYearData = stateDataAllTime.filter(r => r.year === Q.year);
-    // Data for scatter plot (all states, current year/disease)
-    const nationalFilteredData = allRows.filter(r => r.year === Q.year && r.disease === Q.disease); 
     
     const stateRow = currentDiseaseData.find(r => r.year === Q.year);
+    pageData = { stateRows: stateDataAllTime, strata, stateRow };
 
     if (!stateRow) {
         console.error(`No data found for ${Q.disease} in ${Q.state} for ${Q.year}.`);
@@ -377,38 +762,112 @@ async function initDashboard() {
 
     // 3. Update Metadata
     document.getElementById('stateTitle').textContent = Q.state;
-    document.getElementById('diseaseYearMeta').textContent = `${Q.disease} (${Q.year})`;
-    document.getElementById('statCases').textContent = formatNum(stateRow.cases);
-    document.getElementById('statPop').textContent = formatNum(stateRow.population);
-    document.getElementById('statRate').textContent = formatNum(calculatePer100k(stateRow.cases, stateRow.population), 1);
+    renderStatCards(); // Plot E redraws them for a zoomed-in slice
     
     // Build historical table
-    const historicalData = currentDiseaseData.sort((a,b) => b.year - a.year);
+    const historicalData = currentDiseaseData.slice().sort((a,b) => b.year - a.year);
+    const nationalByYear = Object.fromEntries(national.map(d => [d.year, d.per100k]));
     let tableHTML = `<table style="width:100%; font-size:0.9rem;">
-        <thead><tr><th>Year</th><th style="text-align:right">Cases</th><th style="text-align:right">Rate/100k</th></tr></thead>
+        <thead><tr><th>Year</th><th style="text-align:right">Cases</th><th style="text-align:right">Rate/100k</th><th style="text-align:right">95% CI</th><th>vs. National</th></tr></thead>
         <tbody>`;
+    const historyExport = [];
     historicalData.forEach(r => {
+        const test = RateStats.compareToReference(r.cases, r.population, nationalByYear[r.year] ?? null);
+        const ci = RateStats.rateCI(r.cases, r.population);
+        historyExport.push({
+            year: r.year, cases: r.cases, population: r.population, populationSource: r.population_source ?? null, per100k: r.per100k,
+            ciLow: ci ? ci.low : null, ciHigh: ci ? ci.high : null,
+            nationalPer100k: nationalByYear[r.year] ?? null,
+            rateRatio: test ? test.ratio : null, pValue: test ? test.pValue : null, vsNational: test ? test.verdict : null,
+        });
         tableHTML += `<tr>
             <td>${r.year}</td>
             <td style="text-align:right">${formatNum(r.cases)}</td>
-            <td style="text-align:right">${formatNum(calculatePer100k(r.cases, r.population), 1)}</td>
+            <td style="text-align:right">${formatNum(r.per100k, 1)}</td>
+            <td style="text-align:right">${RateStats.formatCI(ci)}</td>
+            <td title="${test ? `Rate ratio ${formatNum(test.ratio, 2)}, p = ${formatPValue(test.pValue)}` : ''}">${test ? RateStats.VERDICT_LABELS[test.verdict] : '—'}</td>
         </tr>`;
     });
     tableHTML += `</tbody></table>`;
-    document.getElementById('summaryTableContainer').innerHTML = tableHTML;
+    const tableContainer = document.getElementById('summaryTableContainer');
+    tableContainer.innerHTML = tableHTML;
+    tableContainer.prepend(DataExport.menu({
+        data: () => ({
+            meta: { state: Q.state, disease: Q.disease, year: `${historicalData[historicalData.length - 1].year}–${historicalData[0].year}`, metric: 'Cases, population and rate per 100k' },
+            columns: ['year', 'cases', 'population', 'populationSource', 'per100k', 'ciLow', 'ciHigh', 'nationalPer100k', 'rateRatio', 'pValue', 'vsNational'],
+            rows: historyExport,
+        }),
+        name: () => DataExport.slug(Q.state, Q.disease, 'history'),
+    }));
     document.getElementById('stateLatest').textContent = `Map shows ${Q.state}`;
 
     // 4. Draw Map
-    drawStateMap(allRows);
+    drawStateMap();
 
     // 5. Create Charts
-    // Note: Some charts use allData or nationalFilteredData for comparison
-    drawStateTrend(allRows); // Plot A
-    drawStateNationalComparison(allRows); // Plot B
-    drawStateBar(allRows); // Plot C (Mocked Age)
-    drawStateScatter(allRows); // Plot D
-    drawStateSunburst(allRows); // Plot E
-    drawStateHeatmap(allRows); // Plot F
+    // Note: Plots B and D compare against national / all-state aggregates
+    Object.entries(TREND_CONTROLS).forEach(([id, key]) => {
+        const control = document.getElementById(id);
+        control.value = stateView.state[key];
+        control.onchange = () => {
+            stateView.set({ [key]: key === 'horizon' ? Number(control.value) : control.value });
+            drawStateTrend(stateDataAllTime);
+        };
+    });
+    drawStateTrend(stateDataAllTime); // Plot A
+    drawStateNationalComparison(stateDataAllTime, national); // Plot B
+    drawStateBar(strata); // Plot C
+    drawStateScatter(yearStates); // Plot D
+    document.getElementById('compositionView').onchange = (e) => {
+        stateView.set({ composition: e.target.value });
+        drawStateComposition();
+    };
+    drawStateComposition(diseaseYears); // Plot E
+    const heatmapMode = document.getElementById('heatmapMode');
+    heatmapMode.innerHTML = Object.entries(Heatmap.MODES).map(([k, m]) => `<option value="${k}">${m.label}</option>`).join('');
+    heatmapMode.onchange = () => { stateView.set({ heatmap: heatmapMode.value }); drawStateHeatmap(); };
+    document.getElementById('heatmapRows').onchange = (e) => { stateView.set({ heatmapRows: e.target.value }); drawStateHeatmap(); };
+    drawStateHeatmap(); // Plot F
+
+    // 6. Report mode: rank and narrative, then print if asked to
+    if (REPORT_MODE) {
+        const summary = StateReport.summarize({
+            history: currentDiseaseData, national, yearStates, code: Q.code, year: Q.year,
+            anomaly: anomalyIndex[AnomalyDetection.key(Q.code, Q.disease, Q.year)] || null,
+        });
+        document.getElementById('reportSummaryBody').innerHTML = StateReport.summaryHtml(summary, Q);
+        if (qParam('print') === '1') {
+            const q = new URLSearchParams(location.search);
+            q.delete('print'); // A reload should not print again
+            history.replaceState(history.state, '', `${location.pathname}?${q.toString()}`);
+            setTimeout(() => window.print(), 300); // Give the mini-map tiles a moment
+        }
+    }
+}
+
+/**
+ * Switches the page into report mode: print layout, report toolbar and summary section.
+ */
+function initReportMode() {
+    const params = (changes) => {
+        const q = new URLSearchParams(location.search);
+        Object.entries(changes).forEach(([k, v]) => (v === null ? q.delete(k) : q.set(k, v)));
+        return `${location.pathname}?${q.toString()}`;
+    };
+    document.getElementById('reportBtn').addEventListener('click', () => {
+        location.href = params({ report: '1', print: '1' });
+    });
+    if (!REPORT_MODE) return;
+
+    document.body.classList.add('report-mode');
+    document.querySelectorAll('.report-only').forEach(el => { el.hidden = false; });
+    Chart.defaults.animation = false; // Charts must be fully drawn when the print dialog opens
+    StateReport.fitChartsForPrint();
+    document.getElementById('printReport').addEventListener('click', () => window.print());
+    document.getElementById('exitReport').addEventListener('click', () => {
+        location.href = params({ report: null, print: null });
+    });
+    document.getElementById('batchReportLink').href = `report.html?${new URLSearchParams({ disease: Q.disease, year: Q.year }).toString()}`;
 }
 
 // --- Event Listeners and Initial Load ---
@@ -416,10 +875,18 @@ async function initDashboard() {
 document.addEventListener('DOMContentLoaded', () => {
     // Back button
     document.getElementById('backToMap').addEventListener('click', () => {
-      const q = new URLSearchParams({ disease: Q.disease, year: Q.year });
+      const q = new URLSearchParams({ disease: Q.disease, year: Q.year, anomaly: ANOMALY_SETTINGS.method, sensitivity: ANOMALY_SETTINGS.sensitivity });
       location.href = `map.html?${q.toString()}`;
     });
     
+    initReportMode();
+
+    // Charts restyle themselves (charts.js) and the basemap swaps itself (theme.js); the
+    // state outline is re-coloured here
+    window.addEventListener('theme-change', () => {
+      if (stateMapInstance && stateMapInstance.stateLayer) stateMapInstance.stateLayer.setStyle(stateMapStyle());
+    });
+
     // Initialize the dashboard
     // We must wait for main.js to load data and for ChartHelpers to be defined
     if(typeof ChartHelpers !== 'undefined' && typeof Papa !== 'undefined'){
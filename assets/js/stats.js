@@ -0,0 +1,277 @@
+// assets/js/stats.js
+// Exact Poisson statistics for per-100k rates: Garwood confidence intervals (via the
+// inverse regularized incomplete gamma function) and an exact test of a state's rate
+// against the national rate, plus the Student t and normal quantiles used for regression
+// and forecast intervals (trend.js, forecast.js). Pure functions, no DOM access.
+//
+// Case counts are treated as Poisson with population as a fixed denominator. The national
+// rate is treated as the known reference (its own sampling error is negligible next to a
+// single state's), so the rate ratio is the state's observed / expected cases. Ratios between
+// two states (compare page) have sampling error on both sides and use a log-scale interval.
+
+const RateStats = (function () {
+
+  const DEFAULT_LEVEL = 0.95;
+  const PER = 100000;
+
+  // Lanczos approximation (g = 7, n = 9)
+  const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+
+  /** Natural log of the gamma function. */
+  function lnGamma(z) {
+    if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+    z -= 1;
+    let x = LANCZOS[0];
+    for (let i = 1; i < 9; i++) x += LANCZOS[i] / (z + i);
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+  }
+
+  /** Regularized lower incomplete gamma P(a, x) (series / continued fraction). */
+  function gammaP(a, x) {
+    if (x <= 0) return 0;
+    const lnPre = a * Math.log(x) - x - lnGamma(a);
+    if (x < a + 1) {
+      let sum = 1 / a, term = sum;
+      for (let n = 1; n < 100000; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+      }
+      return Math.min(1, sum * Math.exp(lnPre));
+    }
+    // Lentz's continued fraction for Q(a, x)
+    let b = x + 1 - a, c = 1 / 1e-300, d = 1 / b, h = d;
+    for (let i = 1; i < 100000; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(lnPre) * h);
+  }
+
+  /** Regularized incomplete beta I_x(a, b) (continued fraction). */
+  function betaI(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const lnFront = lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+    // The continued fraction converges fastest for x < (a + 1) / (a + b + 2)
+    if (x > (a + 1) / (a + b + 2)) return 1 - betaI(1 - x, b, a);
+    let c = 1, d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 10000; m++) {
+      const m2 = 2 * m;
+      let num = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + num * d; if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = 1 + num / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      h *= d * c;
+      num = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + num * d; if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = 1 + num / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-15) break;
+    }
+    return Math.exp(lnFront) * h / a;
+  }
+
+  /** Student t cumulative distribution function. */
+  function studentTCdf(t, df) {
+    const tail = 0.5 * betaI(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Student t quantile (bisection on the CDF).
+   * @param {number} p - Probability in (0, 1).
+   * @param {number} df - Degrees of freedom (> 0).
+   */
+  function studentTQuantile(p, df) {
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -studentTQuantile(1 - p, df);
+    let lo = 0, hi = 1;
+    while (studentTCdf(hi, df) < p) hi *= 2;
+    for (let i = 0; i < 100 && hi - lo > 1e-10; i++) {
+      const mid = (lo + hi) / 2;
+      if (studentTCdf(mid, df) < p) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  /** Standard normal quantile (Acklam's rational approximation, |error| < 1.2e-9). */
+  function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const lo = 0.02425;
+    if (p < lo) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - lo) return -normalQuantile(1 - p);
+    const q = p - 0.5, r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Inverse of P(a, x) in x: Wilson-Hilferty starting point refined by safeguarded Newton steps.
+   * @param {number} p - Probability in (0, 1).
+   * @param {number} a - Shape (> 0).
+   */
+  function gammaPInv(p, a) {
+    if (p <= 0) return 0;
+    if (p >= 1) return Infinity;
+    const z = normalQuantile(p);
+    const t = 1 / (9 * a);
+    let x = Math.max(1e-10, a * Math.pow(1 - t + z * Math.sqrt(t), 3));
+    let lo = 0, hi = Infinity;
+    const lnGa = lnGamma(a);
+    for (let i = 0; i < 100; i++) {
+      const f = gammaP(a, x) - p;
+      if (f < 0) lo = x; else hi = x;
+      const pdf = Math.exp((a - 1) * Math.log(x) - x - lnGa);
+      let next = x - f / pdf;
+      // Fall back to bisection when Newton leaves the bracket
+      if (!isFinite(next) || next <= lo || next >= hi) next = hi === Infinity ? Math.max(2 * x, lo + 1) : (lo + hi) / 2;
+      if (Math.abs(next - x) <= 1e-12 * Math.max(1, x)) return next;
+      x = next;
+    }
+    return x;
+  }
+
+  /**
+   * Exact (Garwood) confidence interval for a Poisson count.
+   * @param {number} count - Observed count (>= 0).
+   * @param {number} [level] - Confidence level, default 0.95.
+   * @returns {{low: number, high: number}}
+   */
+  function poissonCI(count, level = DEFAULT_LEVEL) {
+    const alpha = 1 - level;
+    return {
+      low: count === 0 ? 0 : gammaPInv(alpha / 2, count),
+      high: gammaPInv(1 - alpha / 2, count + 1),
+    };
+  }
+
+  /**
+   * Cases per 100k person-years over several cells (e.g. one jurisdiction over a run of years,
+   * each year contributing its population as person-years). Only cells with both a count and
+   * a population are pooled, so numerator and denominator cover the same years.
+   * @param {Array<{cases: number|null, population: number|null}>} cells
+   * @returns {{cases: number, personYears: number, cells: number, per100k: number}|null} null when no cell qualifies.
+   */
+  function pooledRate(cells) {
+    const pooled = cells.filter(c => c && c.cases !== null && c.population > 0);
+    if (pooled.length === 0) return null;
+    const cases = pooled.reduce((s, c) => s + c.cases, 0);
+    const personYears = pooled.reduce((s, c) => s + c.population, 0);
+    return { cases, personYears, cells: pooled.length, per100k: (cases / personYears) * PER };
+  }
+
+  /**
+   * Per-100k rate with its exact confidence interval.
+   * @param {number|null} cases
+   * @param {number|null} population
+   * @param {number} [level]
+   * @returns {{rate: number, low: number, high: number, level: number}|null} null when either value is missing.
+   */
+  function rateCI(cases, population, level = DEFAULT_LEVEL) {
+    if (cases === null || cases === undefined || !(population > 0) || cases < 0) return null;
+    const ci = poissonCI(cases, level);
+    return { rate: (cases / population) * PER, low: (ci.low / population) * PER, high: (ci.high / population) * PER, level };
+  }
+
+  /** Exact two-sided Poisson p-value for observing `count` when `expected` is the mean. */
+  function poissonPValue(count, expected) {
+    if (expected <= 0) return count === 0 ? 1 : 0;
+    const below = 1 - gammaP(count + 1, expected); // P(X <= count)
+    const above = count === 0 ? 1 : gammaP(count, expected); // P(X >= count)
+    return Math.min(1, 2 * Math.min(below, above));
+  }
+
+  /**
+   * Compares a state's rate with the national rate: rate ratio (observed / expected cases)
+   * with its exact confidence interval and p-value.
+   * @param {number|null} cases - State cases.
+   * @param {number|null} population - State population.
+   * @param {number|null} nationalRate - National rate per 100k.
+   * @param {number} [level]
+   * @returns {{ratio, low, high, pValue, expected, verdict: 'above'|'below'|'similar'}|null} null when not computable.
+   */
+  function compareToReference(cases, population, nationalRate, level = DEFAULT_LEVEL) {
+    if (cases === null || cases === undefined || !(population > 0) || !(nationalRate > 0)) return null;
+    const expected = (nationalRate / PER) * population;
+    const ci = poissonCI(cases, level);
+    const result = {
+      ratio: cases / expected,
+      low: ci.low / expected,
+      high: ci.high / expected,
+      pValue: poissonPValue(cases, expected),
+      expected,
+    };
+    result.verdict = result.low > 1 ? 'above' : result.high < 1 ? 'below' : 'similar';
+    return result;
+  }
+
+  /**
+   * Ratio of two rates (A / B) with a large-sample confidence interval on the log scale,
+   * exp(ln RR ± z·√(1/casesA + 1/casesB)).
+   * @param {number|null} casesA
+   * @param {number|null} populationA
+   * @param {number|null} casesB
+   * @param {number|null} populationB
+   * @param {number} [level]
+   * @returns {{ratio, low, high, significant: boolean}|null} null when either side has no cases or population.
+   */
+  function rateRatio(casesA, populationA, casesB, populationB, level = DEFAULT_LEVEL) {
+    if (!(casesA > 0) || !(casesB > 0) || !(populationA > 0) || !(populationB > 0)) return null;
+    const ratio = (casesA / populationA) / (casesB / populationB);
+    const half = normalQuantile(1 - (1 - level) / 2) * Math.sqrt(1 / casesA + 1 / casesB);
+    const low = ratio * Math.exp(-half), high = ratio * Math.exp(half);
+    return { ratio, low, high, significant: low > 1 || high < 1 };
+  }
+
+  /** Formats an interval as "low–high" (em dash when missing). */
+  function formatCI(ci, dec = 1) {
+    if (!ci) return '—';
+    const f = new Intl.NumberFormat('en-US', { minimumFractionDigits: dec, maximumFractionDigits: dec });
+    return `${f.format(ci.low)}–${f.format(ci.high)}`;
+  }
+
+  const VERDICT_LABELS = {
+    above: 'Significantly above national',
+    below: 'Significantly below national',
+    similar: 'Not significantly different',
+  };
+
+  return {
+    DEFAULT_LEVEL,
+    VERDICT_LABELS,
+    poissonCI,
+    rateCI,
+    poissonPValue,
+    compareToReference,
+    rateRatio,
+    pooledRate,
+    formatCI,
+    gammaP,
+    gammaPInv,
+    normalQuantile,
+    studentTCdf,
+    studentTQuantile,
+  };
+})();
@@ -1,42 +1,94 @@
 // assets/js/theme.js
-// Simple theme toggler using localStorage. Shows ☀️ when in dark mode (so user can switch to light) and 🌙 when in light mode.
+// Light/dark theme. Shows ☀️ when in dark mode (so user can switch to light) and 🌙 when in light mode.
+// Until the reader picks a theme the page follows the system's prefers-color-scheme, live.
+// A ?theme=dark|light parameter (e.g. from a shared link) wins over the stored choice for this
+// page view only; an explicit choice is stored and mirrored into the URL so links carry it.
+// Pages re-render on the 'theme-change' window event: charts.js restyles live charts, and
+// tile layers made with Theme.tileLayer() switch to the matching basemap.
 
-(function(){
+const Theme = (function(){
   const root = document.documentElement;
-  const stored = localStorage.getItem('phd_theme') || 'light';
-  
+  const STORAGE_KEY = 'phd_theme';
+  const BASEMAPS = {
+    light: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    dark: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+  };
+  const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+  const tileLayers = new Set();
+
+  const fromUrl = new URLSearchParams(location.search).get('theme');
+  const linkTheme = ['dark', 'light'].includes(fromUrl) ? fromUrl : null;
+  const systemTheme = () => (media && media.matches ? 'dark' : 'light');
+  const chosen = () => localStorage.getItem(STORAGE_KEY);
+
+  /** The theme on the page: 'light' or 'dark'. */
+  const current = () => (root.getAttribute('data-theme') === 'dark' ? 'dark' : 'light');
+
   /**
-   * Sets the theme (light or dark) on the document root and updates local storage.
+   * Sets the theme (light or dark) on the document root.
    * @param {string} name 'light' or 'dark'.
+   * @param {boolean} [explicit] - The reader's choice: stored and kept in the URL. Otherwise
+   *   (following the system) nothing is stored and the URL is left without a theme.
+   * @param {boolean} [fromLink] - Taken from the URL's theme parameter: not stored, and the
+   *   parameter is kept.
    */
-  function setTheme(name){
-    if(name === 'dark') {
-      root.setAttribute('data-theme','dark');
-    } else {
-      root.setAttribute('data-theme','light');
-    }
-    
-    localStorage.setItem('phd_theme', name);
-    
+  function setTheme(name, explicit = true, fromLink = false){
+    name = name === 'dark' ? 'dark' : 'light';
+    root.setAttribute('data-theme', name);
+
+    if (explicit) localStorage.setItem(STORAGE_KEY, name);
+
+    // Not a navigation, so no history entry
+    const q = new URLSearchParams(location.search);
+    if (explicit || fromLink) q.set('theme', name); else q.delete('theme');
+    const query = q.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+
     // Select all theme icons across different pages (header, map, state)
-    const icons = document.querySelectorAll('#themeIconHeader, #themeIconMap, #themeIconState');
-    icons.forEach(i=> { 
-        if(i) i.textContent = (name === 'dark') ? '☀️' : '🌙'; 
+    const icons = document.querySelectorAll('#themeIconHeader, #themeIconMap, #themeIconState, #themeIconCompare');
+    icons.forEach(i=> {
+        if(i) i.textContent = (name === 'dark') ? '☀️' : '🌙';
+    });
+
+    tileLayers.forEach(layer => {
+      if (layer._map) layer.setUrl(BASEMAPS[name]);
+      else tileLayers.delete(layer); // Its map was removed
     });
-    
+
     // Dispatch a custom event to notify maps/charts that the theme has changed
     // This allows maps and charts to re-render with new colors
     window.dispatchEvent(new Event('theme-change'));
   }
-  
-  /** Toggles the current theme. */
-  function toggle(){ 
-    const currentTheme = localStorage.getItem('phd_theme') || 'light';
-    setTheme(currentTheme === 'dark' ? 'light' : 'dark'); 
+
+  /** Toggles the current theme (an explicit choice). */
+  function toggle(){
+    setTheme(current() === 'dark' ? 'light' : 'dark');
+  }
+
+  /** Basemap tile URL for the current theme. */
+  const basemapUrl = () => BASEMAPS[current()];
+
+  /**
+   * Leaflet tile layer showing the basemap for the current theme, switched on theme change.
+   * @param {object} [options] - L.tileLayer options.
+   */
+  function tileLayer(options = {}){
+    const layer = L.tileLayer(basemapUrl(), options);
+    tileLayers.add(layer);
+    return layer;
   }
 
   // Set initial theme on load
-  setTheme(stored);
+  if (linkTheme) setTheme(linkTheme, false, true); // A shared link's theme is not kept
+  else if (chosen()) setTheme(chosen());
+  else setTheme(systemTheme(), false);
+
+  // Follow the system setting while the reader has not picked a theme (nor opened a link with one)
+  if (media) {
+    const follow = () => { if (!chosen() && !linkTheme) setTheme(systemTheme(), false); };
+    if (media.addEventListener) media.addEventListener('change', follow);
+    else if (media.addListener) media.addListener(follow); // Older Safari
+  }
 
   // Expose functions globally
   window.toggleTheme = toggle;
@@ -46,13 +98,20 @@
   // We use event delegation on the document for simplicity
   document.addEventListener('click', (e)=>{
     if(!e.target) return;
-    
+
     // Check if the clicked element (or its parent) is a theme toggle button
-    const toggleButton = e.target.closest('#themeToggleHeader, #themeToggleMap, #themeToggleState');
-    
+    const toggleButton = e.target.closest('#themeToggleHeader, #themeToggleMap, #themeToggleState, #themeToggleCompare');
+
     if (toggleButton) {
         toggle();
     }
   });
-})();
 
+  return {
+    current,
+    set: setTheme,
+    toggle,
+    basemapUrl,
+    tileLayer,
+  };
+})();
@@ -0,0 +1,140 @@
+// assets/js/timeline.js
+// Year timeline control for the map page: a slider over the available years with
+// play/pause, step back/forward and playback speed. The owner renders each frame in its
+// onChange callback; playback waits for that callback (which may return a promise) before
+// scheduling the next frame, so slow frames are never skipped or stacked.
+
+const YearTimeline = (function () {
+
+  // Milliseconds per frame for each speed option
+  const SPEEDS = [
+    { label: '0.5×', delay: 2000 },
+    { label: '1×', delay: 1000 },
+    { label: '2×', delay: 500 },
+    { label: '4×', delay: 250 },
+  ];
+  const DEFAULT_SPEED = 1;
+
+  /**
+   * Builds a timeline inside a container element.
+   * @param {HTMLElement} container
+   * @param {object} opts
+   * @param {string[]} opts.years - Sorted years to step through.
+   * @param {string} [opts.value] - Initial year (defaults to the last one).
+   * @param {function(string): (void|Promise)} opts.onChange - Renders a frame.
+   * @returns {object} Handle: { value, setYears, setValue, queue, play, pause, isPlaying }.
+   */
+  function create(container, opts) {
+    let years = opts.years.slice();
+    let index = years.indexOf(opts.value);
+    if (index < 0) index = years.length - 1;
+    let timer = null;
+    let playing = false;
+    let rendering = Promise.resolve();
+
+    container.classList.add('year-timeline');
+    container.innerHTML = `
+      <button type="button" class="btn timeline-step" data-step="-1" aria-label="Previous year">&#9664;</button>
+      <button type="button" class="btn timeline-play" aria-label="Play">&#9654;</button>
+      <button type="button" class="btn timeline-step" data-step="1" aria-label="Next year">&#9654;&#9654;</button>
+      <input type="range" class="timeline-slider" min="0" step="1" aria-label="Year">
+      <output class="timeline-year"></output>
+      <select class="select timeline-speed" aria-label="Playback speed">
+        ${SPEEDS.map((s, i) => `<option value="${i}"${i === DEFAULT_SPEED ? ' selected' : ''}>${s.label}</option>`).join('')}
+      </select>`;
+
+    const slider = container.querySelector('.timeline-slider');
+    const label = container.querySelector('.timeline-year');
+    const playBtn = container.querySelector('.timeline-play');
+    const speed = container.querySelector('.timeline-speed');
+
+    function sync() {
+      slider.max = Math.max(0, years.length - 1);
+      slider.value = index;
+      slider.disabled = years.length < 2;
+      label.textContent = years[index] || '—';
+      playBtn.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+      playBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+      playBtn.disabled = years.length < 2;
+    }
+
+    /** Moves to a frame and renders it; frames requested while one renders are queued in order. */
+    function go(i) {
+      if (years.length === 0) return rendering;
+      index = Math.min(years.length - 1, Math.max(0, i));
+      sync();
+      const year = years[index];
+      rendering = rendering.then(() => opts.onChange(year)).catch(e => console.error('Timeline frame failed:', e));
+      return rendering;
+    }
+
+    function schedule() {
+      clearTimeout(timer);
+      if (!playing) return;
+      timer = setTimeout(async () => {
+        if (index >= years.length - 1) { pause(); return; }
+        await go(index + 1);
+        schedule();
+      }, SPEEDS[Number(speed.value)].delay);
+    }
+
+    function play() {
+      if (playing || years.length < 2) return;
+      playing = true;
+      // Replaying from the last frame starts over from the first year
+      if (index >= years.length - 1) go(0).then(schedule);
+      else schedule();
+      sync();
+    }
+
+    function pause() {
+      playing = false;
+      clearTimeout(timer);
+      sync();
+    }
+
+    playBtn.addEventListener('click', () => (playing ? pause() : play()));
+    container.querySelectorAll('.timeline-step').forEach(btn => {
+      btn.addEventListener('click', () => { pause(); go(index + Number(btn.dataset.step)); });
+    });
+    slider.addEventListener('input', () => { pause(); go(Number(slider.value)); });
+    speed.addEventListener('change', schedule);
+    container.addEventListener('keydown', (e) => {
+      if (e.target === slider || e.target === speed) return; // Native keyboard handling
+      if (e.key === 'ArrowLeft') { pause(); go(index - 1); }
+      if (e.key === 'ArrowRight') { pause(); go(index + 1); }
+    });
+
+    sync();
+
+    return {
+      get value() { return years[index]; },
+      isPlaying: () => playing,
+      /** Replaces the year list (e.g. after the disease changes) without rendering. */
+      setYears(newYears, value) {
+        pause();
+        years = newYears.slice();
+        const i = years.indexOf(value);
+        index = i >= 0 ? i : years.length - 1;
+        sync();
+      },
+      /** Jumps to a year and renders it. */
+      setValue(year) {
+        const i = years.indexOf(year);
+        return i >= 0 ? go(i) : rendering;
+      },
+      /** Runs another redraw (e.g. of a new disease) in turn with the frames. */
+      queue(render) {
+        rendering = rendering.then(render).catch(e => console.error('Timeline frame failed:', e));
+        return rendering;
+      },
+      play,
+      pause,
+    };
+  }
+
+  return {
+    SPEEDS,
+    create,
+  };
+})();
@@ -0,0 +1,179 @@
+// assets/js/trend.js
+// Trend statistics for annual rate series: log-linear regression for the annual percent
+// change (APC) and joinpoint-style segmented fits (continuous piecewise log-linear, with
+// breakpoints found by grid search over the observed years).
+//
+// Model: ln(rate) = b0 + b1·year + Σ d_j·(year − τ_j)+. Segment k's slope is b1 + Σ_{j<k} d_j and
+// its APC is 100·(e^slope − 1). The average APC (AAPC) weights segment slopes by their
+// length in years. Intervals use the t distribution and are conditional on the chosen
+// breakpoints (as in the NCI Joinpoint program's default parametric method).
+
+const TrendStats = (function () {
+
+  const MAX_JOINPOINTS = 3;
+  const MIN_SEGMENT_POINTS = 3; // Observations per segment, counting shared joinpoints
+  const DEFAULT_LEVEL = 0.95;
+
+  /** Inverts a small symmetric matrix (Gauss-Jordan); null if singular. */
+  function invert(m) {
+    const n = m.length;
+    const a = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      const div = a[col][col];
+      for (let j = 0; j < 2 * n; j++) a[col][j] /= div;
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const f = a[r][col];
+        if (f !== 0) for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+      }
+    }
+    return a.map(row => row.slice(n));
+  }
+
+  /** Ordinary least squares: coefficients, covariance matrix and residual variance. */
+  function ols(X, y) {
+    const p = X[0].length, n = X.length;
+    const xtx = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => X.reduce((s, row) => s + row[i] * row[j], 0)));
+    const inv = invert(xtx);
+    if (!inv) return null;
+    const xty = Array.from({ length: p }, (_, i) => X.reduce((s, row, k) => s + row[i] * y[k], 0));
+    const beta = inv.map(row => row.reduce((s, v, j) => s + v * xty[j], 0));
+    const fitted = X.map(row => row.reduce((s, v, j) => s + v * beta[j], 0));
+    const sse = y.reduce((s, v, k) => s + (v - fitted[k]) ** 2, 0);
+    const df = n - p;
+    const sigma2 = df > 0 ? sse / df : 0;
+    return { beta, cov: inv.map(row => row.map(v => v * sigma2)), fitted, sse, df };
+  }
+
+  function design(xs, joinpoints) {
+    return xs.map(x => [1, x, ...joinpoints.map(t => Math.max(0, x - t))]);
+  }
+
+  /** Estimate, standard error and t interval of a linear combination c'β, as an APC. */
+  function apcOf(fit, c, level) {
+    const est = c.reduce((s, v, i) => s + v * fit.beta[i], 0);
+    const variance = c.reduce((s, ci, i) => s + ci * c.reduce((t, cj, j) => t + cj * fit.cov[i][j], 0), 0);
+    const se = Math.sqrt(Math.max(0, variance));
+    const tq = fit.df > 0 ? RateStats.studentTQuantile(1 - (1 - level) / 2, fit.df) : Infinity;
+    const toApc = (b) => 100 * (Math.exp(b) - 1);
+    const low = toApc(est - tq * se), high = toApc(est + tq * se);
+    return {
+      apc: toApc(est),
+      low: isFinite(low) ? low : null,
+      high: isFinite(high) ? high : null,
+      significant: isFinite(low) && isFinite(high) && (low > 0 || high < 0),
+    };
+  }
+
+  /** Every increasing combination of k candidate joinpoints respecting the minimum segment size. */
+  function candidateSets(xs, k) {
+    const out = [];
+    const n = xs.length;
+    const walk = (start, chosen) => {
+      if (chosen.length === k) {
+        if (n - 1 - chosen[chosen.length - 1] >= MIN_SEGMENT_POINTS - 1) out.push(chosen.map(i => xs[i]));
+        return;
+      }
+      const from = chosen.length === 0 ? MIN_SEGMENT_POINTS - 1 : chosen[chosen.length - 1] + MIN_SEGMENT_POINTS - 1;
+      for (let i = Math.max(start, from); i < n - 1; i++) walk(i + 1, [...chosen, i]);
+    };
+    walk(0, []);
+    return out;
+  }
+
+  /**
+   * Fits a (segmented) log-linear trend to an annual rate series.
+   * @param {Array<{year: string|number, rate: number|null}>} series - Points with a non-positive or
+   *   missing rate are skipped (the log is undefined).
+   * @param {object} [opts]
+   * @param {number|'auto'} [opts.joinpoints] - 0-3 breakpoints, or 'auto' to pick the count by BIC. Default 0.
+   * @param {number} [opts.level] - Confidence level, default 0.95.
+   * @returns {object|null} { joinpoints: number[], segments: [{from, to, apc, low, high, significant}],
+   *   aapc: {from, to, apc, low, high, significant}, fitted: [{year, rate}], n } or null with < 3 usable points.
+   */
+  function fit(series, opts = {}) {
+    const level = opts.level || DEFAULT_LEVEL;
+    const points = series
+      .map(d => ({ x: Number(d.year), rate: d.rate }))
+      .filter(d => isFinite(d.x) && d.rate !== null && d.rate > 0)
+      .sort((a, b) => a.x - b.x);
+    if (points.length < 3) return null;
+    const xs = points.map(d => d.x);
+    const y = points.map(d => Math.log(d.rate));
+
+    // Best breakpoints for each joinpoint count
+    const maxK = Math.min(MAX_JOINPOINTS, Math.floor((xs.length - 1) / (MIN_SEGMENT_POINTS - 1)) - 1);
+    const wanted = opts.joinpoints === 'auto' ? null : Math.max(0, Math.min(maxK, Number(opts.joinpoints) || 0));
+    const best = [];
+    for (let k = 0; k <= (wanted === null ? maxK : wanted); k++) {
+      if (wanted !== null && k !== wanted) continue;
+      let bestK = null;
+      (k === 0 ? [[]] : candidateSets(xs, k)).forEach(jps => {
+        const f = ols(design(xs, jps), y);
+        if (f && (!bestK || f.sse < bestK.fit.sse)) bestK = { joinpoints: jps, fit: f };
+      });
+      if (bestK) best.push(bestK);
+    }
+    if (best.length === 0) return null;
+
+    // 'auto': Bayesian information criterion; each joinpoint costs a slope and a location
+    const n = xs.length;
+    const bic = (b) => n * Math.log(Math.max(b.fit.sse, 1e-300) / n) + (2 + 2 * b.joinpoints.length) * Math.log(n);
+    const chosen = best.reduce((a, b) => (bic(b) < bic(a) ? b : a));
+    const { joinpoints, fit: f } = chosen;
+
+    const p = 2 + joinpoints.length;
+    const bounds = [xs[0], ...joinpoints, xs[n - 1]];
+    const segments = bounds.slice(0, -1).map((from, k) => {
+      const c = new Array(p).fill(0);
+      c[1] = 1;
+      for (let j = 0; j < k; j++) c[2 + j] = 1;
+      return { from, to: bounds[k + 1], c, ...apcOf(f, c, level) };
+    });
+
+    // AAPC: slopes weighted by segment length
+    const span = xs[n - 1] - xs[0];
+    const cAvg = new Array(p).fill(0);
+    segments.forEach(s => s.c.forEach((v, i) => { cAvg[i] += v * (s.to - s.from) / span; }));
+    const aapc = { from: xs[0], to: xs[n - 1], ...apcOf(f, cAvg, level) };
+
+    return {
+      joinpoints,
+      segments: segments.map(({ c, ...s }) => s),
+      aapc,
+      fitted: xs.map((x, i) => ({ year: String(x), rate: Math.exp(f.fitted[i]) })),
+      n,
+      level,
+    };
+  }
+
+  /** Formats an APC with its interval, e.g. "+3.2% (95% CI 1.1 to 5.4)". */
+  function formatApc(r) {
+    if (!r) return '—';
+    const f = (v) => (v === null ? '—' : `${v > 0 ? '+' : v < 0 ? '−' : ''}${Math.abs(v).toFixed(1)}%`);
+    return `${f(r.apc)} (95% CI ${f(r.low)} to ${f(r.high)})${r.significant ? '*' : ''}`;
+  }
+
+  /**
+   * Plain-text summary lines: one per segment plus the AAPC.
+   * @param {object} result - fit() output.
+   * @returns {string[]}
+   */
+  function describe(result) {
+    if (!result) return ['Not enough years with a positive rate to fit a trend.'];
+    const lines = result.segments.map(s => `APC ${s.from}–${s.to}: ${formatApc(s)}`);
+    if (result.segments.length > 1) lines.push(`AAPC ${result.aapc.from}–${result.aapc.to}: ${formatApc(result.aapc)}`);
+    return lines;
+  }
+
+  return {
+    MAX_JOINPOINTS,
+    fit,
+    describe,
+    formatApc,
+  };
+})();
@@ -0,0 +1,355 @@
+// assets/js/upload.js
+// Bring-your-own data on the index page. A CSV or Excel file is dropped (or picked), its
+// columns are matched to the dashboard fields (detectColumns suggests, the user confirms),
+// the mapped rows are normalized and validated in the browser for a preview, and the result
+// is stored in IndexedDB as a named dataset. loadData() then uses it in place of, or merged
+// with, the bundled file on every page (see getActiveDataset in main.js).
+//
+// Nothing is sent anywhere: files are read with the File API and never leave the browser.
+
+const DatasetUpload = (function () {
+
+  // Dashboard fields offered in the mapping step, in display order
+  const FIELDS = [
+    { key: 'state', label: 'State / jurisdiction', required: true },
+    { key: 'year', label: 'Year', required: true },
+    { key: 'disease', label: 'Disease', required: true },
+    { key: 'cases', label: 'Cases', required: true },
+    { key: 'population', label: 'Population' },
+    { key: 'population_density', label: 'Population density' },
+    { key: 'age_group', label: 'Age group' },
+    { key: 'sex', label: 'Sex' },
+    { key: 'race_ethnicity', label: 'Race/ethnicity' },
+  ];
+  const SPREADSHEET = /\.(xlsx|xls|ods)$/i;
+  const ACCEPT = '.csv,.tsv,.txt,.xlsx,.xls,.ods';
+  const SAMPLE_VALUES = 3; // Example values shown next to each mapped column
+  const PREVIEW_ROWS = 5;
+  const MAX_NAME_LENGTH = 60;
+
+  const escapeHtml = DataQuality.escapeHtml; // quality.js
+  const fmt = (v, digits = 0) => (v === null || v === undefined ? '—'
+    : new Intl.NumberFormat('en-US', { maximumFractionDigits: digits }).format(v));
+
+  let root = null;
+  let pending = null; // { fileName, sheets, sheet, mapping, result } while the wizard is open
+
+  /**
+   * Reads a dropped file into header-keyed rows.
+   * CSV/TSV go through PapaParse (delimiter detected); spreadsheets need SheetJS (XLSX global)
+   * and yield one entry per non-empty sheet.
+   * @param {File} file
+   * @returns {Promise<Array<{name: string, columns: string[], rows: object[]}>>}
+   */
+  async function readFile(file) {
+    if (SPREADSHEET.test(file.name)) {
+      if (typeof XLSX === 'undefined') {
+        throw new Error('Spreadsheet support could not be loaded. Check your connection, or save the sheet as CSV.');
+      }
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+      return workbook.SheetNames.map(name => {
+        const sheet = workbook.Sheets[name];
+        // Formatted text, as a CSV export would give; normalizeRow parses the numbers
+        const header = (XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false })[0] || []).map(String);
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, blankrows: false });
+        return { name, columns: header.filter(c => c.trim() !== ''), rows };
+      }).filter(s => s.rows.length > 0);
+    }
+    const result = Papa.parse(await file.text(), { header: true, skipEmptyLines: true });
+    const columns = (result.meta.fields || []).filter(c => c.trim() !== '');
+    return columns.length && result.data.length ? [{ name: file.name, columns, rows: result.data }] : [];
+  }
+
+  /** The sheet the wizard is working on. */
+  function currentSheet() {
+    return pending.sheets[pending.sheet];
+  }
+
+  /** Up to SAMPLE_VALUES distinct non-blank values of a column. */
+  function samples(rows, column) {
+    const seen = new Set();
+    for (let i = 0; i < rows.length && seen.size < SAMPLE_VALUES; i++) {
+      const v = String(rows[i][column] === undefined ? '' : rows[i][column]).trim();
+      if (v) seen.add(v);
+    }
+    return [...seen];
+  }
+
+  /**
+   * Checks the mapping and, when it is usable, normalizes and validates the mapped rows.
+   * @returns {{problems: string[], mapped: object[]|null, rows: object[], quality: object|null}}
+   */
+  function validate() {
+    const problems = [];
+    const mapping = pending.mapping;
+    FIELDS.filter(f => f.required && !mapping[f.key]).forEach(f => problems.push(`Choose the column that holds ${f.label.toLowerCase()}.`));
+    const byColumn = {};
+    FIELDS.forEach(f => {
+      const column = mapping[f.key];
+      if (column) (byColumn[column] = byColumn[column] || []).push(f.label);
+    });
+    Object.entries(byColumn).filter(([, labels]) => labels.length > 1)
+      .forEach(([column, labels]) => problems.push(`Column “${column}” is assigned to ${labels.join(' and ')}.`));
+    if (problems.length) return { problems, mapped: null, rows: [], quality: null };
+
+    const mapped = currentSheet().rows.map(r => remapRow(r, mapping));
+    const { rows, quality } = normalizeRows(mapped);
+    if (rows.length === 0) problems.push('No row has a state, year and disease; check the column assignments.');
+    return { problems, mapped, rows, quality };
+  }
+
+  /** Summary, first rows and the validation report for the current mapping. */
+  function renderPreview() {
+    const el = root.querySelector('#uploadPreview');
+    const result = pending.result = validate();
+    root.querySelectorAll('.upload-save').forEach(b => { b.disabled = result.problems.length > 0; });
+
+    if (result.problems.length) {
+      el.innerHTML = `<ul class="upload-problems">${result.problems.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>`;
+      return;
+    }
+
+    const { rows, quality } = result;
+    const years = uniqueSorted(rows.map(r => r.year));
+    const diseases = uniqueSorted(rows.map(r => r.disease));
+    const states = new Set(rows.map(r => r.state_code || r.state));
+    const unknown = Jurisdictions.unresolved(rows);
+    const dropped = quality.total - rows.length;
+
+    el.innerHTML = `
+      <p><strong>${fmt(rows.length)}</strong> of ${fmt(quality.total)} rows usable ·
+        ${fmt(diseases.length)} disease${diseases.length === 1 ? '' : 's'} ·
+        ${fmt(states.size)} jurisdiction${states.size === 1 ? '' : 's'} ·
+        ${years.length ? `${escapeHtml(years[0])}–${escapeHtml(years[years.length - 1])}` : 'no years'}
+        ${dropped ? `<br><span class="muted">${fmt(dropped)} row(s) without state, year or disease will be skipped.</span>` : ''}</p>
+      ${unknown.length ? `<p class="muted">Not recognised as a U.S. state or territory (kept, but not shown on maps):
+        ${unknown.slice(0, 10).map(u => `${escapeHtml(u.name)} (${fmt(u.count)})`).join(', ')}${unknown.length > 10 ? ', …' : ''}</p>` : ''}
+      <div class="upload-table-wrap"><table class="diagnostics-table">
+        <thead><tr><th>State</th><th>Year</th><th>Disease</th><th>Cases</th><th>Population</th><th>Rate per 100k</th></tr></thead>
+        <tbody>${rows.slice(0, PREVIEW_ROWS).map(r => `<tr>
+          <td>${escapeHtml(r.state)}</td><td>${escapeHtml(r.year)}</td><td>${escapeHtml(r.disease)}</td>
+          <td>${fmt(r.cases)}</td><td>${fmt(r.population)}</td><td>${fmt(r.per100k, 1)}</td>
+        </tr>`).join('')}</tbody>
+      </table></div>
+      <div class="upload-report"></div>`;
+    DataQuality.renderReport(el.querySelector('.upload-report'), quality, { maxListed: 20 });
+  }
+
+  /** Mapping table for the current sheet. */
+  function renderMapping() {
+    const sheet = currentSheet();
+    const options = (selected) => `<option value="">— not in file —</option>` + sheet.columns
+      .map(c => `<option value="${escapeHtml(c)}"${c === selected ? ' selected' : ''}>${escapeHtml(c)}</option>`).join('');
+    root.querySelector('#uploadMapping tbody').innerHTML = FIELDS.map(f => {
+      const column = pending.mapping[f.key];
+      const examples = column ? samples(sheet.rows, column) : [];
+      return `<tr>
+        <th scope="row">${escapeHtml(f.label)}${f.required ? ' <span class="upload-required" title="Required">*</span>' : ''}</th>
+        <td><select class="select" data-field="${f.key}" aria-label="Column for ${escapeHtml(f.label)}">${options(column)}</select></td>
+        <td class="muted">${examples.map(escapeHtml).join(', ')}</td>
+      </tr>`;
+    }).join('');
+    renderPreview();
+  }
+
+  /** Opens the wizard for a freshly read file. */
+  function openWizard(fileName, sheets) {
+    pending = { fileName, sheets, sheet: 0, mapping: detectColumns(sheets[0].columns), result: null };
+    const wizard = root.querySelector('#uploadWizard');
+    const baseName = fileName.replace(/\.[^.]+$/, '').slice(0, MAX_NAME_LENGTH);
+    wizard.innerHTML = `
+      <p class="upload-file"><strong>${escapeHtml(fileName)}</strong>
+        ${sheets.length > 1 ? `<label class="control-inline">Sheet <select id="uploadSheet" class="select">
+          ${sheets.map((s, i) => `<option value="${i}">${escapeHtml(s.name)}</option>`).join('')}</select></label>` : ''}
+        <span id="uploadCounts" class="muted"></span></p>
+      <table id="uploadMapping" class="upload-mapping">
+        <thead><tr><th>Dashboard field</th><th>Column in your file</th><th>Example values</th></tr></thead>
+        <tbody></tbody>
+      </table>
+      <div id="uploadPreview" class="upload-preview"></div>
+      <div class="upload-actions">
+        <label class="control-inline">Dataset name
+          <input type="text" id="uploadName" maxlength="${MAX_NAME_LENGTH}" value="${escapeHtml(baseName)}"></label>
+        <button type="button" class="btn primary upload-save" data-mode="replace" title="Show only this dataset">Save and use</button>
+        <button type="button" class="btn upload-save" data-mode="merge" title="Add to the bundled data; your rows win where both have the same state, year and disease">Save and merge with bundled data</button>
+        <button type="button" class="btn" id="uploadCancel">Cancel</button>
+      </div>`;
+    wizard.hidden = false;
+
+    const showCounts = () => {
+      const sheet = currentSheet();
+      wizard.querySelector('#uploadCounts').textContent = ` · ${fmt(sheet.rows.length)} rows · ${sheet.columns.length} columns`;
+    };
+    showCounts();
+    renderMapping();
+
+    const sheetSelect = wizard.querySelector('#uploadSheet');
+    if (sheetSelect) sheetSelect.addEventListener('change', () => {
+      pending.sheet = Number(sheetSelect.value);
+      pending.mapping = detectColumns(currentSheet().columns);
+      showCounts();
+      renderMapping();
+    });
+    wizard.querySelector('#uploadMapping').addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+      if (e.target.value) pending.mapping[field] = e.target.value;
+      else delete pending.mapping[field];
+      renderMapping();
+    });
+    wizard.querySelectorAll('.upload-save').forEach(b => b.addEventListener('click', () => save(b.dataset.mode)));
+    wizard.querySelector('#uploadCancel').addEventListener('click', closeWizard);
+  }
+
+  function closeWizard() {
+    pending = null;
+    const wizard = root.querySelector('#uploadWizard');
+    wizard.hidden = true;
+    wizard.innerHTML = '';
+  }
+
+  /** Shows a status line under the drop zone ('' clears it). */
+  function status(message, isError = false) {
+    const el = root.querySelector('#uploadStatus');
+    el.textContent = message;
+    el.classList.toggle('upload-error', isError);
+  }
+
+  async function handleFile(file) {
+    if (!file) return;
+    closeWizard();
+    status(`Reading ${file.name}…`);
+    try {
+      const sheets = await readFile(file);
+      if (sheets.length === 0) {
+        status(`${file.name} has no header row or no data rows.`, true);
+        return;
+      }
+      status('');
+      openWizard(file.name, sheets);
+    } catch (error) {
+      console.error('Upload could not be read:', error);
+      status(`${file.name} could not be read: ${error.message || error}`, true);
+    }
+  }
+
+  /**
+   * Stores the previewed dataset under its name and makes it the active dataset.
+   * @param {string} mode - 'replace' or 'merge'.
+   */
+  async function save(mode) {
+    const result = pending && pending.result;
+    if (!result || result.problems.length) return;
+    const name = root.querySelector('#uploadName').value.trim();
+    if (!name) {
+      status('Give the dataset a name.', true);
+      return;
+    }
+    root.querySelectorAll('.upload-save').forEach(b => { b.disabled = true; });
+    status(`Saving “${name}”…`);
+    const record = {
+      key: UPLOAD_KEY_PREFIX + name,
+      name,
+      schema: DATA_SCHEMA_VERSION,
+      version: await DataCache.hash(JSON.stringify(result.mapped)),
+      fileName: pending.fileName,
+      sheet: pending.sheets.length > 1 ? currentSheet().name : null,
+      mapping: Object.assign({}, pending.mapping),
+      mapped: result.mapped, // Kept so a newer normalizer can redo the rows (see loadUploadedDataset)
+      rows: result.rows,
+      quality: result.quality,
+      fetchedAt: new Date().toISOString(),
+      lastModified: null,
+    };
+    if (!(await DataCache.put(record))) {
+      status('The dataset could not be stored: browser storage is unavailable or full (private windows often block it).', true);
+      root.querySelectorAll('.upload-save').forEach(b => { b.disabled = false; });
+      return;
+    }
+    setActiveDataset({ name, mode });
+    location.reload();
+  }
+
+  /** Lists the stored uploads with switch, merge and delete actions. */
+  async function renderDatasets() {
+    const list = root.querySelector('#datasetList');
+    const keys = (await DataCache.keys()).filter(k => String(k).startsWith(UPLOAD_KEY_PREFIX));
+    const records = (await Promise.all(keys.map(k => DataCache.get(k)))).filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const active = getActiveDataset();
+    const inUse = (name, mode) => (active ? active.name === name && active.mode === mode : name === null);
+    const action = (label, name, mode) => (inUse(name, mode)
+      ? `<span class="upload-active">${label === 'Use' ? 'In use' : 'Merged in'}</span>`
+      : `<button type="button" class="btn" data-action="use" data-name="${escapeHtml(name || '')}" data-mode="${mode}">${label}</button>`);
+
+    list.innerHTML = `<table class="upload-datasets diagnostics-table">
+      <thead><tr><th>Dataset</th><th>Rows</th><th>Added</th><th></th></tr></thead>
+      <tbody>
+        <tr><td>Bundled dataset <span class="muted">(${escapeHtml(DATA_PATH.split('/').pop())})</span></td><td></td><td></td>
+          <td>${action('Use', null, 'replace')}</td></tr>
+        ${records.map(r => `<tr>
+          <td>${escapeHtml(r.name)} <span class="muted">(${escapeHtml(r.fileName || '')}${r.sheet ? `, ${escapeHtml(r.sheet)}` : ''})</span></td>
+          <td>${fmt(r.rows.length)}</td>
+          <td>${escapeHtml(new Date(r.fetchedAt).toLocaleDateString('en-US', { dateStyle: 'medium' }))}</td>
+          <td>${action('Use', r.name, 'replace')} ${action('Merge', r.name, 'merge')}
+            <button type="button" class="btn" data-action="delete" data-name="${escapeHtml(r.name)}" title="Remove from this browser">Delete</button></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    ${records.length ? '' : '<p class="muted">No uploaded datasets yet.</p>'}`;
+  }
+
+  /**
+   * Wires the upload panel (#datasets on index.html).
+   * @param {HTMLElement} container - Element holding #uploadDrop, #uploadFile, #uploadStatus,
+   *   #uploadWizard and #datasetList.
+   */
+  function init(container) {
+    if (!container) return;
+    root = container;
+    const drop = root.querySelector('#uploadDrop');
+    const input = root.querySelector('#uploadFile');
+    input.accept = ACCEPT;
+
+    input.addEventListener('change', () => {
+      handleFile(input.files[0]);
+      input.value = ''; // Picking the same file again still fires 'change'
+    });
+    ['dragenter', 'dragover'].forEach(type => drop.addEventListener(type, (e) => {
+      e.preventDefault();
+      drop.classList.add('dragover');
+    }));
+    ['dragleave', 'drop'].forEach(type => drop.addEventListener(type, () => drop.classList.remove('dragover')));
+    drop.addEventListener('drop', (e) => {
+      e.preventDefault();
+      handleFile(e.dataTransfer.files[0]);
+    });
+
+    root.querySelector('#datasetList').addEventListener('click', async (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const name = button.dataset.name || null;
+      if (button.dataset.action === 'use') {
+        setActiveDataset(name ? { name, mode: button.dataset.mode } : null);
+        location.reload();
+        return;
+      }
+      await DataCache.remove(UPLOAD_KEY_PREFIX + name);
+      const active = getActiveDataset();
+      if (active && active.name === name) {
+        setActiveDataset(null);
+        location.reload();
+        return;
+      }
+      renderDatasets();
+    });
+
+    renderDatasets();
+  }
+
+  return {
+    FIELDS,
+    readFile,
+    init,
+  };
+})();
@@ -0,0 +1,203 @@
+// assets/js/viewState.js
+// View state in the query string. A page declares its parameters once (type, default); the
+// module parses them on load, replacing invalid values with the default and reporting which
+// ones were dropped, writes changes back with the History API, and hands Back/Forward
+// navigation to the page so it can re-render without a reload.
+//
+// Defaults are left out of the URL to keep shared links short. Parameters a page does not
+// declare are preserved untouched.
+
+const ViewState = (function () {
+
+  // Pushes this close together (slider drags, rapid stepping) update one history entry
+  const PUSH_COALESCE_MS = 600;
+
+  /**
+   * Parameter types. Each returns { parse(string) -> value | undefined (invalid), format(value) -> string, default }.
+   */
+  const types = {
+    /** Any non-empty string. */
+    string: (fallback = null) => ({
+      parse: (raw) => (raw.trim() ? raw : undefined),
+      format: String,
+      default: fallback,
+    }),
+    /** One of a fixed list of values. */
+    oneOf: (values, fallback = values[0]) => ({
+      parse: (raw) => (values.includes(raw) ? raw : undefined),
+      format: String,
+      default: fallback,
+    }),
+    /** An integer within [min, max]. */
+    int: (min, max, fallback) => ({
+      parse: (raw) => {
+        const n = Number(raw);
+        return Number.isInteger(n) && n >= min && n <= max ? n : undefined;
+      },
+      format: String,
+      default: fallback,
+    }),
+    /** A boolean flag written as 1/0. */
+    flag: (fallback = false) => ({
+      parse: (raw) => (raw === '1' || raw === 'true' ? true : raw === '0' || raw === 'false' ? false : undefined),
+      format: (v) => (v ? '1' : '0'),
+      default: fallback,
+    }),
+    /** A map view written as "lat,lng,zoom". */
+    mapView: () => ({
+      parse: (raw) => {
+        const [lat, lng, zoom] = raw.split(',').map(Number);
+        const valid = Math.abs(lat) <= 90 && Math.abs(lng) <= 360 && zoom >= 0 && zoom <= 20;
+        return valid ? { lat, lng, zoom } : undefined;
+      },
+      format: (v) => `${v.lat.toFixed(3)},${v.lng.toFixed(3)},${Math.round(v.zoom * 4) / 4}`,
+      default: null,
+    }),
+  };
+
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  /**
+   * Declares a page's view state.
+   * @param {object} schema - { param: type } using the `types` factories.
+   * @param {object} [opts]
+   * @param {function(object, string[]): void} [opts.onRestore] - Called on Back/Forward with the
+   *   restored state and the names of the parameters that changed.
+   * @returns {{state: object, invalid: string[], set: function(object, object=): void, url: function(object=): string}}
+   */
+  function create(schema, opts = {}) {
+    let lastPush = 0;
+
+    function read() {
+      const params = new URLSearchParams(location.search);
+      const state = {}, invalid = [];
+      Object.entries(schema).forEach(([key, type]) => {
+        const raw = params.get(key);
+        const value = raw === null ? undefined : type.parse(raw);
+        if (raw !== null && value === undefined) invalid.push(key);
+        state[key] = value === undefined ? type.default : value;
+      });
+      return { state, invalid };
+    }
+
+    /** The page URL for a state (current state by default), keeping undeclared parameters. */
+    function url(state = handle.state) {
+      const params = new URLSearchParams(location.search);
+      Object.entries(schema).forEach(([key, type]) => {
+        const value = state[key];
+        if (value === null || value === undefined || same(value, type.default)) params.delete(key);
+        else params.set(key, type.format(value));
+      });
+      const query = params.toString();
+      return `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    }
+
+    /**
+     * Merges a change into the state and records it in the URL.
+     * @param {object} patch - Changed parameters.
+     * @param {object} [setOpts] - { replace: true } to update the current history entry instead of adding one.
+     */
+    function set(patch, setOpts = {}) {
+      // Stored as the URL will read back (e.g. a rounded map view), so Back/Forward diffs are exact
+      Object.entries(patch).forEach(([key, value]) => {
+        const type = schema[key];
+        const parsed = type && value !== null && value !== undefined ? type.parse(type.format(value)) : value;
+        handle.state[key] = parsed === undefined && type ? type.default : parsed;
+      });
+      const next = url();
+      if (next === `${location.pathname}${location.search}${location.hash}`) return;
+      const now = Date.now();
+      if (setOpts.replace || now - lastPush < PUSH_COALESCE_MS) {
+        history.replaceState({ view: handle.state }, '', next);
+      } else {
+        history.pushState({ view: handle.state }, '', next);
+        lastPush = now;
+      }
+    }
+
+    const initial = read();
+    const handle = { state: initial.state, invalid: initial.invalid, set, url };
+
+    window.addEventListener('popstate', () => {
+      const previous = handle.state;
+      handle.state = read().state;
+      const changed = Object.keys(schema).filter(key => !same(previous[key], handle.state[key]));
+      if (changed.length && opts.onRestore) opts.onRestore(handle.state, changed);
+    });
+
+    return handle;
+  }
+
+  /**
+   * Shows a dismissible notice at the top of the page (e.g. "Year 2031 is not available; showing 2023").
+   * @param {string} message
+   */
+  function notice(message) {
+    let el = document.getElementById('viewNotice');
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'viewNotice';
+      el.className = 'view-notice';
+      el.setAttribute('role', 'status');
+      document.body.prepend(el);
+    }
+    const item = document.createElement('div');
+    item.innerHTML = '<span></span> <button type="button" class="btn" aria-label="Dismiss">&times;</button>';
+    item.querySelector('span').textContent = message;
+    item.querySelector('button').addEventListener('click', () => item.remove());
+    el.appendChild(item);
+  }
+
+  /**
+   * The valid value nearest to a requested one: an exact (case-insensitive) match, else for
+   * numeric lists (years) the closest value or the latest, else the first option.
+   * @param {string|null} wanted
+   * @param {string[]} valid - Sorted options.
+   * @returns {string|null}
+   */
+  function nearest(wanted, valid) {
+    if (valid.length === 0) return null;
+    const numeric = valid.every(v => isFinite(Number(v)));
+    const fallback = numeric ? valid[valid.length - 1] : valid[0];
+    if (wanted === null || wanted === undefined) return fallback;
+    const exact = valid.find(v => v.toLowerCase() === String(wanted).toLowerCase());
+    if (exact) return exact;
+    const n = Number(wanted);
+    if (numeric && String(wanted).trim() !== '' && isFinite(n)) {
+      return valid.reduce((best, v) => (Math.abs(Number(v) - n) < Math.abs(Number(best) - n) ? v : best));
+    }
+    return fallback;
+  }
+
+  /**
+   * Resolves a disease and year from the URL against the dataset: missing, misspelled or
+   * stale values become the nearest ones available, with a message for each replacement.
+   * @param {object} catalog - DataService 'catalog'.
+   * @param {{disease: string|null, year: string|null}} wanted
+   * @param {object} [opts] - { required: false } to fill in missing values without a message.
+   * @returns {{disease: string|null, year: string|null, years: string[], messages: string[]}}
+   */
+  function resolveSelection(catalog, wanted, opts = {}) {
+    const required = opts.required !== false;
+    const messages = [];
+    const disease = nearest(wanted.disease, catalog.diseases);
+    if (!wanted.disease) {
+      if (required) messages.push(`No disease selected; showing ${disease}.`);
+    } else if (disease && disease.toLowerCase() !== wanted.disease.toLowerCase()) messages.push(`"${wanted.disease}" is not in the dataset; showing ${disease}.`);
+
+    const years = (catalog.yearsByDisease[disease] || []).slice().sort();
+    const year = nearest(wanted.year, years);
+    if (!wanted.year) {
+      if (required) messages.push(`No year selected; showing ${year}.`);
+    } else if (year && year !== wanted.year) messages.push(`${disease} has no data for ${wanted.year}; showing ${year}.`);
+    return { disease, year, years, messages };
+  }
+
+  return {
+    types,
+    create,
+    notice,
+    nearest,
+    resolveSelection,
+  };
+})();